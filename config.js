@@ -7,6 +7,9 @@ const __dirname = dirname(fileURLToPath(import.meta.url));
 
 const home = homedir();
 
+// Tools with side effects that unattended turns (heartbeat ACT, crons) ask before using
+const UNATTENDED_RISKY = ['run_command', 'run_background', 'restart_background', 'delete_file', 'send_email', 'slack_send_message', 'write_project_file', 'edit_file', 'apply_patch', 'http_request'];
+
 const defaults = {
   // Agent
   agentName: 'Agent',
@@ -28,19 +31,117 @@ const defaults = {
   },
   dailyNotesDir: 'Daily',
   skillsDir: 'Resources/Skills',
+  sessionExportsDir: 'Resources/Sessions', // `betterbot sessions export --vault`
 
   // Model roles → provider + model
   // Only 'default' is set here. Other roles (router, quick, deep, browser)
   // are left undefined so they fall back to 'default' via createProvider().
   // This prevents crashes when a new user doesn't have every provider configured.
+  // A role can also be an ordered list of specs — later entries take over when
+  // earlier ones hit rate limits, overloads, timeouts or network errors.
   models: {
     default: { provider: 'anthropic', model: 'claude-sonnet-4-5-20250514' },
   },
 
+  // Extended thinking / reasoning per role, used when a model spec doesn't set its own
+  // `reasoning`. A number is a thinking budget in tokens (Anthropic, Gemini); a string
+  // is an effort level (low, medium, high) for OpenAI reasoning models. Either form
+  // is translated for the other providers.
+  reasoning: {
+    deep: 'medium',
+  },
+
+  // Provider retry & failover (applies to every model role)
+  failover: {
+    retries: 2,          // retries per spec before failing over to the next
+    backoffMs: 1000,     // first retry delay, doubled on each attempt
+    maxBackoffMs: 20000, // longer Retry-After hints skip straight to the next spec
+    timeoutMs: 60000,    // how long a provider may take to start responding
+  },
+
+  // Anthropic prompt caching — cache breakpoints on tools, system prompt and recent history
+  promptCaching: true,
+
   // Compaction
   compaction: {
     keepRecentMessages: 10,
-    maxMessagesBeforeCompact: 30,
+    threshold: 0.75,            // compact once the prompt fills this share of the context window
+    contextWindow: 128000,      // tokens, for providers that can't report their own
+    maxToolResultTokens: 8000,  // bigger tool results are archived and trimmed before summarizing
+  },
+
+  // Provider cassette for offline regression runs (see lib/cassette.js):
+  // { path, mode: 'record' | 'replay', strict: false }. null = talk to the models.
+  cassette: null,
+
+  // Tool calls in the tool loop: at most `concurrency` of a round run at once, and
+  // each gets `timeouts[name]` ms, else the tool's own default, else defaultTimeoutMs
+  // (0 = no limit). Calls on the same file or store run one after another.
+  tools: {
+    concurrency: 4,
+    defaultTimeoutMs: 120000,
+    timeouts: {},
+  },
+
+  // Approval policy in front of every tool call (see lib/approvals.js). Rules are
+  // checked in order, first match wins: { tool, channel, tier, args: { name: regex },
+  // action: 'allow' | 'ask' | 'deny', reason }. tool/channel/tier take a name, a list
+  // or '*'. Unanswered asks are denied after timeoutMs. Setting rules replaces these.
+  approvals: {
+    default: 'allow',
+    timeoutMs: 600000,
+    rules: [
+      { tool: 'run_command', args: { command: '\\brm\\s+(-\\w+\\s+)*(-\\w*r|--recursive)' }, action: 'ask', reason: 'recursive delete' },
+      { tool: UNATTENDED_RISKY, channel: 'heartbeat', tier: 'act', action: 'ask', reason: 'unattended heartbeat' },
+      { tool: UNATTENDED_RISKY, channel: 'cron', action: 'ask', reason: 'unattended cron job' },
+    ],
+  },
+
+  // Sandbox for run_command, run_background and custom tools (see lib/sandbox.js).
+  // An outfit can turn it on or off for the sessions wearing it (`sandbox: true`,
+  // `sandbox_network`, `sandbox_writable` in its frontmatter). backend: 'auto' uses
+  // bubblewrap when it's installed (Linux), else 'process' — a clean environment,
+  // resource limits and, for network: false, a network namespace via unshare.
+  // The workspace is always writable; memoryMB / cpuSeconds of 0 are no limit.
+  sandbox: {
+    enabled: false,
+    backend: 'auto',
+    network: true,
+    readOnly: ['/usr', '/bin', '/sbin', '/lib', '/lib64', '/etc', '/opt', '/nix', '/Library', '/System', '/Applications'],
+    writable: [],
+    env: ['PATH', 'HOME', 'USER', 'LANG', 'LC_ALL', 'TERM', 'TMPDIR', 'SHELL'],
+    memoryMB: 2048,
+    cpuSeconds: 300,
+  },
+
+  // Background processes of run_background (see lib/processes.js): the supervisor
+  // checks on them every checkIntervalMs and restarts those with a restart policy,
+  // at most maxRestarts times in a row. Stopping waits stopTimeoutMs before SIGKILL.
+  processes: {
+    checkIntervalMs: 5000,
+    maxRestarts: 5,
+    stopTimeoutMs: 5000,
+  },
+
+  // Tool results over maxTokens keep their head and tail in the conversation; the
+  // full text goes to tool-output/ for read_tool_output to page through
+  toolOutput: {
+    maxTokens: 6000,
+  },
+
+  // Session retention (`betterbot sessions prune`, and daily in the gateway).
+  // Sessions idle for archiveAfterDays, or beyond maxSessions / maxSizeMB (oldest
+  // first), are gzipped into sessions/archive/ — resuming one restores it, but
+  // archived sessions drop out of lists and search, so archiving is opt-in.
+  // 0 turns a rule off.
+  retention: {
+    archiveAfterDays: 0,
+    maxSessions: 0,
+    maxSizeMB: 0,
+    deleteAfterDays: 0,      // delete archives this long after archiving
+    backgroundLogDays: 7,    // bg-*.log output of run_background
+    toolOutputDays: 7,       // full outputs of capped tool results (tool-output/)
+    auto: true,              // gateway runs the sweep once a day
   },
 
   // Budget
@@ -68,6 +169,7 @@ const defaults = {
     'openrouter_api_key',
     'together_api_key',
     'groq_api_key',
+    'gemini_api_key',
     'gh_token',
     'telegram_bot_token',
     'telegram_chat_id',
@@ -29,7 +29,7 @@ Task: ${task}
 
 ${opts.context || ''}`;
 
-  const result = await session.send(taskPrompt);
+  const result = await session.send(taskPrompt, { signal: opts.signal, channel: opts.channel, tier: opts.tier, approver: opts.approver });
 
   // Don't log sub-agent spawns to the journal by default
   if (opts.journal === true && opts.journalSection) {
@@ -133,7 +133,8 @@ async function runLongTaskSession(taskId, task, opts) {
   }
 
   const prompt = buildLongTaskPrompt(task, entry.outputFolder, timeLimitMin, costLimit);
-  const result = await session.send(prompt);
+  const result = await session.send(prompt, { signal: entry.controller.signal });
+  if (entry.status !== 'running') return; // cancelled — cancelLongTask already closed it out
 
   entry.status = 'completed';
   entry.completedAt = new Date().toISOString();
@@ -157,6 +158,7 @@ export async function spawnLongTask(task, opts = {}) {
     completedAt: null,
     outputFolder,
     session: null, // set once session is created
+    controller: new AbortController(), // aborted by cancelLongTask
     result: null,
     error: null,
   };
@@ -164,6 +166,7 @@ export async function spawnLongTask(task, opts = {}) {
 
   // Fire and forget — don't await
   runLongTaskSession(taskId, task, opts).catch(err => {
+    if (entry.status !== 'running') return;
     entry.status = 'failed';
     entry.completedAt = new Date().toISOString();
     entry.error = err.message;
@@ -188,16 +191,13 @@ export function checkLongTask(taskId) {
   return lines.join('\n\n---\n\n');
 }
 
-// Cancel a running long task by setting its deadline to now
+// Cancel a running long task — stops the model call or tool it's in the middle of
 export function cancelLongTask(taskId) {
   const entry = global._longTasks.get(taskId);
   if (!entry) return `No long task found with ID "${taskId}".`;
   if (entry.status !== 'running') return `Task ${taskId} is already ${entry.status}.`;
 
-  // Set deadline to now — the session loop will break on the next turn
-  if (entry.session?._deadline) {
-    entry.session._deadline = Date.now();
-  }
+  entry.controller.abort();
   entry.status = 'cancelled';
   entry.completedAt = new Date().toISOString();
   const cost = entry.session?.metadata?.cost?.total ?? 0;
@@ -0,0 +1,201 @@
+/**
+ * Approvals — the policy in front of executeTool() (config.approvals).
+ *
+ * Each tool call is checked against `approvals.rules`, first match wins, else
+ * `approvals.default`. A rule can name tools, the channel the turn came from (cli,
+ * telegram, panel, heartbeat, cron, mcp), the heartbeat tier (act, escalate), and
+ * regexes its arguments must match; its action is allow, ask or deny.
+ *
+ * "ask" holds the call until someone answers. A turn started by a person asks them
+ * where they are: the CLI prompts, Telegram sends Approve / Deny buttons, the panel
+ * shows them in the chat. Unattended turns (heartbeat, crons, sub-agents) go to the
+ * registered approvers — the gateway's Telegram bot and the panel. No answer within
+ * `approvals.timeoutMs` counts as a denial, and the model is told either way.
+ */
+import { randomBytes } from 'node:crypto';
+import config from '../config.js';
+
+const ACTIONS = new Set(['allow', 'ask', 'deny']);
+
+// id → { request, finish }
+const pending = new Map();
+// name → deliver(request), for requests from turns with nobody at the keyboard
+const approvers = new Map();
+
+// A rule field: a name, a list of names, or '*'; a trailing * matches a prefix
+function fieldMatches(pattern, value) {
+  if (pattern == null) return true;
+  return [].concat(pattern).some(p => p === '*' || p === value
+    || (p.endsWith('*') && String(value ?? '').startsWith(p.slice(0, -1))));
+}
+
+function argsMatch(patterns, args, action) {
+  if (!patterns) return true;
+  return Object.entries(patterns).every(([key, pattern]) => {
+    const value = args?.[key];
+    if (value == null) return false;
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    try {
+      return new RegExp(pattern, 'i').test(text);
+    } catch {
+      // A broken pattern must not wave a call through: it matches unless it would allow
+      console.error(`[approvals] Invalid pattern for ${key}: ${pattern}`);
+      return action !== 'allow';
+    }
+  });
+}
+
+/**
+ * What the policy says about a call.
+ * @param {string} tool
+ * @param {object} args
+ * @param {{ channel?: string, tier?: string }} [origin]
+ * @returns {{ action: 'allow'|'ask'|'deny', rule: object|null }}
+ */
+export function approvalPolicy(tool, args, { channel, tier } = {}) {
+  const policy = config.approvals || {};
+  for (const rule of policy.rules || []) {
+    if (!ACTIONS.has(rule.action)) continue;
+    if (!fieldMatches(rule.tool, tool) || !fieldMatches(rule.channel, channel) || !fieldMatches(rule.tier, tier)) continue;
+    if (!argsMatch(rule.args, args, rule.action)) continue;
+    return { action: rule.action, rule };
+  }
+  return { action: ACTIONS.has(policy.default) ? policy.default : 'allow', rule: null };
+}
+
+/**
+ * One line for a prompt: the tool and its arguments, long values cut.
+ * @param {{ tool: string, args: object }} request
+ * @returns {string}
+ */
+export function describeRequest({ tool, args }) {
+  const parts = Object.entries(args || {}).map(([key, value]) => {
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return `${key}: ${text.length > 200 ? `${text.slice(0, 200)}…` : text}`;
+  });
+  return parts.length ? `${tool}(${parts.join(', ')})` : `${tool}()`;
+}
+
+// ── Approvers ──
+
+/**
+ * Take requests from unattended turns. Requests arrive with an `id` to answer
+ * through resolveApproval(); the function's return value is ignored.
+ * @param {string} name - e.g. 'telegram', 'panel'
+ * @param {(request: object, opts: { signal: AbortSignal }) => void} deliver - `signal`
+ *   aborts once the request is over (answered anywhere, timed out or cancelled)
+ * @returns {() => void} Unregisters it
+ */
+export function registerApprover(name, deliver) {
+  approvers.set(name, deliver);
+  return () => {
+    if (approvers.get(name) === deliver) approvers.delete(name);
+  };
+}
+
+/**
+ * Requests waiting for an answer, oldest first.
+ * @returns {object[]} { id, tool, args, channel, tier, sessionId, reason, summary, created }
+ */
+export function listApprovals() {
+  return [...pending.values()].map(p => p.request);
+}
+
+/**
+ * Answer a request.
+ * @param {string} id
+ * @param {boolean} approved
+ * @param {string} [by] - Who answered, for the log
+ * @returns {boolean} false when it wasn't waiting (answered elsewhere, timed out, unknown)
+ */
+export function resolveApproval(id, approved, by = 'user') {
+  const entry = pending.get(id);
+  if (!entry) return false;
+  entry.finish(approved ? 'approved' : 'denied', by);
+  return true;
+}
+
+// Wait for an answer: 'approved' | 'denied' | 'timeout' | 'cancelled' | 'unrouted'
+function requestApproval(request, { approver, signal }) {
+  // Nobody can be asked: no one is at the keyboard and no gateway channel listens
+  if (!approver && !approvers.size) return Promise.resolve('unrouted');
+
+  return new Promise(resolve => {
+    let timer;
+    const onAbort = () => finish('cancelled');
+    // Tells approvers the request is over, however it ended, so they can drop their prompt
+    const settled = new AbortController();
+    function finish(outcome, by) {
+      if (!pending.has(request.id)) return;
+      pending.delete(request.id);
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      settled.abort();
+      if (outcome === 'approved' || outcome === 'denied') console.error(`[approvals] ${request.tool} ${outcome} by ${by}`);
+      resolve(outcome);
+    }
+    pending.set(request.id, { request, finish });
+    signal?.addEventListener('abort', onAbort, { once: true });
+    const timeout = config.approvals?.timeoutMs ?? 600000;
+    if (timeout > 0) timer = setTimeout(() => finish('timeout'), timeout);
+
+    const deliver = async (fn, name) => {
+      try {
+        // The turn's own approver may answer directly (the CLI's y/n)
+        const answer = await fn(request, { signal: settled.signal });
+        if (typeof answer === 'boolean') resolveApproval(request.id, answer, name);
+      } catch (err) {
+        console.error(`[approvals] ${name} couldn't ask: ${err.message}`);
+      }
+    };
+    if (approver) deliver(approver, request.channel || 'user');
+    else for (const [name, fn] of approvers) deliver(fn, name);
+  });
+}
+
+/**
+ * Apply the policy to a call, asking when it says so.
+ * @param {string} tool
+ * @param {object} args
+ * @param {object} [ctx]
+ * @param {string} [ctx.channel] - Where the turn came from
+ * @param {string} [ctx.tier] - Heartbeat tier
+ * @param {string} [ctx.sessionId]
+ * @param {(request: object, opts: { signal: AbortSignal }) => Promise<boolean|void>|void} [ctx.approver] -
+ *   Asks whoever started the turn; absent for unattended turns. `signal` aborts once
+ *   the request is over, however it ended
+ * @param {AbortSignal} [ctx.signal]
+ * @returns {Promise<string|null>} null to go ahead, else the message the model gets instead
+ */
+export async function checkApproval(tool, args, ctx = {}) {
+  const { action, rule } = approvalPolicy(tool, args, ctx);
+  if (action === 'allow') return null;
+  const why = rule?.reason ? ` (${rule.reason})` : '';
+  if (action === 'deny') {
+    return `Denied: the approval policy doesn't allow ${tool} here${why}. Don't retry it — tell the user what you wanted to do and why.`;
+  }
+
+  const request = {
+    id: randomBytes(4).toString('hex'),
+    tool,
+    args,
+    channel: ctx.channel || null,
+    tier: ctx.tier || null,
+    sessionId: ctx.sessionId || null,
+    reason: rule?.reason || null,
+    summary: describeRequest({ tool, args }),
+    created: new Date().toISOString(),
+  };
+  switch (await requestApproval(request, ctx)) {
+    case 'approved':
+      return null;
+    case 'denied':
+      return `Denied: the user declined ${tool}${why}. Don't retry it — ask them how they'd like to proceed.`;
+    case 'timeout':
+      return `Denied: ${tool} needs approval${why} and nobody answered in time. Don't retry it now — tell the user what you wanted to do.`;
+    case 'cancelled':
+      return `Cancelled: ${tool} was stopped by the user.`;
+    default:
+      return `Denied: ${tool} needs approval${why}, and there's no one to ask here (start the gateway for Telegram or panel approvals). Tell the user what you wanted to do.`;
+  }
+}
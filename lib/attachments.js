@@ -0,0 +1,125 @@
+/**
+ * Attachments — images and documents that travel with a message: Telegram
+ * photos, panel uploads, vault images opened with read_file.
+ *
+ * History keeps them as Anthropic-style content blocks, whatever the provider:
+ *   { type: 'image', source: { type: 'base64', media_type, data } }
+ *   { type: 'document', source: { type: 'base64', media_type: 'application/pdf', data }, title }
+ * provider.js converts them to each API's wire format on the way out.
+ */
+import { readFile, stat } from 'node:fs/promises';
+import { extname, basename } from 'node:path';
+
+const MEDIA_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf',
+};
+
+export const IMAGE_TYPES = new Set(['image/png', 'image/jpeg', 'image/gif', 'image/webp']);
+
+// Provider limits: Anthropic caps images at 5MB and PDFs at 32MB per request
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const MAX_DOCUMENT_BYTES = 32 * 1024 * 1024;
+const MAX_TEXT_BYTES = 512 * 1024;
+
+// Uploaded text files are inlined instead of sent as documents
+const TEXT_TYPES = /^text\/|^application\/(json|xml|x-yaml|yaml|javascript)$/;
+
+export function mediaTypeFor(name) {
+  return MEDIA_TYPES[extname(name || '').toLowerCase()] || null;
+}
+
+// True for files read_file should hand to the model as an attachment
+export function isAttachable(name) {
+  return !!mediaTypeFor(name);
+}
+
+/**
+ * Turn raw bytes into a content block for the session history.
+ * @param {object} file
+ * @param {Buffer|string} file.data - Bytes, or a base64 string
+ * @param {string} [file.mediaType] - Falls back to the file extension
+ * @param {string} [file.name]
+ * @returns {object} image, document or text block
+ */
+export function toContentBlock({ data, mediaType, name }) {
+  const type = mediaType || mediaTypeFor(name);
+  const buf = Buffer.isBuffer(data) ? data : Buffer.from(data || '', 'base64');
+  const label = name || 'attachment';
+
+  if (IMAGE_TYPES.has(type)) {
+    if (buf.length > MAX_IMAGE_BYTES) throw new Error(`${label} is ${formatSize(buf.length)} — images are limited to ${formatSize(MAX_IMAGE_BYTES)}`);
+    return { type: 'image', source: { type: 'base64', media_type: type, data: buf.toString('base64') } };
+  }
+  if (type === 'application/pdf') {
+    if (buf.length > MAX_DOCUMENT_BYTES) throw new Error(`${label} is ${formatSize(buf.length)} — PDFs are limited to ${formatSize(MAX_DOCUMENT_BYTES)}`);
+    return { type: 'document', source: { type: 'base64', media_type: type, data: buf.toString('base64') }, title: label };
+  }
+  if (type && TEXT_TYPES.test(type)) {
+    if (buf.length > MAX_TEXT_BYTES) throw new Error(`${label} is ${formatSize(buf.length)} — text files are limited to ${formatSize(MAX_TEXT_BYTES)}`);
+    return { type: 'text', text: `[Attached file: ${label}]\n\n${buf.toString('utf-8')}` };
+  }
+  throw new Error(`Unsupported attachment type for ${label}: ${type || 'unknown'} (images, PDFs and text files only)`);
+}
+
+export async function loadAttachment(path) {
+  const info = await stat(path);
+  if (info.size > MAX_DOCUMENT_BYTES) throw new Error(`${basename(path)} is too large to attach (${formatSize(info.size)})`);
+  return toContentBlock({ data: await readFile(path), name: basename(path) });
+}
+
+// --- Tool results ---
+// A tool can return { text, attachments } instead of a string to show the model
+// an image. UIs and logs only ever see the text.
+
+export function attachmentResult(text, attachments) {
+  return { text, attachments };
+}
+
+export function isAttachmentResult(result) {
+  return !!result && typeof result === 'object' && typeof result.text === 'string' && Array.isArray(result.attachments);
+}
+
+export function resultText(result) {
+  if (isAttachmentResult(result)) return result.text;
+  return typeof result === 'string' ? result : JSON.stringify(result);
+}
+
+// tool_result content for the history: plain string, or text + media blocks
+export function toolResultContent(result) {
+  if (!isAttachmentResult(result)) return result;
+  return [{ type: 'text', text: result.text }, ...result.attachments];
+}
+
+// --- Reading content back ---
+
+export function isMediaBlock(block) {
+  return block?.type === 'image' || block?.type === 'document';
+}
+
+// Short placeholder for places that can't show the bytes (summaries, traces, exports)
+export function describeBlock(block) {
+  if (block.type === 'document') return `[document: ${block.title || block.source?.media_type || 'file'}]`;
+  return `[image: ${block.source?.media_type || 'image'}]`;
+}
+
+// Text of a message's content, with media replaced by placeholders
+export function contentText(content) {
+  if (content == null) return '';
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return JSON.stringify(content);
+  return content.map(b => {
+    if (b.type === 'text') return b.text;
+    if (isMediaBlock(b)) return describeBlock(b);
+    if (b.type === 'tool_result') return contentText(b.content);
+    return '';
+  }).filter(Boolean).join('\n');
+}
+
+function formatSize(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)}MB` : `${Math.ceil(bytes / 1024)}KB`;
+}
@@ -0,0 +1,257 @@
+/**
+ * Cassettes — record what the model providers said, then play it back offline.
+ *
+ * With config.cassette = { path, mode: 'record' } every provider createProvider()
+ * hands out passes its calls through and appends each request and response (stream
+ * events, errors and the model that answered included) to the cassette file. With
+ * mode: 'replay' no provider is contacted: each call is answered with the recorded
+ * response for the same role, so a session's tool loop, compaction and repair logic,
+ * a heartbeat run or a cron job runs the same way on a machine with no network.
+ * Tools still run for real; only the model is replayed.
+ *
+ * Replay prefers the recorded call whose request matches (system prompt aside — it
+ * carries the date), and otherwise takes the role's next call in recorded order and
+ * notes the mismatch in `cassetteMismatches()`. With `strict: true` a mismatch throws.
+ */
+import { readFileSync } from 'node:fs';
+import { writeFile, rename, mkdir } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { createHash } from 'node:crypto';
+
+const CASSETTE_VERSION = 1;
+
+// path → loaded cassette, shared by every provider of the process
+const cassettes = new Map();
+
+function loadCassette(path, mode) {
+  let cassette = cassettes.get(path);
+  if (cassette && cassette.mode === mode) return cassette;
+  cassette = { path, mode, interactions: [], contextWindows: {}, used: new Set(), mismatches: [], saving: Promise.resolve() };
+  if (mode === 'replay') {
+    let data;
+    try {
+      data = JSON.parse(readFileSync(path, 'utf-8'));
+    } catch (err) {
+      throw new Error(`Can't read cassette ${path}: ${err.message}`);
+    }
+    if (data.version !== CASSETTE_VERSION) throw new Error(`Cassette ${path} is version ${data.version}, expected ${CASSETTE_VERSION}`);
+    cassette.interactions = data.interactions || [];
+    cassette.contextWindows = data.contextWindows || {};
+  }
+  cassettes.set(path, cassette);
+  return cassette;
+}
+
+// Rewrite the whole file after every call — a crashed run still leaves a usable cassette
+function saveCassette(cassette) {
+  cassette.saving = cassette.saving.then(async () => {
+    const data = {
+      version: CASSETTE_VERSION,
+      contextWindows: cassette.contextWindows,
+      interactions: cassette.interactions.filter(Boolean),
+    };
+    await mkdir(dirname(cassette.path), { recursive: true });
+    const tmp = `${cassette.path}.tmp`;
+    await writeFile(tmp, JSON.stringify(data, null, 2) + '\n', 'utf-8');
+    await rename(tmp, cassette.path);
+  }).catch(err => console.error(`[cassette] Failed to save ${cassette.path}: ${err.message}`));
+  return cassette.saving;
+}
+
+// What was asked, in JSON: the options minus the signal, tools by name
+function requestRecord(messages, opts) {
+  const { signal, tools, ...rest } = opts;
+  const record = { messages, opts: rest };
+  if (tools) record.opts.tools = tools.map(t => t.name || t.function?.name);
+  return JSON.parse(JSON.stringify(record));
+}
+
+function fingerprint(type, request) {
+  const messages = request.messages.filter(m => m.role !== 'system');
+  return createHash('sha1').update(JSON.stringify([type, messages, request.opts])).digest('hex').slice(0, 16);
+}
+
+// Errors keep what the callers branch on: status for retries, code for network
+// failures (fetch puts it on the cause), schemaMismatch for structured output
+function errorRecord(err) {
+  const { status, retryAfterMs, schemaMismatch } = err;
+  return { name: err.name, message: err.message, status, code: err.code ?? err.cause?.code, retryAfterMs, schemaMismatch };
+}
+
+function errorFromRecord(record) {
+  const err = new Error(record.message);
+  for (const [key, value] of Object.entries(record)) {
+    if (value !== undefined && value !== null && key !== 'message') err[key] = value;
+  }
+  return err;
+}
+
+// ── Recording ──
+
+// Both stand in for a provider (chat, stream, getContextWindow, lastModel). They don't
+// extend Provider: provider.js imports this module, and the cycle would leave the
+// base class undefined here.
+class RecordingProvider {
+  constructor(role, inner, cassette) {
+    this.model = inner.model;
+    this._role = role;
+    this._inner = inner;
+    this._cassette = cassette;
+  }
+
+  get lastModel() {
+    return this._inner.lastModel;
+  }
+
+  async getContextWindow() {
+    const window = await this._inner.getContextWindow();
+    this._cassette.contextWindows[this._role] = window;
+    return window;
+  }
+
+  // Reserve the slot when the call starts, so the cassette keeps request order
+  _start(type, messages, opts) {
+    const request = requestRecord(messages, opts);
+    const entry = { role: this._role, type, fingerprint: fingerprint(type, request), request };
+    const index = this._cassette.interactions.push(null) - 1;
+    return { entry, index };
+  }
+
+  // A call the user stopped says nothing about the model — leave it out
+  _finish({ entry, index }, signal) {
+    if (signal?.aborted) return;
+    entry.model = this._inner.lastModel || null;
+    this._cassette.interactions[index] = entry;
+    return saveCassette(this._cassette);
+  }
+
+  async chat(messages, opts = {}) {
+    const call = this._start('chat', messages, opts);
+    try {
+      const response = await this._inner.chat(messages, opts);
+      call.entry.response = JSON.parse(JSON.stringify(response));
+      return response;
+    } catch (err) {
+      call.entry.error = errorRecord(err);
+      throw err;
+    } finally {
+      await this._finish(call, opts.signal);
+    }
+  }
+
+  async *stream(messages, opts = {}) {
+    const call = this._start('stream', messages, opts);
+    call.entry.events = [];
+    try {
+      for await (const event of this._inner.stream(messages, opts)) {
+        call.entry.events.push(JSON.parse(JSON.stringify(event)));
+        yield event;
+      }
+    } catch (err) {
+      call.entry.error = errorRecord(err);
+      throw err;
+    } finally {
+      await this._finish(call, opts.signal);
+    }
+  }
+}
+
+// ── Replay ──
+
+class ReplayProvider {
+  constructor(role, cassette, strict) {
+    this.model = 'replay';
+    this._role = role;
+    this._cassette = cassette;
+    this._strict = strict;
+    this.lastModel = null;
+  }
+
+  async getContextWindow() {
+    return this._cassette.contextWindows[this._role] ?? null;
+  }
+
+  _next(type, messages, opts) {
+    const { interactions, used, mismatches, path } = this._cassette;
+    const request = requestRecord(messages, opts);
+    const print = fingerprint(type, request);
+    const open = (i) => !used.has(i) && interactions[i].role === this._role && interactions[i].type === type;
+
+    let index = interactions.findIndex((entry, i) => open(i) && entry.fingerprint === print);
+    if (index === -1) {
+      index = interactions.findIndex((_, i) => open(i));
+      if (index === -1) throw new Error(`Cassette ${path} has no recorded ${type} call left for role "${this._role}"`);
+      const mismatch = { role: this._role, type, index, expected: interactions[index].request, actual: request };
+      if (this._strict) throw new Error(`Cassette ${path}: ${type} request for role "${this._role}" doesn't match recorded call #${index}`);
+      mismatches.push(mismatch);
+    }
+    used.add(index);
+    const entry = interactions[index];
+    this.lastModel = entry.model;
+    return entry;
+  }
+
+  async chat(messages, opts = {}) {
+    if (opts.signal?.aborted) throw opts.signal.reason;
+    const entry = this._next('chat', messages, opts);
+    if (entry.error) throw errorFromRecord(entry.error);
+    return structuredClone(entry.response);
+  }
+
+  async *stream(messages, opts = {}) {
+    const entry = this._next('stream', messages, opts);
+    for (const event of entry.events || []) {
+      if (opts.signal?.aborted) throw opts.signal.reason;
+      yield structuredClone(event);
+    }
+    if (entry.error) throw errorFromRecord(entry.error);
+  }
+}
+
+/**
+ * Wrap a role's provider per config.cassette (createProvider() calls this).
+ * @param {string} role
+ * @param {object} settings - config.cassette: { path, mode: 'record' | 'replay', strict? }
+ * @param {() => object} build - Makes the real provider (not called on replay)
+ * @returns {object} A provider
+ */
+export function cassetteProvider(role, settings, build) {
+  if (!settings?.path) throw new Error('config.cassette needs a path');
+  if (settings.mode === 'replay') return new ReplayProvider(role, loadCassette(settings.path, 'replay'), !!settings.strict);
+  if (settings.mode === 'record') return new RecordingProvider(role, build(), loadCassette(settings.path, 'record'));
+  throw new Error(`Unknown cassette mode "${settings.mode}" (use record or replay)`);
+}
+
+/**
+ * Replayed calls whose request differed from the recording — empty when the run
+ * asked exactly what the recorded one did.
+ * @param {string} path
+ * @returns {Array<{ role, type, index, expected, actual }>}
+ */
+export function cassetteMismatches(path) {
+  return cassettes.get(path)?.mismatches || [];
+}
+
+/**
+ * Recorded calls a replay hasn't used yet — a regression test can assert the run
+ * made every call the recording did.
+ * @param {string} path
+ * @returns {number}
+ */
+export function unplayedCount(path) {
+  const cassette = cassettes.get(path);
+  if (!cassette || cassette.mode !== 'replay') return 0;
+  return cassette.interactions.length - cassette.used.size;
+}
+
+/**
+ * Wait for a recording's pending writes, and forget the cassette so the next
+ * provider loads it fresh (e.g. to replay what was just recorded).
+ * @param {string} path
+ */
+export async function closeCassette(path) {
+  const cassette = cassettes.get(path);
+  if (!cassette) return;
+  await cassette.saving;
+  cassettes.delete(path);
+}
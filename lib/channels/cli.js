@@ -2,6 +2,8 @@ import { createInterface } from 'node:readline';
 import { Session } from '../session.js';
 import { listContexts } from '../context.js';
 import { search } from '../search.js';
+import { startMcpServers, stopMcpServers } from '../mcp.js';
+import { startSupervisor } from '../processes.js';
 import config from '../../config.js';
 
 const TOOL_ICONS = {
@@ -23,6 +25,15 @@ function toolLabel(name) {
 
 export async function startCLI(opts = {}) {
   let session;
+  let lastThinking = ''; // reasoning from the last reply — shown in full by the "thinking" command
+
+  // Connect MCP servers so their tools are available in this chat
+  for (const r of await startMcpServers()) {
+    if (!r.ok) console.error(`\x1b[33mMCP: ${r.name} failed (${r.error})\x1b[0m`);
+  }
+
+  // Look after background processes unless a gateway already does
+  const stopSupervisor = startSupervisor({ onEvent: (text) => console.log(`\x1b[2m${text}\x1b[0m`) });
 
   if (opts.new) {
     session = new Session();
@@ -48,9 +59,45 @@ export async function startCLI(opts = {}) {
     prompt: '\x1b[36mYou>\x1b[0m ',
   });
 
-  console.log('\x1b[2mCommands: load <ctx>, drop <ctx>, contexts, search <query>, compact, new, status, quit\x1b[0m\n');
+  console.log('\x1b[2mCommands: load <ctx>, drop <ctx>, contexts, search <query>, compact, thinking, new, status, sessions, switch <id>, fork [turn], rewind [turn], branches, quit — Ctrl+C stops a reply\x1b[0m\n');
   rl.prompt();
 
+  // Ctrl+C stops the reply in progress; at the prompt it exits as before
+  let turnController = null;
+  rl.on('SIGINT', () => {
+    if (turnController) {
+      turnController.abort(); // cancels any approval questions with it
+      return;
+    }
+    rl.close();
+  });
+
+  // Tool calls the approval policy holds are asked about one at a time; the next
+  // line typed answers the open question. A request that ends some other way (timed
+  // out, turn stopped) drops its question, or is never asked if still queued.
+  let answerApproval = null;
+  let asking = Promise.resolve();
+  const approver = (request, { signal } = {}) => {
+    const answer = asking.then(() => new Promise(resolve => {
+      if (signal?.aborted) return resolve();
+      const why = request.reason ? ` (${request.reason})` : '';
+      process.stdout.write(`\n\x1b[33m⚠ Allow ${request.summary}${why}? [y/N]\x1b[0m `);
+      const done = (approved) => {
+        answerApproval = null;
+        signal?.removeEventListener('abort', onSettled);
+        resolve(approved);
+      };
+      const onSettled = () => {
+        process.stdout.write('\x1b[2m(no longer waiting for an answer)\x1b[0m\n');
+        done();
+      };
+      answerApproval = (line) => done(/^y(es)?$/i.test(line.trim()));
+      signal?.addEventListener('abort', onSettled, { once: true });
+    }));
+    asking = answer;
+    return answer;
+  };
+
   // Debounce multiline paste: accumulate lines within 50ms, then process as one
   let pasteBuffer = [];
   let pasteTimer = null;
@@ -63,6 +110,10 @@ export async function startCLI(opts = {}) {
   }
 
   rl.on('line', (line) => {
+    if (answerApproval) {
+      answerApproval(line);
+      return;
+    }
     pasteBuffer.push(line);
     if (pasteTimer) clearTimeout(pasteTimer);
     pasteTimer = setTimeout(processPasteBuffer, 50);
@@ -73,9 +124,9 @@ export async function startCLI(opts = {}) {
 
     try {
       if (input === 'quit' || input === 'exit') {
-        await session.save();
-        console.log('Session saved.');
-        process.exit(0);
+        // The close handler stops MCP servers, saves and exits
+        rl.close();
+        return;
       }
 
       if (input === 'contexts') {
@@ -136,6 +187,14 @@ export async function startCLI(opts = {}) {
         return;
       }
 
+      if (input === 'thinking') {
+        console.log(lastThinking
+          ? `\n\x1b[2m${lastThinking.trim()}\x1b[0m\n`
+          : '\x1b[2mNo reasoning in the last reply.\x1b[0m\n');
+        rl.prompt();
+        return;
+      }
+
       if (input === 'new') {
         await session.save();
         session = new Session();
@@ -166,13 +225,81 @@ export async function startCLI(opts = {}) {
         return;
       }
 
+      if (input.startsWith('switch ')) {
+        const id = input.slice(7).trim();
+        await session.save();
+        session = await Session.resume(id);
+        console.log(`\x1b[32mSwitched to ${session.id} (${session.messages.length} messages)\x1b[0m\n`);
+        rl.prompt();
+        return;
+      }
+
+      const branchCmd = input.match(/^(fork|rewind)(?:\s+(\d+))?$/);
+      if (branchCmd) {
+        const opts = branchCmd[2] ? { turn: parseInt(branchCmd[2], 10) } : {};
+        if (branchCmd[1] === 'fork') {
+          const parent = session.id;
+          session = await session.fork(opts);
+          console.log(`\x1b[32mForked ${parent} after turn ${session.metadata.forkedFrom.turn} — now in ${session.id}\x1b[0m\n`);
+        } else {
+          const { removed, branch } = await session.rewind(opts);
+          console.log(removed
+            ? `\x1b[32mRewound to turn ${session.turns().length} (${removed} messages dropped). Old line saved as ${branch} — "switch ${branch}" to get it back.\x1b[0m\n`
+            : '\x1b[2mNothing to rewind.\x1b[0m\n');
+        }
+        rl.prompt();
+        return;
+      }
+
+      if (input === 'branches') {
+        const from = session.metadata.forkedFrom;
+        if (from) console.log(`\n\x1b[33mForked from:\x1b[0m ${from.id} after turn ${from.turn}`);
+        const branches = await Session.branches(session.id);
+        console.log(`\n\x1b[33mBranches of ${session.id}:\x1b[0m${branches.length ? '' : ' none'}`);
+        for (const b of branches) {
+          console.log(`  ${b.id}  after turn ${b.forkedFrom.turn}  ${b.messageCount} msgs  ${b.lastMessage || ''}`);
+        }
+        console.log();
+        rl.prompt();
+        return;
+      }
+
       // Chat message — stream response with tool use display
       const label = config.agentName;
       process.stdout.write(`\x1b[35m${label}>\x1b[0m `);
       let hasStartedText = false;
+      let thinkingChars = 0;
+      lastThinking = '';
+
+      // Thinking is shown collapsed: one dim line per stretch, full text via "thinking"
+      const flushThinking = () => {
+        if (!thinkingChars) return;
+        process.stdout.write(`\x1b[2m💭 thought for ${thinkingChars.toLocaleString()} chars (type "thinking" to expand)\x1b[0m\n\x1b[35m${label}>\x1b[0m `);
+        thinkingChars = 0;
+        lastThinking += '\n\n';
+      };
+
+      // Output of running tools, a dim line at a time; a call's unfinished last line
+      // waits in `partial` for the rest of it
+      const partial = new Map();
+      const printOutput = (line) => {
+        // Progress bars redraw with \r — keep what the line ended up as
+        const shown = line.split('\r').filter(Boolean).pop() || '';
+        process.stdout.write(`\x1b[2m  │ ${shown.slice(0, 200)}\x1b[0m\n`);
+      };
+      const flushOutput = () => {
+        for (const line of partial.values()) if (line) printOutput(line);
+        partial.clear();
+      };
 
-      for await (const event of session.sendStream(input)) {
-        if (event.type === 'text') {
+      turnController = new AbortController();
+      for await (const event of session.sendStream(input, { signal: turnController.signal, channel: 'cli', approver })) {
+        if (event.type !== 'thinking') flushThinking();
+        if (event.type !== 'tool_progress') flushOutput();
+        if (event.type === 'thinking') {
+          thinkingChars += event.text.length;
+          lastThinking += event.text;
+        } else if (event.type === 'text') {
           hasStartedText = true;
           process.stdout.write(event.text);
         } else if (event.type === 'tool_start') {
@@ -184,6 +311,10 @@ export async function startCLI(opts = {}) {
             .join(', ');
           process.stdout.write(`\x1b[2m  ${icon} ${event.name}(${argsPreview})\x1b[0m\n`);
           hasStartedText = false;
+        } else if (event.type === 'tool_progress') {
+          const lines = ((partial.get(event.index) || '') + event.text).replace(/\r\n/g, '\n').split('\n');
+          partial.set(event.index, lines.pop());
+          for (const line of lines) printOutput(line);
         } else if (event.type === 'tool_result') {
           // Show abbreviated result
           const preview = (event.result || '').split('\n').slice(0, 3).join('\n');
@@ -193,18 +324,25 @@ export async function startCLI(opts = {}) {
           // Next text from the model needs the prefix again
           process.stdout.write(`\x1b[35m${label}>\x1b[0m `);
           hasStartedText = false;
+        } else if (event.type === 'interrupted') {
+          process.stdout.write(`${hasStartedText ? '\n' : ''}\x1b[33m⏹ Stopped.\x1b[0m`);
         }
       }
+      flushThinking();
       console.log('\n');
 
     } catch (err) {
       console.error(`\x1b[31mError: ${err.message}\x1b[0m\n`);
+    } finally {
+      turnController = null;
     }
 
     rl.prompt();
   }
 
   rl.on('close', async () => {
+    await stopSupervisor();
+    await stopMcpServers();
     await session.save();
     console.log('\nSession saved.');
     process.exit(0);
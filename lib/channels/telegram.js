@@ -3,11 +3,14 @@ import { buildSystemPrompt } from '../identity.js';
 import { getCredential } from '../credentials.js';
 import { formatBudgetStatus } from '../cost-tracker.js';
 import { runDoctorHeadless } from '../doctor.js';
+import { toContentBlock } from '../attachments.js';
+import { registerApprover, resolveApproval } from '../approvals.js';
 import { readFile, writeFile, mkdir } from 'node:fs/promises';
 import { join } from 'node:path';
 import config from '../../config.js';
 
 const API_BASE = 'https://api.telegram.org/bot';
+const FILE_BASE = 'https://api.telegram.org/file/bot';
 const SESSIONS_FILE = join(config.dataDir, 'telegram-sessions.json');
 const MAX_MESSAGE_LENGTH = 4096;
 const PROMPT_STALE_MS = 5 * 60 * 1000; // 5 minutes
@@ -15,6 +18,8 @@ const EDIT_RATE_MS = 1200; // minimum ms between edits
 
 // In-memory session cache: chatId → { session, promptBuiltAt }
 const sessionCache = new Map();
+// Replies in progress: chatId → AbortController, for /stop
+const runningTurns = new Map();
 
 // Load chat-to-session mapping
 async function loadSessionMap() {
@@ -71,6 +76,76 @@ async function sendMessage(token, chatId, text, opts = {}) {
   return firstResult;
 }
 
+// Reasoning goes out as its own message in a collapsed (expandable) blockquote
+async function sendThinking(token, chatId, text) {
+  const escaped = text.trim().replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const body = escaped.length > MAX_MESSAGE_LENGTH - 100
+    ? escaped.slice(0, MAX_MESSAGE_LENGTH - 120) + '…'
+    : escaped;
+  try {
+    await sendMessage(token, chatId, `💭 <b>Thinking</b>\n<blockquote expandable>${body}</blockquote>`, { parseMode: 'HTML' });
+  } catch (err) {
+    console.error(`Telegram: failed to send thinking: ${err.message}`);
+  }
+}
+
+// Download a photo or document sent to the bot as a content block for the session.
+// Bots can only fetch files up to 20MB.
+async function downloadAttachment(token, message) {
+  const photo = message.photo?.at(-1); // sizes ascending — take the largest
+  const doc = message.document;
+  const fileId = photo?.file_id || doc?.file_id;
+  if (!fileId) return null;
+
+  const file = await tg(token, 'getFile', { file_id: fileId });
+  const res = await fetch(`${FILE_BASE}${token}/${file.file_path}`);
+  if (!res.ok) throw new Error(`Telegram file download failed: ${res.status}`);
+  return toContentBlock({
+    data: Buffer.from(await res.arrayBuffer()),
+    mediaType: photo ? 'image/jpeg' : doc.mime_type,
+    name: doc?.file_name || 'photo.jpg',
+  });
+}
+
+// --- Approvals ---
+
+// An approve / deny prompt with inline buttons; the answer comes back as a callback_query
+async function askApproval(token, chatId, request) {
+  const why = request.reason ? ` (${request.reason})` : '';
+  const from = request.channel && request.channel !== 'telegram'
+    ? `\nFrom: ${request.channel}${request.tier ? ` (${request.tier})` : ''}`
+    : '';
+  await tg(token, 'sendMessage', {
+    chat_id: chatId,
+    text: `⚠️ Approval needed${why}${from}\n\n${request.summary}`,
+    reply_markup: {
+      inline_keyboard: [[
+        { text: '✅ Approve', callback_data: `approve:${request.id}` },
+        { text: '❌ Deny', callback_data: `deny:${request.id}` },
+      ]],
+    },
+  });
+}
+
+async function handleCallback(token, query, allowedChatIds) {
+  const match = /^(approve|deny):(\w+)$/.exec(query.data || '');
+  const chatId = query.message?.chat?.id;
+  if (!match || (allowedChatIds.length > 0 && !allowedChatIds.includes(String(chatId)))) {
+    await tg(token, 'answerCallbackQuery', { callback_query_id: query.id, text: 'Not authorized.' });
+    return;
+  }
+  const approved = match[1] === 'approve';
+  const answered = resolveApproval(match[2], approved, 'telegram');
+  const outcome = !answered ? 'Already answered or expired' : approved ? 'Approved' : 'Denied';
+  await tg(token, 'answerCallbackQuery', { callback_query_id: query.id, text: outcome });
+  // Editing the text drops the buttons
+  await tg(token, 'editMessageText', {
+    chat_id: chatId,
+    message_id: query.message.message_id,
+    text: `${query.message.text}\n\n${answered ? (approved ? '✅' : '❌') : '⌛'} ${outcome}`,
+  }).catch(() => {});
+}
+
 async function sendTyping(token, chatId) {
   try {
     await tg(token, 'sendChatAction', { chat_id: chatId, action: 'typing' });
@@ -113,7 +188,10 @@ async function getSession(chatId, sessionMap) {
 const COMMANDS = {
   '/new': { desc: 'Start a new session', handler: handleNewSession },
   '/sessions': { desc: 'List recent sessions', handler: handleListSessions },
-  '/switch': { desc: 'Switch to a session by ID', handler: handleSwitchSession },
+  '/switch': { desc: 'Switch to a session by ID (no ID: list branches)', handler: handleSwitchSession },
+  '/fork': { desc: 'Fork this session into a new one (/fork 3 keeps turns 1-3)', handler: handleFork },
+  '/stop': { desc: 'Stop the reply in progress', handler: handleStop },
+  '/rewind': { desc: 'Undo the last turn (/rewind 3 goes back to turn 3)', handler: handleRewind },
   '/cost': { desc: 'Show today\'s budget usage', handler: handleCost },
   '/doctor': { desc: 'Run diagnostics', handler: handleDoctor },
   '/clear': { desc: 'Clear current session history', handler: handleClear },
@@ -152,20 +230,88 @@ async function handleListSessions(token, chatId) {
 async function handleSwitchSession(token, chatId, args, sessionMap) {
   const targetId = args.trim();
   if (!targetId) {
-    await sendMessage(token, chatId, 'Usage: /switch <session-id>');
+    await sendMessage(token, chatId, await describeBranches(String(chatId), sessionMap));
     return;
   }
   try {
     const session = await Session.resume(targetId);
-    sessionMap[String(chatId)] = session.id;
-    await saveSessionMap(sessionMap);
-    sessionCache.set(String(chatId), { session, promptBuiltAt: Date.now() });
+    await useSession(chatId, session, sessionMap);
     await sendMessage(token, chatId, `Switched to session ${session.id} (${session.messages.length} messages)`);
   } catch {
     await sendMessage(token, chatId, `Session "${targetId}" not found.`);
   }
 }
 
+async function useSession(chatId, session, sessionMap) {
+  sessionMap[String(chatId)] = session.id;
+  await saveSessionMap(sessionMap);
+  sessionCache.set(String(chatId), { session, promptBuiltAt: Date.now() });
+}
+
+// The current session's parent and branches, for /switch without an ID
+async function describeBranches(chatId, sessionMap) {
+  const session = await getSession(chatId, sessionMap);
+  const lines = [`Current session: \`${session.id}\` (${session.turns().length} turns)`];
+  const from = session.metadata.forkedFrom;
+  if (from) lines.push(`Forked from \`${from.id}\` after turn ${from.turn}`);
+  const branches = await Session.branches(session.id);
+  if (branches.length) {
+    lines.push('', 'Branches:');
+    for (const b of branches.slice(0, 10)) {
+      lines.push(`\`${b.id}\` — after turn ${b.forkedFrom.turn}, ${b.messageCount} msgs${b.lastMessage ? `\n   ${b.lastMessage}` : ''}`);
+    }
+  }
+  lines.push('', 'Usage: /switch <session-id>');
+  return lines.join('\n');
+}
+
+// Turn number from a command argument; null when absent, NaN when not a number
+function parseTurn(args) {
+  const arg = args.trim();
+  return arg ? parseInt(arg, 10) : null;
+}
+
+async function handleFork(token, chatId, args, sessionMap) {
+  const turn = parseTurn(args);
+  if (Number.isNaN(turn)) {
+    await sendMessage(token, chatId, 'Usage: /fork [turn]');
+    return;
+  }
+  const session = await getSession(String(chatId), sessionMap);
+  const branch = await session.fork(turn == null ? {} : { turn });
+  await useSession(chatId, branch, sessionMap);
+  await sendMessage(token, chatId, `Forked \`${session.id}\` after turn ${branch.metadata.forkedFrom.turn} — now in \`${branch.id}\`. /switch ${session.id} to go back.`);
+}
+
+async function handleRewind(token, chatId, args, sessionMap) {
+  const turn = parseTurn(args);
+  if (Number.isNaN(turn)) {
+    await sendMessage(token, chatId, 'Usage: /rewind [turn]');
+    return;
+  }
+  const session = await getSession(String(chatId), sessionMap);
+  const { removed, branch } = await session.rewind(turn == null ? {} : { turn });
+  if (!removed) {
+    await sendMessage(token, chatId, 'Nothing to rewind.');
+    return;
+  }
+  await sendMessage(token, chatId, `Rewound to turn ${session.turns().length} (${removed} messages dropped). The old line is saved as \`${branch}\` — /switch ${branch} to get it back.`);
+}
+
+async function handleStop(token, chatId) {
+  const controller = runningTurns.get(String(chatId));
+  if (!controller) {
+    await sendMessage(token, chatId, 'Nothing to stop.');
+    return;
+  }
+  controller.abort();
+}
+
+// /stop can't wait in line behind the reply it's meant to stop
+function isStopCommand(message) {
+  return /^\/stop(@\S+)?$/i.test(message.text?.trim() || '');
+}
+
 async function handleCost(token, chatId) {
   const status = await formatBudgetStatus();
   await sendMessage(token, chatId, status);
@@ -214,9 +360,10 @@ function timeSince(date) {
 // Handle a single incoming message with streaming edit-in-place
 async function handleMessage(token, message, sessionMap, allowedChatIds) {
   const chatId = message.chat.id;
-  const text = message.text;
+  const text = message.text ?? message.caption ?? '';
+  const hasFile = !!(message.photo || message.document);
 
-  if (!text) return; // Ignore non-text messages
+  if (!text && !hasFile) return; // Ignore stickers, voice, etc.
 
   // Authorization check
   if (allowedChatIds.length > 0 && !allowedChatIds.includes(String(chatId))) {
@@ -226,7 +373,7 @@ async function handleMessage(token, message, sessionMap, allowedChatIds) {
   }
 
   // Handle slash commands
-  if (text.startsWith('/')) {
+  if (message.text?.startsWith('/')) {
     const [cmd, ...rest] = text.split(' ');
     const command = COMMANDS[cmd.toLowerCase().replace(/@.*$/, '')]; // strip @botname suffix
     if (command) {
@@ -240,6 +387,16 @@ async function handleMessage(token, message, sessionMap, allowedChatIds) {
     // Unknown command — fall through to agent (might be intentional like "/start")
   }
 
+  let attachments = [];
+  if (hasFile) {
+    try {
+      attachments = [await downloadAttachment(token, message)];
+    } catch (err) {
+      await sendMessage(token, chatId, `Couldn't read that file: ${err.message}`);
+      return;
+    }
+  }
+
   const session = await getSession(String(chatId), sessionMap);
 
   // Show typing indicator immediately — delay the placeholder message
@@ -251,6 +408,7 @@ async function handleMessage(token, message, sessionMap, allowedChatIds) {
   let lastEditTime = 0;
   let editTimer = null;
   let fullResponse = '';
+  let thinking = '';
 
   // Send or edit the response message
   async function sendOrEdit(text) {
@@ -296,18 +454,43 @@ async function handleMessage(token, message, sessionMap, allowedChatIds) {
     }
   }
 
-  // Keep typing indicator alive until first message is sent
+  // Keep typing indicator alive until first message is sent, and while tools run
+  // (a long command would otherwise leave the chat looking stalled)
+  let toolsRunning = false;
   const typingInterval = setInterval(() => {
-    if (!messageId) sendTyping(token, chatId);
+    if (!messageId || toolsRunning) sendTyping(token, chatId);
   }, 4000);
 
+  const controller = new AbortController();
+  runningTurns.set(String(chatId), controller);
+
   try {
-    for await (const event of session.sendStream(text)) {
+    for await (const event of session.sendStream(text, {
+      attachments,
+      signal: controller.signal,
+      channel: 'telegram',
+      approver: (request) => askApproval(token, chatId, request),
+    })) {
+      if (event.type === 'thinking') {
+        thinking += event.text;
+        continue;
+      }
+      if (thinking.trim()) {
+        await sendThinking(token, chatId, thinking);
+      }
+      thinking = '';
       if (event.type === 'text') {
         fullResponse += event.text;
         scheduleEdit(fullResponse.trim());
+      } else if (event.type === 'tool_start') {
+        toolsRunning = true;
+      } else if (event.type === 'tool_result') {
+        toolsRunning = false;
+      } else if (event.type === 'interrupted') {
+        fullResponse += '\n\n⏹ Stopped.';
       }
     }
+    if (thinking.trim()) await sendThinking(token, chatId, thinking);
 
     // Clear any pending edit timer
     if (editTimer) {
@@ -367,6 +550,7 @@ async function handleMessage(token, message, sessionMap, allowedChatIds) {
   } finally {
     clearInterval(typingInterval);
     if (editTimer) clearTimeout(editTimer);
+    if (runningTurns.get(String(chatId)) === controller) runningTurns.delete(String(chatId));
   }
 }
 
@@ -394,9 +578,16 @@ export async function startTelegramBot() {
     console.error(`Telegram: failed to set commands menu: ${err.message}`);
   }
 
+  // Unattended turns (heartbeat, crons) ask the primary chat
+  const approvalChat = await getCredential('telegram_chat_id') || allowedChatIds[0];
+  const unregisterApprover = approvalChat
+    ? registerApprover('telegram', (request) => askApproval(token, approvalChat, request))
+    : () => {};
+
   const sessionMap = await loadSessionMap();
   let offset = 0;
   let running = true;
+  let queue = Promise.resolve(); // messages waiting on the one being answered
 
   // Long polling loop
   const poll = async () => {
@@ -405,15 +596,28 @@ export async function startTelegramBot() {
         const updates = await tg(token, 'getUpdates', {
           offset,
           timeout: 30,
-          allowed_updates: ['message'],
+          allowed_updates: ['message', 'callback_query'],
         });
 
         for (const update of updates) {
           offset = update.update_id + 1;
-          if (update.message) {
-            // Handle messages sequentially to avoid session race conditions
-            await handleMessage(token, update.message, sessionMap, allowedChatIds);
+          // Approval buttons — answered at once, since the turn asking is what the queue waits on
+          if (update.callback_query) {
+            handleCallback(token, update.callback_query, allowedChatIds)
+              .catch(err => console.error(`Telegram: approval answer failed: ${err.message}`));
+            continue;
+          }
+          if (!update.message) continue;
+          if (isStopCommand(update.message)) {
+            handleMessage(token, update.message, sessionMap, allowedChatIds)
+              .catch(err => console.error(`Telegram: /stop failed: ${err.message}`));
+            continue;
           }
+          // Handle messages sequentially to avoid session race conditions
+          const message = update.message;
+          queue = queue
+            .then(() => handleMessage(token, message, sessionMap, allowedChatIds))
+            .catch(err => console.error(`Telegram: error handling message: ${err.message}`));
         }
       } catch (err) {
         if (!running) break;
@@ -428,7 +632,10 @@ export async function startTelegramBot() {
   poll();
 
   // Return stop function + bot info
-  const stop = () => { running = false; };
+  const stop = () => {
+    running = false;
+    unregisterApprover();
+  };
   stop.botName = me.username;
   return stop;
 }
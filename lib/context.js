@@ -78,7 +78,7 @@ function stringifyFrontmatter(content, data) {
 }
 
 // Rough token estimate: ~4 chars per token
-function estimateTokens(text) {
+export function estimateTokens(text) {
   return Math.ceil(text.length / 4);
 }
 
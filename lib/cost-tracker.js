@@ -10,6 +10,9 @@ const RATES = {
   'anthropic/claude-sonnet-4-5-20250514': { input: 3.00, output: 15.00 },
   'anthropic/claude-haiku-4-5-20251001': { input: 0.80, output: 4.00 },
   'openai/o3': { input: 2.00, output: 8.00 },
+  'gemini/gemini-2.5-pro': { input: 1.25, output: 10.00 },
+  'gemini/gemini-2.5-flash': { input: 0.30, output: 2.50 },
+  'gemini/gemini-2.5-flash-lite': { input: 0.10, output: 0.40 },
   'openrouter/google/gemini-3-flash-preview': { input: 0.10, output: 0.40 },
   'openrouter/google/gemini-2.0-flash-lite-001': { input: 0.04, output: 0.15 },
   'openrouter/moonshotai/kimi-k2.5': { input: 0.20, output: 0.80 },
@@ -17,16 +20,53 @@ const RATES = {
   '_default': { input: 1.00, output: 4.00 },
 };
 
+// Primary spec for a role — roles may list several specs for failover
 function getModelKey(role) {
-  const spec = config.models[role];
+  const entry = config.models[role] || config.models.default;
+  const spec = Array.isArray(entry) ? entry[0] : entry;
   if (!spec) return null;
   return `${spec.provider}/${spec.model}`;
 }
 
+// Models served on this machine (ollama, llama.cpp, LM Studio) are free
+const LOCAL_RATES = { input: 0, output: 0, cacheRead: 0, cacheWrite: 0 };
+const LOCAL_PREFIXES = ['ollama/', 'llamacpp/', 'lmstudio/'];
+
 function getRates(modelKey) {
+  if (LOCAL_PREFIXES.some(p => modelKey?.startsWith(p))) return LOCAL_RATES;
   return RATES[modelKey] || RATES['_default'];
 }
 
+// Prompt-cache tokens are priced relative to the input rate unless a model
+// sets its own: writes cost 25% more, reads 90% less (Anthropic pricing)
+const CACHE_WRITE_MULTIPLIER = 1.25;
+const CACHE_READ_MULTIPLIER = 0.1;
+
+function usageCost(modelKey, usage) {
+  const rates = getRates(modelKey);
+  const cacheWriteRate = rates.cacheWrite ?? rates.input * CACHE_WRITE_MULTIPLIER;
+  const cacheReadRate = rates.cacheRead ?? rates.input * CACHE_READ_MULTIPLIER;
+  return (
+    usage.input * rates.input
+    + usage.output * rates.output
+    + (usage.cacheWrite || 0) * cacheWriteRate
+    + (usage.cacheRead || 0) * cacheReadRate
+  ) / 1_000_000;
+}
+
+function hasTokens(usage) {
+  return usage && (usage.input || usage.output || usage.cacheRead || usage.cacheWrite);
+}
+
+// Add one call's usage to a byRole/byModel tally
+function addUsage(tally, usage, cost) {
+  tally.input += usage.input;
+  tally.output += usage.output;
+  if (usage.cacheRead) tally.cacheRead = (tally.cacheRead || 0) + usage.cacheRead;
+  if (usage.cacheWrite) tally.cacheWrite = (tally.cacheWrite || 0) + usage.cacheWrite;
+  tally.cost = Math.round((tally.cost + cost) * 1_000_000) / 1_000_000;
+}
+
 function todayKey() {
   const now = new Date();
   return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
@@ -51,27 +91,24 @@ async function saveLog(log) {
 /**
  * Calculate cost for a given role and usage without persisting.
  * @param {string} role - Model role
- * @param {object} usage - { input, output } token counts
+ * @param {object} usage - { input, output, cacheRead?, cacheWrite? } token counts, plus `model` ("provider/model") when known
  * @returns {number} Cost in USD
  */
 export function calcCost(role, usage) {
-  if (!usage || (!usage.input && !usage.output)) return 0;
-  const modelKey = getModelKey(role);
-  const rates = getRates(modelKey);
-  return (usage.input * rates.input + usage.output * rates.output) / 1_000_000;
+  if (!hasTokens(usage)) return 0;
+  return usageCost(usage.model || getModelKey(role), usage);
 }
 
 /**
  * Track token usage after an API call.
  * @param {string} role - Model role (default, quick, deep, browser, etc.)
- * @param {object} usage - { input, output } token counts
+ * @param {object} usage - { input, output, cacheRead?, cacheWrite? } token counts, plus `model` for the spec that answered
  */
 export async function trackUsage(role, usage) {
-  if (!usage || (!usage.input && !usage.output)) return;
+  if (!hasTokens(usage)) return;
 
-  const modelKey = getModelKey(role);
-  const rates = getRates(modelKey);
-  const cost = (usage.input * rates.input + usage.output * rates.output) / 1_000_000;
+  const modelKey = usage.model || getModelKey(role);
+  const cost = usageCost(modelKey, usage);
 
   const log = await loadLog();
   const day = todayKey();
@@ -87,10 +124,15 @@ export async function trackUsage(role, usage) {
   if (!entry.byRole[role]) {
     entry.byRole[role] = { input: 0, output: 0, cost: 0 };
   }
-  const roleEntry = entry.byRole[role];
-  roleEntry.input += usage.input;
-  roleEntry.output += usage.output;
-  roleEntry.cost = Math.round((roleEntry.cost + cost) * 1_000_000) / 1_000_000;
+  addUsage(entry.byRole[role], usage, cost);
+
+  if (modelKey) {
+    if (!entry.byModel) entry.byModel = {};
+    if (!entry.byModel[modelKey]) {
+      entry.byModel[modelKey] = { input: 0, output: 0, cost: 0 };
+    }
+    addUsage(entry.byModel[modelKey], usage, cost);
+  }
 
   // Prune entries older than 30 days
   const keys = Object.keys(log).sort();
@@ -127,18 +169,35 @@ export async function checkBudget() {
     warning: daily.totalCost >= warnAt,
     calls: daily.calls,
     byRole: daily.byRole,
+    byModel: daily.byModel || {},
   };
 }
 
+function formatTally(data) {
+  let line = `${data.input.toLocaleString()} in / ${data.output.toLocaleString()} out`;
+  if (data.cacheRead || data.cacheWrite) {
+    line += ` (cache: ${(data.cacheRead || 0).toLocaleString()} read / ${(data.cacheWrite || 0).toLocaleString()} written)`;
+  }
+  return `${line} — $${data.cost.toFixed(4)}`;
+}
+
 /**
  * Format the budget status for display.
  */
 export async function formatBudgetStatus() {
-  const { spend, limit, calls, byRole } = await checkBudget();
+  const { spend, limit, calls, byRole, byModel } = await checkBudget();
   const lines = [`Budget: $${spend.toFixed(2)} / $${limit.toFixed(2)} today (${calls} calls)`];
 
   for (const [role, data] of Object.entries(byRole)) {
-    lines.push(`  ${role}: ${data.input.toLocaleString()} in / ${data.output.toLocaleString()} out — $${data.cost.toFixed(4)}`);
+    lines.push(`  ${role}: ${formatTally(data)}`);
+  }
+
+  // Per-model breakdown shows which failover specs actually answered
+  if (Object.keys(byModel).length) {
+    lines.push('By model:');
+    for (const [model, data] of Object.entries(byModel)) {
+      lines.push(`  ${model}: ${formatTally(data)}`);
+    }
   }
 
   return lines.join('\n');
@@ -287,7 +287,7 @@ ${dailyContext}
 Execute this task. Use your tools as needed. Be efficient. Log what you did to the journal under "Cron Log".`;
 
   let responseText = '';
-  for await (const event of session.sendStream(prompt)) {
+  for await (const event of session.sendStream(prompt, { channel: 'cron' })) {
     if (event.type === 'text') {
       responseText += event.text;
     }
@@ -1,7 +1,8 @@
-import { readdir, mkdir, writeFile, readFile, unlink } from 'node:fs/promises';
+import { readdir, mkdir, writeFile, readFile, unlink, stat } from 'node:fs/promises';
 import { join } from 'node:path';
 import { existsSync } from 'node:fs';
 import { pathToFileURL } from 'node:url';
+import { sandboxSettings, describeCustomTools, runSandboxedTool } from './sandbox.js';
 import config from '../config.js';
 
 const TOOLS_DIR = join(config.dataDir, 'custom-tools');
@@ -119,6 +120,45 @@ async function quarantine(file, reason) {
   console.error(`Custom tool ${file}: quarantined — ${reason}`);
 }
 
+// ── Loading & running ──────────────────────────────────────────────
+// Loading and creating a tool never import its module here: the sandbox runner
+// reports what each file exports, whether or not the sandbox is on. A call runs in
+// the sandbox when its session's is on (config.sandbox.enabled, or the outfit's);
+// only a call from an unsandboxed session imports the module into this process.
+
+// file → the imported module's default export, for unsandboxed calls
+let imported = new Map();
+// file → { mtimeMs, tool } from the sandbox runner, so unchanged files aren't re-read
+const described = new Map();
+
+async function importTool(file) {
+  // Use cache-busting query param so re-imports pick up changes
+  const url = pathToFileURL(join(TOOLS_DIR, file)).href + `?t=${Date.now()}`;
+  const mod = await import(url);
+  return mod.default;
+}
+
+async function describeInSandbox(files, settings) {
+  const stale = [];
+  for (const file of files) {
+    const { mtimeMs } = await stat(join(TOOLS_DIR, file));
+    if (described.get(file)?.mtimeMs !== mtimeMs) stale.push({ file, mtimeMs });
+  }
+  const results = await describeCustomTools(stale.map(s => join(TOOLS_DIR, s.file)), settings);
+  stale.forEach((s, i) => described.set(s.file, { mtimeMs: s.mtimeMs, tool: results[i] }));
+  for (const file of described.keys()) {
+    if (!files.includes(file)) described.delete(file);
+  }
+  return new Map(files.map(file => [file, described.get(file).tool]));
+}
+
+async function runCustomTool(file, args, session, ctx) {
+  const settings = sandboxSettings(session);
+  if (settings) return runSandboxedTool(join(TOOLS_DIR, file), args, session, settings, ctx);
+  if (!imported.has(file)) imported.set(file, await importTool(file));
+  return imported.get(file).execute(args, session, ctx);
+}
+
 /**
  * Load all custom tools from ~/.betterclaw/custom-tools/
  * Each file should export default { name, description, parameters, execute }
@@ -130,16 +170,15 @@ export async function loadCustomTools() {
   const files = await readdir(TOOLS_DIR);
   const jsFiles = files.filter(f => f.endsWith('.js'));
 
+  const tools = await describeInSandbox(jsFiles, sandboxSettings(null, { always: true }));
   const loaded = [];
   const seenNames = new Set();
+  imported = new Map();
 
   for (const file of jsFiles) {
     try {
-      const fullPath = join(TOOLS_DIR, file);
-      // Use cache-busting query param so re-imports pick up changes
-      const url = pathToFileURL(fullPath).href + `?t=${Date.now()}`;
-      const mod = await import(url);
-      const tool = mod.default;
+      const tool = tools.get(file);
+      if (tool.error) throw new Error(tool.error);
 
       // ── Validation gate ──
       if (!tool?.name || !tool?.execute) {
@@ -174,7 +213,7 @@ export async function loadCustomTools() {
         name: tool.name,
         description: tool.description || `Custom tool: ${tool.name}`,
         parameters: params,
-        execute: tool.execute,
+        execute: (args, session, ctx) => runCustomTool(file, args, session, ctx),
         _source: file,
         _custom: true,
       });
@@ -262,9 +301,8 @@ ${code.split('\n').map(line => '    ' + line).join('\n')}
 
   // Try to load it — verify it actually works before reporting success
   try {
-    const url = pathToFileURL(filePath).href + `?t=${Date.now()}`;
-    const mod = await import(url);
-    const tool = mod.default;
+    const [tool] = await describeCustomTools([filePath], sandboxSettings(null, { always: true }));
+    if (tool.error) throw new Error(tool.error);
 
     if (!tool?.name || !tool?.execute) {
       await unlink(filePath);
@@ -288,23 +326,12 @@ ${code.split('\n').map(line => '    ' + line).join('\n')}
  * Delete a custom tool
  */
 export async function deleteCustomTool(name) {
-  await ensureToolsDir();
-  const files = await readdir(TOOLS_DIR);
-
-  for (const file of files) {
-    if (!file.endsWith('.js')) continue;
-    try {
-      const fullPath = join(TOOLS_DIR, file);
-      const url = pathToFileURL(fullPath).href + `?t=${Date.now()}`;
-      const mod = await import(url);
-      if (mod.default?.name === name) {
-        await unlink(fullPath);
-        await loadCustomTools(); // Reload
-        return true;
-      }
-    } catch {}
-  }
-  return false;
+  // Find it by what loading made of each file — without importing them again
+  const tool = (await loadCustomTools()).find(t => t.name === name);
+  if (!tool) return false;
+  await unlink(join(TOOLS_DIR, tool._source));
+  await loadCustomTools(); // Reload
+  return true;
 }
 
 /**
@@ -28,23 +28,37 @@ const PROVIDER_CRED = {
   openrouter: 'openrouter_api_key',
   together: 'together_api_key',
   groq: 'groq_api_key',
+  gemini: 'gemini_api_key',
   ollama: null,
+  llamacpp: null,
+  lmstudio: null,
   pollinations: null,
   generic: null,
 };
 
+const LOCAL_LABELS = { ollama: 'Ollama', llamacpp: 'llama.cpp', lmstudio: 'LM Studio' };
+
+// A model role is one spec or an ordered failover list of specs
+function roleSpecs(entry) {
+  return (Array.isArray(entry) ? entry : [entry]).filter(s => s?.provider);
+}
+
+function formatChain(entry) {
+  return roleSpecs(entry).map(s => `${s.provider}/${s.model || 'auto'}`).join(' → ');
+}
+
 // ── Checks ───────────────────────────────────────────────────────
 
 async function checkConfig() {
   console.log(`\n${bold}Config Health${reset}`);
 
-  const defaultModel = config.models?.default;
+  const [defaultModel, ...fallbacks] = roleSpecs(config.models?.default);
   if (!defaultModel) {
     fail('No default model configured. Run: betterbot init');
     return false;
   }
 
-  ok(`Default model: ${defaultModel.provider}/${defaultModel.model}`);
+  ok(`Default model: ${formatChain(config.models.default)}`);
 
   const credKey = PROVIDER_CRED[defaultModel.provider];
   if (credKey) {
@@ -55,15 +69,23 @@ async function checkConfig() {
       fail(`Missing API key: ${credKey}. Run: betterbot creds set ${credKey} <your-key>`);
       return false;
     }
-  } else if (defaultModel.provider === 'ollama') {
-    ok('Ollama (no API key needed)');
+  } else if (LOCAL_LABELS[defaultModel.provider]) {
+    ok(`${LOCAL_LABELS[defaultModel.provider]} (local, no API key needed)`);
+  }
+
+  // Fallbacks without a key are skipped at failover time — worth knowing before it matters
+  for (const spec of fallbacks) {
+    const fallbackKey = PROVIDER_CRED[spec.provider];
+    if (fallbackKey && !(await getCredential(fallbackKey))) {
+      warn(`Fallback ${spec.provider}/${spec.model} has no API key (${fallbackKey})`);
+    }
   }
 
   // Show other configured roles
   for (const role of ['quick', 'router', 'deep', 'browser']) {
     const spec = config.models[role];
     if (spec) {
-      info(`${role}: ${spec.provider}/${spec.model}`);
+      info(`${role}: ${formatChain(spec)}`);
     } else {
       info(`${role}: falls back to default`);
     }
@@ -184,27 +206,83 @@ async function checkQuarantine() {
   }
 }
 
+// Sessions saved before the canonical history format (one shape for every provider)
+async function checkSessions(fix = false) {
+  console.log(`\n${bold}Sessions${reset}`);
+
+  const { migrateSessions } = await import('./session.js');
+  const { outdated, failed } = await migrateSessions({ dryRun: !fix });
+  for (const file of failed) warn(`${file}: unreadable session file`);
+
+  if (outdated.length === 0) {
+    ok('All sessions use the current history format');
+  } else if (fix) {
+    ok(`Migrated ${outdated.length} session(s) to the current history format`);
+  } else {
+    warn(`${outdated.length} session(s) in the old history format (they convert when resumed, --fix rewrites them all)`);
+  }
+  return outdated;
+}
+
+// What each data directory holds, and what the retention policy would prune
+async function checkDiskUsage(fix = false) {
+  console.log(`\n${bold}Disk Usage${reset}`);
+
+  const { diskUsage, pruneSessions, formatBytes } = await import('./retention.js');
+  const usage = await diskUsage();
+  if (!usage.length) {
+    info(`Nothing in ${config.dataDir} yet`);
+    return 0;
+  }
+  const total = usage.reduce((n, u) => n + u.bytes, 0);
+  for (const u of usage) info(`${u.name.padEnd(22)} ${formatBytes(u.bytes).padStart(9)}  ${u.files} file(s)`);
+  ok(`${formatBytes(total)} in ${config.dataDir}`);
+
+  const { archived, deleted, logs, outputs, freed } = await pruneSessions({ dryRun: !fix });
+  const count = archived.length + deleted.length + logs.length + outputs.length;
+  if (count === 0) {
+    ok('Nothing past the retention policy');
+  } else if (fix) {
+    ok(`Pruned: ${archived.length} session(s) archived, ${deleted.length} archive(s), ${logs.length} log(s) and ${outputs.length} tool output(s) deleted — ${formatBytes(freed)} freed`);
+  } else {
+    warn(`${archived.length} session(s) to archive, ${deleted.length} archive(s), ${logs.length} log(s) and ${outputs.length} tool output(s) to delete — ${formatBytes(freed)} (--fix or 'betterbot sessions prune')`);
+  }
+  return count;
+}
+
 async function checkModelConnectivity() {
   console.log(`\n${bold}Model Connectivity${reset}`);
 
-  const defaultModel = config.models?.default;
-  if (!defaultModel) {
+  if (!roleSpecs(config.models?.default).length) {
     fail('No default model to test');
     return false;
   }
 
+  const { createProvider, getLocalServers } = await import('./provider.js');
+
+  // Local servers (llama.cpp, LM Studio) for any role: up, model loaded, context size
+  for (const { provider, roles } of getLocalServers()) {
+    const health = await provider.health();
+    const where = `${provider.label} (${roles.join(', ')})`;
+    if (health.ok) {
+      const ctx = health.contextWindow ? `, ${health.contextWindow.toLocaleString()}-token context` : '';
+      ok(`${where}: ${health.model} loaded${ctx}`);
+    } else {
+      fail(`${where}: ${health.error}`);
+    }
+  }
+
   try {
-    const { createProvider } = await import('./provider.js');
     const provider = createProvider('default');
 
-    info(`Testing ${defaultModel.provider}/${defaultModel.model}...`);
+    info(`Testing ${formatChain(config.models.default)}...`);
     const response = await provider.chat(
       [{ role: 'user', content: 'Reply with exactly: ok' }],
       { maxTokens: 5 }
     );
 
     if (response?.content) {
-      ok(`Model responded: "${response.content.slice(0, 20).trim()}"`);
+      ok(`Model responded: "${response.content.slice(0, 20).trim()}" (${provider.lastModel})`);
       return true;
     } else {
       fail('Model returned empty response');
@@ -286,11 +364,13 @@ export async function runDoctor(args = []) {
   await checkConfig();
   const { broken, duplicates } = await checkCustomTools(fix);
   await checkQuarantine();
+  const outdatedSessions = await checkSessions(fix);
+  const prunable = await checkDiskUsage(fix);
   await checkModelConnectivity();
   await checkGateway();
 
   // Summary
-  const issues = broken.length + duplicates.length;
+  const issues = broken.length + duplicates.length + outdatedSessions.length + prunable;
   console.log();
   if (issues === 0) {
     console.log(`${green}All checks passed.${reset}`);
@@ -345,10 +425,10 @@ export async function runDoctorHeadless() {
   }
 
   // 4. Check credential/model alignment
-  for (const [role, spec] of Object.entries(config.models || {})) {
-    if (!spec?.provider) continue;
-    const credKey = PROVIDER_CRED[spec.provider];
-    if (credKey) {
+  for (const [role, entry] of Object.entries(config.models || {})) {
+    for (const spec of roleSpecs(entry)) {
+      const credKey = PROVIDER_CRED[spec.provider];
+      if (!credKey) continue;
       try {
         const key = await getCredential(credKey);
         if (!key) results.warnings.push(`Model role "${role}" uses ${spec.provider} but ${credKey} is not set`);
@@ -356,5 +436,31 @@ export async function runDoctorHeadless() {
     }
   }
 
+  // 5. Sessions in the old history format
+  try {
+    const { migrateSessions } = await import('./session.js');
+    const { outdated } = await migrateSessions();
+    if (outdated.length) results.fixed.push(`Migrated ${outdated.length} session(s) to the current history format`);
+  } catch (err) {
+    results.warnings.push(`Session migration failed: ${err.message}`);
+  }
+
+  // 6. Data dir size
+  try {
+    const { diskUsage, formatBytes } = await import('./retention.js');
+    const total = (await diskUsage()).reduce((n, u) => n + u.bytes, 0);
+    results.ok.push(`Data dir: ${formatBytes(total)}`);
+  } catch {}
+
+  // 7. Local model servers are up with a model loaded
+  try {
+    const { getLocalServers } = await import('./provider.js');
+    for (const { provider, roles } of getLocalServers()) {
+      const health = await provider.health();
+      if (health.ok) results.ok.push(`${provider.label}: ${health.model} loaded`);
+      else results.warnings.push(`${provider.label} (${roles.join(', ')}): ${health.error}`);
+    }
+  } catch {}
+
   return results;
 }
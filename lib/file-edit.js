@@ -0,0 +1,205 @@
+/**
+ * File editing without rewriting whole files — edit_file, apply_patch and the
+ * line ranges of read_file / read_project_file.
+ *
+ * Everything here works on text in memory and throws an Error whose message is
+ * meant for the model (what didn't match, where to look); the tools read and
+ * write the files. Line endings are kept: a CRLF file stays CRLF, and a file
+ * without a final newline doesn't gain one.
+ */
+
+// Lines of a file, and how to put them back together
+function splitLines(text) {
+  const eol = text.includes('\r\n') ? '\r\n' : '\n';
+  const lines = text.split(eol);
+  const finalNewline = lines.length > 1 && lines[lines.length - 1] === '';
+  if (finalNewline || text === '') lines.pop();
+  return { lines, eol, finalNewline };
+}
+
+const joinLines = ({ lines, eol, finalNewline }) => lines.join(eol) + (finalNewline && lines.length ? eol : '');
+
+// 1-based line of a character offset
+const lineAt = (text, index) => text.slice(0, index).split('\n').length;
+
+/**
+ * Some lines of a file, with a header saying which.
+ * @param {string} text
+ * @param {string} name - For the header
+ * @param {number} [start=1] - First line, 1-based
+ * @param {number} [end] - Last line, inclusive (default: the end)
+ * @returns {string}
+ */
+export function readLineRange(text, name, start = 1, end) {
+  const { lines, eol } = splitLines(text);
+  const total = lines.length;
+  const from = Math.max(1, Math.floor(start) || 1);
+  const to = Math.min(total, Math.floor(end) || total);
+  if (from > total) return `[${name}: has ${total} lines — nothing at line ${from}]`;
+  if (to < from) return `[${name}: end_line ${to} is before start_line ${from}]`;
+  const more = to < total ? ` Next: start_line ${to + 1}.` : ' This is the end.';
+  return `[${name}: lines ${from}–${to} of ${total}.${more}]\n\n${lines.slice(from - 1, to).join(eol)}`;
+}
+
+/**
+ * Replace an exact piece of text.
+ * @param {string} text
+ * @param {string} oldString - Must occur exactly once, unless replaceAll
+ * @param {string} newString
+ * @param {boolean} [replaceAll=false]
+ * @returns {{ text: string, count: number, line: number }} line: where the first replacement starts
+ * @throws When old_string is missing, ambiguous or the same as new_string
+ */
+export function replaceText(text, oldString, newString, replaceAll = false) {
+  if (!oldString) throw new Error('old_string is empty. To create or overwrite a whole file, use write_file.');
+  if (oldString === newString) throw new Error('old_string and new_string are the same — nothing to change.');
+
+  // The model writes \n; a CRLF file has \r\n
+  const crlf = text.includes('\r\n');
+  const find = crlf ? oldString.replace(/\r?\n/g, '\r\n') : oldString;
+  const replacement = crlf ? newString.replace(/\r?\n/g, '\r\n') : newString;
+
+  const positions = [];
+  for (let i = text.indexOf(find); i !== -1; i = text.indexOf(find, i + find.length)) positions.push(i);
+
+  if (!positions.length) {
+    // Most misses are whitespace: indentation or trailing spaces copied wrong
+    const squash = (s) => s.replace(/[ \t]+/g, ' ').replace(/ ?\r?\n ?/g, '\n').trim();
+    const hint = squash(text).includes(squash(oldString))
+      ? ' It does occur with different whitespace — copy the exact text, indentation included, from read_file.'
+      : ' Read the file again — it may have changed.';
+    throw new Error(`old_string was not found.${hint}`);
+  }
+  if (positions.length > 1 && !replaceAll) {
+    const lines = positions.slice(0, 10).map(i => lineAt(text, i)).join(', ');
+    throw new Error(`old_string occurs ${positions.length} times (lines ${lines}${positions.length > 10 ? ', …' : ''}). Include more surrounding lines to make it unique, or set replace_all.`);
+  }
+
+  const line = lineAt(text, positions[0]);
+  const result = replaceAll ? text.split(find).join(replacement) : text.slice(0, positions[0]) + replacement + text.slice(positions[0] + find.length);
+  return { text: result, count: positions.length, line };
+}
+
+// ── Unified diffs ──
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+
+// Path from a ---/+++ header: no timestamp, no a/ b/ prefix; null for /dev/null
+function headerPath(line) {
+  const path = line.slice(4).split('\t')[0].trim();
+  if (path === '/dev/null') return null;
+  return path.replace(/^[ab]\//, '');
+}
+
+/**
+ * Split a unified diff into files and hunks. Headers are optional when the diff
+ * is for one file given separately.
+ * @param {string} patch
+ * @returns {{ oldPath: string|null, newPath: string|null, hunks: object[] }[]}
+ *   Each hunk: { oldStart, oldCount, lines: [{ op: ' '|'-'|'+', text }], noNewline: { old, new } }
+ * @throws When there are no hunks
+ */
+export function parsePatch(patch) {
+  const files = [];
+  let file = null;
+  let hunk = null;
+  let last = null; // op of the previous hunk line, for "\ No newline at end of file"
+  const lines = patch.replace(/\r\n/g, '\n').split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (line.startsWith('--- ') && lines[i + 1]?.startsWith('+++ ')) {
+      file = { oldPath: headerPath(line), newPath: headerPath(lines[i + 1]), hunks: [] };
+      files.push(file);
+      hunk = null;
+      i++;
+      continue;
+    }
+    const header = line.match(HUNK_HEADER);
+    if (header) {
+      if (!file) files.push(file = { oldPath: undefined, newPath: undefined, hunks: [] });
+      hunk = { oldStart: Number(header[1]), oldCount: header[2] === undefined ? 1 : Number(header[2]), lines: [], noNewline: {} };
+      file.hunks.push(hunk);
+      continue;
+    }
+    if (!hunk) continue; // diff --git, index, mode lines, commentary
+    if (line.startsWith('\\')) {
+      if (last === '-' || last === ' ') hunk.noNewline.old = true;
+      if (last === '+' || last === ' ') hunk.noNewline.new = true;
+      continue;
+    }
+    const op = line[0];
+    if (op === ' ' || op === '-' || op === '+') {
+      hunk.lines.push({ op, text: line.slice(1) });
+      last = op;
+    } else if (line === '') {
+      // An empty context line whose leading space got trimmed — or just a blank line after the hunk
+      hunk.lines.push({ op: ' ', text: '', blank: true });
+      last = ' ';
+    } else {
+      hunk = null; // the hunk is over; ignore until the next header
+    }
+  }
+
+  // Blank lines past the hunk's length (by its header) aren't part of it
+  for (const h of files.flatMap(f => f.hunks)) {
+    while (h.lines.at(-1)?.blank && h.lines.filter(l => l.op !== '+').length > h.oldCount) h.lines.pop();
+  }
+
+  const withHunks = files.filter(f => f.hunks.length);
+  if (!withHunks.length) throw new Error('No hunks found. A hunk starts with a line like "@@ -12,4 +12,5 @@".');
+  return withHunks;
+}
+
+// Where `block` occurs in `lines`, looking outward from `hint`
+function findBlock(lines, block, hint) {
+  const matches = (at, same) => block.every((text, k) => same(lines[at + k], text));
+  const exact = (a, b) => a === b;
+  const loose = (a, b) => a !== undefined && a.trimEnd() === b.trimEnd();
+  const last = lines.length - block.length;
+  for (const same of [exact, loose]) {
+    for (let d = 0; d <= Math.max(hint, last - hint); d++) {
+      if (hint - d >= 0 && hint - d <= last && matches(hint - d, same)) return hint - d;
+      if (d && hint + d <= last && matches(hint + d, same)) return hint + d;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Apply one file's hunks to its text. A hunk is looked for at the line its header
+ * names, then outward from there (below the previous hunk). Trailing whitespace
+ * is ignored, but every context and removed line must be there.
+ * @param {string} text - Current content ('' for a new file)
+ * @param {object[]} hunks - From parsePatch()
+ * @returns {string} The new content
+ * @throws When a hunk doesn't match, naming it and its first lines
+ */
+export function applyHunks(text, hunks) {
+  const file = splitLines(text);
+  if (text === '') file.finalNewline = true;
+  let delta = 0; // lines added minus removed by earlier hunks
+  let floor = 0; // hunks apply in order, never above the previous one
+
+  hunks.forEach((hunk, n) => {
+    const before = hunk.lines.filter(l => l.op !== '+').map(l => l.text);
+    const after = hunk.lines.filter(l => l.op !== '-').map(l => l.text);
+    // -0,0 inserts before line 1; -5,0 inserts after line 5
+    const hint = Math.max(floor, hunk.oldStart - (hunk.oldCount === 0 ? 0 : 1) + delta);
+    let at = before.length ? findBlock(file.lines.slice(floor), before, hint - floor) : hint - floor;
+    if (at === -1 || at > file.lines.length - floor) {
+      const preview = before.slice(0, 3).map(t => `  ${t}`).join('\n');
+      throw new Error(`Hunk ${n + 1} (@@ -${hunk.oldStart}) doesn't match the file. It expects:\n${preview}\nRead the file again and make the context and - lines match it exactly.`);
+    }
+    at += floor;
+    file.lines.splice(at, before.length, ...after);
+    delta += after.length - before.length;
+    floor = at + after.length;
+    if (at + after.length === file.lines.length) {
+      if (hunk.noNewline.new) file.finalNewline = false;
+      else if (hunk.noNewline.old) file.finalNewline = true;
+    }
+  });
+  return joinLines(file);
+}
@@ -59,7 +59,7 @@ let uptimeInterval = null;
 let renderScheduled = false;
 let firstRender = true;
 
-// View mode: 'dashboard' or 'logs'
+// View mode: 'dashboard', 'logs' or 'processes'
 let viewMode = 'dashboard';
 let logScrollOffset = 0;
 
@@ -82,6 +82,8 @@ function render() {
   }
   if (viewMode === 'logs') {
     renderLogsView();
+  } else if (viewMode === 'processes') {
+    renderProcessesView();
   } else {
     renderDashboard();
   }
@@ -147,6 +149,16 @@ function renderDashboard() {
   writeLine(row, pad + 1, padRight(`Crons`, 17) + cronStatus);
   row++;
 
+  // Background processes
+  const procs = state.processes || [];
+  const procRunning = procs.filter(p => p.status === 'running').length;
+  const procFailed = procs.filter(p => p.status === 'failed' && !p.restartAt).length;
+  const procStatus = state.stopSupervisor
+    ? `${c.green}\u2713${c.reset} ${procRunning} running${procFailed ? `  ${c.dim}\u00b7${c.reset}  ${c.red}${procFailed} failed${c.reset}` : ''}`
+    : `${c.dim}\u2013 off${c.reset}`;
+  writeLine(row, pad + 1, padRight(`Processes`, 17) + procStatus);
+  row++;
+
   // Separator + Activity header
   row++;
   writeLine(row, pad, c.dim + '\u2500'.repeat(w - 2) + c.reset);
@@ -175,7 +187,7 @@ function renderDashboard() {
   }
 
   // Footer
-  writeLine(rows, pad, c.dim + '  q quit \u00b7 r heartbeat \u00b7 c crons \u00b7 l logs' + c.reset);
+  writeLine(rows, pad, c.dim + '  q quit \u00b7 r heartbeat \u00b7 c crons \u00b7 l logs \u00b7 p processes' + c.reset);
 }
 
 function renderLogsView() {
@@ -227,6 +239,44 @@ function renderLogsView() {
   writeLine(rows, pad, c.dim + `  esc/l back \u00b7 \u2191\u2193 scroll \u00b7 home/end jump${scrollInfo}` + c.reset);
 }
 
+function renderProcessesView() {
+  const { rows, cols } = getTermSize();
+  const w = Math.min(cols, 120);
+  const pad = 2;
+
+  write(HIDE_CURSOR);
+
+  const writeLine = (row, col, text) => write(moveTo(row, 1) + ERASE_LINE + moveTo(row, col) + text);
+
+  // Header
+  const procs = state.processes || [];
+  writeLine(1, pad, `${c.bold} Background Processes${c.reset}`);
+  writeLine(2, pad, c.dim + '\u2500'.repeat(w - 2) + c.reset);
+
+  // Running first, then the most recently started
+  const sorted = [...procs].sort((a, b) =>
+    (b.status === 'running') - (a.status === 'running') || (b.startedAt || '').localeCompare(a.startedAt || ''));
+  const areaHeight = rows - 4;
+  for (let i = 0; i < areaHeight; i++) {
+    const p = sorted[i];
+    if (!p) {
+      writeLine(3 + i, 1, i === 0 ? `   ${c.dim}No background processes.${c.reset}` : '');
+      continue;
+    }
+    const running = p.status === 'running' || p.status === 'stopping';
+    const icon = running ? `${c.green}\u25cf${c.reset}` : p.status === 'failed' ? `${c.red}\u25cb${c.reset}` : `${c.dim}\u25cb${c.reset}`;
+    let status = running ? `up ${formatUptime(Date.now() - new Date(p.startedAt).getTime())}` : p.status;
+    if (p.exitCode != null && !running) status += ` (${p.exitCode})`;
+    if (p.restartAt) status += ', restarting';
+    if (p.restarts) status += ` \u00b7 \u21bb${p.restarts}`;
+    const detail = `${c.dim}${running ? `PID ${p.pid}  ` : ''}${p.cwd}${c.reset}`;
+    writeLine(3 + i, pad + 1, `${icon} ${padRight(p.id, 9)}${padRight(p.label.slice(0, 28), 30)}${padRight(status, 24)}${detail}`);
+  }
+
+  // Footer
+  writeLine(rows, pad, c.dim + '  esc/p back \u00b7 stop and restart from the agent or the panel' + c.reset);
+}
+
 function handleKeypress(buf) {
   const key = buf.toString();
 
@@ -254,8 +304,16 @@ function handleKeypress(buf) {
     return;
   }
 
-  // Escape returns to dashboard from logs
-  if (key === '\x1b' && viewMode === 'logs') {
+  // Toggle processes view
+  if (key === 'p') {
+    write(CLEAR);
+    viewMode = viewMode === 'processes' ? 'dashboard' : 'processes';
+    scheduleRender();
+    return;
+  }
+
+  // Escape returns to dashboard from logs or processes
+  if (key === '\x1b' && viewMode !== 'dashboard') {
     write(CLEAR);
     viewMode = 'dashboard';
     scheduleRender();
@@ -2,6 +2,8 @@ import { startPanel } from './panel/server.js';
 import { startTelegramBot } from './channels/telegram.js';
 import { runHeartbeat } from './heartbeat.js';
 import { runCronTick } from './crons.js';
+import { startMcpServers, stopMcpServers } from './mcp.js';
+import { startSupervisor, onProcessesChanged } from './processes.js';
 import { appendEntry } from './journal.js';
 import { execSync } from 'node:child_process';
 import { writeFileSync, readFileSync, unlinkSync, existsSync, mkdirSync } from 'node:fs';
@@ -17,6 +19,7 @@ const PLIST_PATH = join(homedir(), 'Library/LaunchAgents', `${PLIST_LABEL}.plist
 const LOG_DIR = join(homedir(), 'Library/Logs/betterclaw');
 const LOG_PATH = join(LOG_DIR, 'gateway.log');
 const PID_PATH = join(config.dataDir, 'gateway.pid');
+const RETENTION_INTERVAL_MS = 24 * 60 * 60 * 1000;
 
 // Shared gateway state — accessible from the API for hot-reload
 export const gatewayState = {
@@ -25,6 +28,8 @@ export const gatewayState = {
   heartbeatTimer: null,
   heartbeatIntervalMs: 0,
   cronTimer: null,
+  retentionTimer: null,
+  stopSupervisor: null,
   telegramStop: null,
   server: null,
   lastHeartbeat: null,
@@ -36,6 +41,7 @@ export const gatewayState = {
   telegramBotName: null,
   port: null,
   cronJobCount: 0,
+  processes: [],
   lastHeartbeatResult: null,
   onUpdate: null,
   _runHeartbeat: null,
@@ -99,6 +105,19 @@ async function runCronTickSafe() {
   gatewayState.onUpdate?.();
 }
 
+// Daily sweep per config.retention — archive stale sessions, drop old logs
+async function runRetentionSafe() {
+  try {
+    const { pruneSessions, formatBytes } = await import('./retention.js');
+    const { archived, deleted, logs, outputs, freed } = await pruneSessions();
+    if (archived.length || deleted.length || logs.length || outputs.length) {
+      logEvent(`Retention: archived ${archived.length} session(s), deleted ${deleted.length} archive(s), ${logs.length} log(s) and ${outputs.length} tool output(s), ${formatBytes(freed)} freed`);
+    }
+  } catch (err) {
+    logEvent(`Retention error: ${err.message}`);
+  }
+}
+
 // Hot-reload heartbeat interval (called from API when config changes)
 export function reloadHeartbeatInterval(intervalMinutes) {
   if (gatewayState.heartbeatTimer) {
@@ -133,6 +152,14 @@ export async function startGateway(opts = {}) {
     logEvent(`Telegram: skipped (${err.message})`);
   }
 
+  // 2b. Connect MCP servers (tools merge into the registry as they come up)
+  if (Object.keys(config.mcp?.servers || {}).length > 0) {
+    const results = await startMcpServers();
+    for (const r of results) {
+      logEvent(r.ok ? `MCP: ${r.name} connected (${r.tools} tools)` : `MCP: ${r.name} failed (${r.error})`);
+    }
+  }
+
   // 3. Start heartbeat timer
   const intervalMinutes = config.heartbeat?.intervalMinutes || 15;
   const heartbeatMs = intervalMinutes * 60 * 1000;
@@ -151,6 +178,19 @@ export async function startGateway(opts = {}) {
   // First cron check after 10s (after heartbeat)
   setTimeout(runCronTickSafe, 10000);
 
+  // 5. Session retention — once a day, first a minute after startup
+  if (config.retention?.auto) {
+    gatewayState.retentionTimer = setInterval(runRetentionSafe, RETENTION_INTERVAL_MS);
+    setTimeout(runRetentionSafe, 60 * 1000);
+  }
+
+  // 6. Background processes — adopt what the last gateway started, restart crashed ones
+  onProcessesChanged((entries) => {
+    gatewayState.processes = entries;
+    gatewayState.onUpdate?.();
+  });
+  gatewayState.stopSupervisor = startSupervisor({ onEvent: logEvent });
+
   gatewayState.running = true;
   gatewayState.startedAt = new Date().toISOString();
 
@@ -200,8 +240,12 @@ export async function startGateway(opts = {}) {
     logEvent(`Shutting down (${signal})...`);
     clearInterval(gatewayState.heartbeatTimer);
     clearInterval(gatewayState.cronTimer);
+    clearInterval(gatewayState.retentionTimer);
+    // Background processes keep running — the next gateway adopts them
+    await gatewayState.stopSupervisor?.();
     if (gatewayState.telegramStop) gatewayState.telegramStop();
     if (gatewayState.server) gatewayState.server.close();
+    await stopMcpServers();
     try { unlinkSync(PID_PATH); } catch {}
     process.exit(0);
   };
@@ -68,25 +68,45 @@ async function saveGraph() {
 
 const EXTRACTION_PROMPT = `You are extracting knowledge from an AI assistant's conversation summary for a personal knowledge graph. This graph is used to recall context in future conversations — only extract things worth remembering.
 
-Return valid JSON only, no markdown fencing.
-
-{
-  "entities": [{"name": "...", "type": "project|service|tool|place|organization"}],
-  "people": ["name"],
-  "decisions": ["concrete decision or action taken"],
-  "frustrations": ["specific thing that broke or wasted time"],
-  "preferences": ["explicit user preference or style choice"]
-}
+- entities: named projects, services, tools, places, organizations
+- people: names
+- decisions: concrete decisions or actions taken
+- frustrations: specific things that broke or wasted time
+- preferences: explicit user preferences or style choices
 
 QUALITY BAR — only include items that pass ALL of these:
 - Would someone search for this weeks later? ("Wise API" yes, "shell" no)
 - Is it a proper noun, specific project, named service, or concrete choice? ("BetterClaw" yes, "coding mode" no)
 - Would connecting this to other sessions reveal something useful? ("Clay's payment" yes, "file system" no)
 
-Return {"entities":[],"people":[],"decisions":[],"frustrations":[],"preferences":[]} if nothing meets the bar. Empty is better than noise.
+Return empty lists if nothing meets the bar. Empty is better than noise.
 
 Limits: 5 entities, 3 people, 3 decisions, 2 frustrations, 2 preferences.`;
 
+const stringList = { type: 'array', items: { type: 'string' } };
+
+const EXTRACTION_SCHEMA = {
+  type: 'object',
+  properties: {
+    entities: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          type: { type: 'string', enum: ['project', 'service', 'tool', 'place', 'organization'] },
+        },
+        required: ['name', 'type'],
+      },
+    },
+    people: stringList,
+    decisions: stringList,
+    frustrations: stringList,
+    preferences: stringList,
+  },
+  required: ['entities', 'people', 'decisions', 'frustrations', 'preferences'],
+};
+
 /**
  * Run a callback with exclusive graph write access, then save.
  * The callback receives the graph instance.
@@ -101,7 +121,7 @@ export async function saveGraphLocked(fn) {
 
 /**
  * Extract entities from a compaction summary and add to graph.
- * Fire-and-forget — errors are logged silently, never blocks the agent.
+ * Fire-and-forget — failures are logged, never block the agent.
  */
 export async function extractToGraph(sessionId, summaryText, metadata = {}) {
   await withLock(async () => {
@@ -118,22 +138,11 @@ export async function extractToGraph(sessionId, summaryText, metadata = {}) {
       const response = await provider.chat([
         { role: 'system', content: EXTRACTION_PROMPT },
         { role: 'user', content: summaryText },
-      ], { maxTokens: 1024 });
-
-      // Parse JSON from response — handle fencing and surrounding text
-      let jsonStr = response.content.trim();
-      if (jsonStr.startsWith('```')) {
-        jsonStr = jsonStr.replace(/^```(?:json)?\n?/, '').replace(/\n?```$/, '');
-      }
-      // Try to find JSON object if there's surrounding text
-      const braceStart = jsonStr.indexOf('{');
-      const braceEnd = jsonStr.lastIndexOf('}');
-      if (braceStart !== -1 && braceEnd > braceStart) {
-        jsonStr = jsonStr.slice(braceStart, braceEnd + 1);
-      }
-      extracted = JSON.parse(jsonStr);
-    } catch {
+      ], { maxTokens: 1024, schema: EXTRACTION_SCHEMA, schemaName: 'graph_extraction' });
+      extracted = response.parsed;
+    } catch (err) {
       // Extraction failed — don't create session node so retry is possible next compaction
+      console.error(`[graph] Extraction failed for session ${sessionId}: ${err.message.split('\n')[0]}`);
       return;
     }
 
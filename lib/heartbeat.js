@@ -181,6 +181,25 @@ async function checkGitHub(state) {
 // Classifies events into IGNORE / LOG / ALERT / ACT / ESCALATE
 // ══════════════════════════════════════════════════════════
 
+const TRIAGE_SCHEMA = {
+  type: 'object',
+  properties: {
+    results: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          event: { type: 'string' },
+          action: { type: 'string', enum: ['IGNORE', 'LOG', 'ALERT', 'ACT', 'ESCALATE'] },
+          reason: { type: 'string' },
+        },
+        required: ['event', 'action', 'reason'],
+      },
+    },
+  },
+  required: ['results'],
+};
+
 async function triageEvents(events) {
   if (events.length === 0) return [];
 
@@ -199,11 +218,11 @@ async function triageEvents(events) {
     return line;
   }).join('\n');
 
-  const result = await provider.chat([
-    {
-      role: 'system',
-      content: `Classify events. Respond ONLY with a JSON array.
-Each item: {"event":"...","action":"IGNORE|LOG|ALERT|ACT|ESCALATE","reason":"..."}
+  try {
+    const result = await provider.chat([
+      {
+        role: 'system',
+        content: `Classify events. Return one result per event: the event text, an action and a short reason.
 
 IGNORE = noise, not worth tracking. Also use for previously attempted events where nothing has changed.
 LOG = worth noting in the journal, no action needed
@@ -212,14 +231,13 @@ ACT = needs a lightweight agent to handle it (file an inbox item, check somethin
 ESCALATE = needs full agent with conversation history (complex, multi-step, references past context, or critical)
 
 Events marked [PREVIOUSLY ...] were already attempted. IGNORE them UNLESS new events in this batch suggest the situation has changed (e.g. a new email arrived that might unblock a waiting task, a new file appeared, etc.). Use your judgment.`
-    },
-    { role: 'user', content: eventList },
-  ], { maxTokens: 512 });
-
-  try {
-    const jsonMatch = result.content.match(/\[[\s\S]*\]/);
-    if (jsonMatch) return JSON.parse(jsonMatch[0]);
-  } catch { /* parse error */ }
+      },
+      { role: 'user', content: eventList },
+    ], { maxTokens: 512, schema: TRIAGE_SCHEMA, schemaName: 'triage' });
+    return result.parsed.results;
+  } catch (err) {
+    if (!err.schemaMismatch) throw err; // provider down — let the heartbeat report it
+  }
 
   return events.map(e => ({ event: e.summary, action: 'LOG', reason: 'triage fallback' }));
 }
@@ -262,13 +280,14 @@ RULES:
 3. If you can't complete a task — respond with ESCALATE: followed by what you tried and why it didn't work. This hands it to the full agent who has more context and capabilities.
 4. Do NOT create journal tasks that already exist — the heartbeat manages task checkboxes automatically. Only journal genuinely new findings to the Notes section.
 5. Do NOT spawn sub-agents — if you need that level of help, escalate.
-6. Vault folders: ${p.inbox}/, ${p.projects}/, ${p.resources}/, ${config.dailyNotesDir}/. Use these paths when writing files. Use remember() for persistent knowledge (goes to the graph, not the vault).`;
+6. Vault folders: ${p.inbox}/, ${p.projects}/, ${p.resources}/, ${config.dailyNotesDir}/. Use these paths when writing files. Use remember() for persistent knowledge (goes to the graph, not the vault).
+7. A tool call that comes back "Denied" was refused by the user or the approval policy. Don't work around it and don't escalate it — report it.`;
 
   let responseText = '';
   let toolErrors = 0;
   const auditLog = []; // Raw record of what actually happened
 
-  for await (const event of session.sendStream(prompt)) {
+  for await (const event of session.sendStream(prompt, { channel: 'heartbeat', tier: 'act' })) {
     if (event.type === 'text') {
       responseText += event.text;
     } else if (event.type === 'tool_start') {
@@ -296,7 +315,7 @@ RULES:
     existing.push({
       timestamp: now.toISOString(),
       tier: 'ACT',
-      model: config.models?.quick?.model || 'quick',
+      model: session.provider.lastModel || 'quick',
       events: actEvents.map(e => e.event),
       toolCalls: auditLog,
       response: responseText.slice(0, 500),
@@ -366,7 +385,7 @@ A quick agent already tried and failed. You have full tools, context, and sub-ag
   const actions = [];
   let responseText = '';
 
-  for await (const event of session.sendStream(prompt)) {
+  for await (const event of session.sendStream(prompt, { channel: 'heartbeat', tier: 'escalate' })) {
     if (event.type === 'text') {
       responseText += event.text;
     } else if (event.type === 'tool_start') {
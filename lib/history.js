@@ -0,0 +1,93 @@
+/**
+ * Canonical session history — the one message format sessions store, whatever
+ * provider answered. Each provider converts it to its wire format per request
+ * (see the adapters in provider.js), so a session outlives a change of models.
+ *
+ * Content is a string or a list of blocks, shaped like the attachment blocks:
+ *   user:      text, image, document, tool_result { tool_use_id, content }
+ *   assistant: text, tool_use { id, name, input }
+ * A round of tool results is a single user message of tool_result blocks.
+ *
+ * Reasoning a provider needs back verbatim rides along on the assistant turn and
+ * is skipped by every other adapter:
+ *   thinking / redacted_thinking  Anthropic extended thinking
+ *   openai_reasoning { items }    Responses API reasoning + function_call items
+ *
+ * `meta` on a message is the session's own bookkeeping and never reaches a model:
+ *   meta.cost   on the assistant message that ends a turn — what the turn cost ($)
+ */
+
+// Bumped when the stored shape changes; sessions saved before it are migrated on load
+export const HISTORY_VERSION = 2;
+
+// Assistant turn that called tools. `reasoning` is the raw provider blocks from chat()
+// or stream() — kept so the follow-up request can hand them back.
+export function assistantMessage(text, toolCalls = [], reasoning = []) {
+  const content = reasoning.filter(b => b.type === 'thinking' || b.type === 'redacted_thinking');
+  const items = reasoning.filter(b => b.type === 'reasoning' || b.type === 'function_call');
+  if (items.length) content.push({ type: 'openai_reasoning', items });
+  if (text) content.push({ type: 'text', text });
+  for (const tc of toolCalls) {
+    content.push({ type: 'tool_use', id: tc.id, name: tc.name, input: tc.arguments || {} });
+  }
+  return { role: 'assistant', content };
+}
+
+// One user message answering every call of a round. `contents` line up with toolCalls.
+export function toolResultsMessage(toolCalls, contents) {
+  return {
+    role: 'user',
+    content: toolCalls.map((tc, i) => ({ type: 'tool_result', tool_use_id: tc.id, content: contents[i] })),
+  };
+}
+
+export function isToolResultMessage(m) {
+  return m?.role === 'user' && Array.isArray(m.content) && m.content.length > 0
+    && m.content.every(b => b.type === 'tool_result');
+}
+
+export function toolUseBlocks(m) {
+  return m?.role === 'assistant' && Array.isArray(m.content) ? m.content.filter(b => b.type === 'tool_use') : [];
+}
+
+function parseArgs(args) {
+  if (typeof args !== 'string') return args || {};
+  try { return JSON.parse(args); } catch { return {}; }
+}
+
+/**
+ * Bring messages into the canonical shape. Canonical messages pass through untouched;
+ * OpenAI-style ones (assistant `tool_calls` + `reasoning`, `role: 'tool'` results)
+ * from sessions saved before HISTORY_VERSION 2 are converted. System messages are kept.
+ * @param {object[]} messages
+ * @returns {object[]}
+ */
+export function toCanonical(messages) {
+  const out = [];
+  for (const m of messages) {
+    if (m.role === 'tool') {
+      const block = {
+        type: 'tool_result',
+        tool_use_id: m.tool_call_id,
+        content: typeof m.content === 'string' || Array.isArray(m.content) ? m.content : JSON.stringify(m.content ?? ''),
+      };
+      // Consecutive tool messages become one round of results
+      const prev = out.at(-1);
+      if (isToolResultMessage(prev)) out[out.length - 1] = { ...prev, content: [...prev.content, block] };
+      else out.push({ role: 'user', content: [block] });
+    } else if (m.role === 'assistant' && (m.tool_calls?.length || m.reasoning)) {
+      const calls = (m.tool_calls || []).map(tc => ({
+        id: tc.id,
+        name: tc.function?.name || tc.name,
+        arguments: parseArgs(tc.function?.arguments ?? tc.arguments),
+      }));
+      const text = typeof m.content === 'string' ? m.content : '';
+      out.push(assistantMessage(text, calls, m.reasoning || []));
+    } else if (m.role === 'assistant' && m.content == null) {
+      out.push({ role: 'assistant', content: '' });
+    } else {
+      out.push(m);
+    }
+  }
+  return out;
+}
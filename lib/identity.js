@@ -55,9 +55,12 @@ export async function buildSystemPrompt(extraContextNames = [], outfit = null) {
     budgetLine = `\nBudget: $${spend.totalCost.toFixed(2)} / $${limit.toFixed(2)} today (${spend.calls} calls)`;
   }
 
+  const defaultSpec = [].concat(config.models?.default)[0];
+  const primaryModel = `${defaultSpec?.provider}/${defaultSpec?.model}`;
+
   parts.push(`--- Situational Awareness ---
 ${timeStr}, ${dayStr}, ${dateStr}
-Model: ${config.models?.default?.provider}/${config.models?.default?.model}${budgetLine}`);
+Model: ${primaryModel}${budgetLine}`);
 
   // ═══ 3. TODAY'S JOURNAL ═══
   if (daily) {
@@ -161,8 +164,9 @@ OUTFITS:
 CODING & DEVELOPMENT:
 - When working on code projects, ALWAYS set the cwd in run_command to the project directory. Discover it once, then reuse it.
 - For existing projects on disk, use write_project_file / read_project_file with absolute paths. Don't use write_file with ws:// — that writes to the workspace, not the project.
+- To change an existing file, use edit_file (one exact search/replace) or apply_patch (a unified diff) instead of rewriting it. For long files, read just the lines you need with start_line / end_line.
 - For long coding tasks, work in a loop: read → edit → test → fix. Don't stop after one file.
-- You can run background processes (dev servers, watchers) with run_background. These survive the session.
+- You can run background processes (dev servers, watchers) with run_background. These survive the session and gateway restarts. Check on them with list_background and read_background_log, and use stop_background / restart_background — not kill and tail.
 - When creating a new project, scaffold it completely — don't ask about each file. Make decisions and ship.
 - If a command fails, read the error, fix it, retry. Don't give up after one error.
 - Use absolute paths for cwd, not relative paths.
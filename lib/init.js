@@ -446,8 +446,11 @@ const PROVIDERS = [
   { label: 'OpenAI', value: 'openai', hint: 'GPT / o-series', credKey: 'openai_api_key', url: 'platform.openai.com/api-keys' },
   { label: 'OpenRouter', value: 'openrouter', hint: '300+ models, one API key', credKey: 'openrouter_api_key', url: 'openrouter.ai/keys' },
   { label: 'Ollama', value: 'ollama', hint: 'local models, free, no key', credKey: null },
+  { label: 'llama.cpp', value: 'llamacpp', hint: 'local llama-server on :8080, free, no key', credKey: null },
+  { label: 'LM Studio', value: 'lmstudio', hint: 'local server on :1234, free, no key', credKey: null },
   { label: 'Together', value: 'together', hint: 'open-source models', credKey: 'together_api_key', url: 'api.together.xyz/settings/api-keys' },
   { label: 'Groq', value: 'groq', hint: 'ultra-fast inference', credKey: 'groq_api_key', url: 'console.groq.com/keys' },
+  { label: 'Gemini', value: 'gemini', hint: 'Google models, direct', credKey: 'gemini_api_key', url: 'aistudio.google.com/apikey' },
   { label: 'Pollinations', value: 'pollinations', hint: 'completely free, no key — not recommended but hey, free is free', credKey: null },
 ];
 
@@ -503,6 +506,18 @@ async function fetchModels(provider, apiKey) {
           .sort((a, b) => a.id.localeCompare(b.id));
       }
 
+      case 'llamacpp':
+      case 'lmstudio': {
+        // Ask the running server; "auto" follows whatever model it has loaded
+        const { LlamaCppProvider, LMStudioProvider } = await import('./provider.js');
+        const local = provider === 'llamacpp' ? new LlamaCppProvider({}) : new LMStudioProvider({});
+        const models = await local.listModels();
+        return [
+          { id: 'auto', name: 'Loaded model (auto)' },
+          ...models.map(m => ({ id: m.id, name: m.loaded ? m.id : `${m.id} (not loaded)`, context: m.contextWindow })),
+        ];
+      }
+
       case 'together': {
         const res = await fetch('https://api.together.xyz/v1/models', {
           headers: { 'Authorization': `Bearer ${apiKey}` },
@@ -526,6 +541,18 @@ async function fetchModels(provider, apiKey) {
           .sort((a, b) => a.id.localeCompare(b.id));
       }
 
+      case 'gemini': {
+        const res = await fetch('https://generativelanguage.googleapis.com/v1beta/models?pageSize=1000', {
+          headers: { 'x-goog-api-key': apiKey },
+        });
+        if (!res.ok) return fallbackModels(provider);
+        const data = await res.json();
+        return (data.models || [])
+          .filter(m => m.supportedGenerationMethods?.includes('generateContent'))
+          .map(m => ({ id: m.name.replace(/^models\//, ''), name: m.displayName || m.name, context: m.inputTokenLimit }))
+          .sort((a, b) => a.id.localeCompare(b.id));
+      }
+
       case 'pollinations':
         // No API needed — just return the known model list
         return fallbackModels(provider);
@@ -569,6 +596,8 @@ function fallbackModels(provider) {
       { id: 'mistral', name: 'Mistral' },
       { id: 'codellama', name: 'Code Llama' },
     ],
+    llamacpp: [{ id: 'auto', name: 'Loaded model (auto)' }],
+    lmstudio: [{ id: 'auto', name: 'Loaded model (auto)' }],
     together: [
       { id: 'meta-llama/Llama-3.3-70B-Instruct-Turbo', name: 'Llama 3.3 70B Turbo' },
       { id: 'mistralai/Mixtral-8x7B-Instruct-v0.1', name: 'Mixtral 8x7B' },
@@ -577,6 +606,11 @@ function fallbackModels(provider) {
       { id: 'llama-3.3-70b-versatile', name: 'Llama 3.3 70B' },
       { id: 'mixtral-8x7b-32768', name: 'Mixtral 8x7B' },
     ],
+    gemini: [
+      { id: 'gemini-2.5-pro', name: 'Gemini 2.5 Pro' },
+      { id: 'gemini-2.5-flash', name: 'Gemini 2.5 Flash' },
+      { id: 'gemini-2.5-flash-lite', name: 'Gemini 2.5 Flash-Lite' },
+    ],
     pollinations: [
       { id: 'openai', name: 'GPT (Free)' },
       { id: 'openai-fast', name: 'GPT Fast (Free)' },
@@ -598,8 +632,12 @@ function pickSmallestModel(provider, models) {
     openai: ['mini', 'gpt-4o-mini'],
     openrouter: ['haiku', 'flash-lite', 'mini', 'llama-3.2-1b'],
     ollama: ['3b', '1b', 'small', 'mini'],
+    // One loaded model serves every role
+    llamacpp: ['auto'],
+    lmstudio: ['auto'],
     together: ['turbo', '8b', '7b'],
     groq: ['8b', '7b', 'mini'],
+    gemini: ['flash-lite', 'flash'],
     pollinations: ['fast'],
   };
 
@@ -825,10 +863,24 @@ async function runIdentityChat(identityPath, overrides) {
           const key = await getCredential('groq_api_key');
           return new OpenAIProvider({ model: spec.model, apiKey: key, baseUrl: 'https://api.groq.com/openai/v1' });
         },
+        gemini: async (spec) => {
+          const { GeminiProvider } = await import('./provider.js');
+          const { getCredential } = await import('./credentials.js');
+          const key = await getCredential('gemini_api_key');
+          return new GeminiProvider({ model: spec.model, apiKey: key });
+        },
         ollama: async (spec) => {
           const { OllamaProvider } = await import('./provider.js');
           return new OllamaProvider({ model: spec.model });
         },
+        llamacpp: async (spec) => {
+          const { LlamaCppProvider } = await import('./provider.js');
+          return new LlamaCppProvider({ model: spec.model });
+        },
+        lmstudio: async (spec) => {
+          const { LMStudioProvider } = await import('./provider.js');
+          return new LMStudioProvider({ model: spec.model });
+        },
         pollinations: async (spec) => {
           const { OpenAIProvider } = await import('./provider.js');
           return new OpenAIProvider({ model: spec.model, noAuth: true, baseUrl: 'https://text.pollinations.ai/openai' });
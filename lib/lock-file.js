@@ -0,0 +1,74 @@
+/**
+ * Lock files — mutual exclusion across processes (the gateway next to
+ * `betterbot chat`) for files both read, change and write back.
+ *
+ * A lock is a file created with O_EXCL that names its holder's PID. One whose
+ * holder is gone, or that is older than LOCK_STALE_MS, is broken.
+ */
+import { readFile, unlink, open, stat } from 'node:fs/promises';
+
+const LOCK_STALE_MS = 30_000; // a lock this old outlived its writer
+const LOCK_TIMEOUT_MS = 10_000;
+
+/**
+ * Run `fn` holding the lock file at `path`, waiting up to LOCK_TIMEOUT_MS for it.
+ * Callers serialize within their own process first — the lock only keeps other
+ * processes out.
+ * @param {string} path
+ * @param {() => Promise<T>} fn
+ * @param {string} [what] - What is locked, for the timeout error
+ * @returns {Promise<T>}
+ * @throws When another live process holds the lock past the timeout
+ * @template T
+ */
+export async function withLockFile(path, fn, what = 'File') {
+  await acquireLockFile(path, what);
+  try {
+    return await fn();
+  } finally {
+    await unlink(path).catch(() => {});
+  }
+}
+
+async function acquireLockFile(path, what) {
+  const started = Date.now();
+  for (let delay = 10; ; delay = Math.min(delay * 2, 250)) {
+    try {
+      const handle = await open(path, 'wx');
+      await handle.writeFile(JSON.stringify({ pid: process.pid, at: Date.now() }));
+      await handle.close();
+      return;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+    if (await isStaleLock(path)) {
+      await unlink(path).catch(() => {});
+      continue;
+    }
+    if (Date.now() - started > LOCK_TIMEOUT_MS) {
+      throw new Error(`${what} is locked by another process (${path}) — remove the file if nothing is running`);
+    }
+    await new Promise(r => setTimeout(r, delay));
+  }
+}
+
+async function isStaleLock(path) {
+  try {
+    const { pid, at } = JSON.parse(await readFile(path, 'utf-8'));
+    if (Date.now() - at > LOCK_STALE_MS) return true;
+    if (pid === process.pid) return false;
+    try {
+      process.kill(pid, 0);
+      return false;
+    } catch (err) {
+      return err.code === 'ESRCH'; // EPERM: alive, just not ours
+    }
+  } catch {
+    // Gone already, or caught half-written — judge by age
+    try {
+      return Date.now() - (await stat(path)).mtimeMs > LOCK_STALE_MS;
+    } catch {
+      return false;
+    }
+  }
+}
@@ -0,0 +1,143 @@
+/**
+ * MCP server — publishes BetterBot's tool registry over the MCP stdio
+ * transport so other MCP hosts (editors, other agents) can use the vault,
+ * graph memory and journal.
+ *
+ * Exposure is allowlist-based, like outfits: only tools named in
+ * config.mcp.serve.tools (or in the outfit passed with --outfit) are
+ * published. Entries ending in "*" match by prefix. Without either, a
+ * read-mostly default set is exposed.
+ */
+import { createInterface } from 'node:readline';
+import { getAllTools, executeTool } from './tools.js';
+import { loadOutfit } from './outfit.js';
+import { isAttachmentResult, resultText } from './attachments.js';
+import config from '../config.js';
+
+const PROTOCOL_VERSION = '2025-03-26';
+const SUPPORTED_VERSIONS = new Set(['2024-11-05', '2025-03-26', '2025-06-18']);
+const SERVER_INFO = { name: 'betterbot', version: '0.1.0' };
+
+// Safe subset exposed when nothing is configured — no shell, no deletes, no outbound messages
+const DEFAULT_SERVE_TOOLS = [
+  'search_vault',
+  'read_file',
+  'read_tool_output',
+  'list_files',
+  'find_recent_files',
+  'journal_read',
+  'journal_append',
+  'remember',
+  'recall',
+  'list_memories',
+  'list_skills',
+  'load_skill',
+  'list_crons',
+  'check_budget',
+  'review_session_history',
+  'search_sessions',
+];
+
+function isAllowed(name, allowlist) {
+  return allowlist.some(entry => entry.endsWith('*') ? name.startsWith(entry.slice(0, -1)) : entry === name);
+}
+
+async function resolveAllowlist(opts) {
+  if (opts.outfit) {
+    const outfit = await loadOutfit(opts.outfit);
+    if (!outfit) throw new Error(`Outfit "${opts.outfit}" not found`);
+    if (!outfit.tools.length) throw new Error(`Outfit "${opts.outfit}" has no tool whitelist — refusing to expose every tool`);
+    return outfit.tools;
+  }
+  return config.mcp?.serve?.tools?.length ? config.mcp.serve.tools : DEFAULT_SERVE_TOOLS;
+}
+
+// Only built-in and custom tools are served — never proxy tools from other MCP servers
+function getServedTools(allowlist) {
+  return getAllTools().filter(t => !t._mcp && isAllowed(t.name, allowlist));
+}
+
+function looksLikeError(text) {
+  return /^(Error|Tool error|Unknown tool)\b/.test(text);
+}
+
+/**
+ * Run the MCP server on stdin/stdout until stdin closes.
+ * @param {object} opts
+ * @param {string} [opts.outfit] - Use this outfit's tool whitelist as the allowlist
+ */
+export async function startMcpServer(opts = {}) {
+  // stdout carries the protocol — route stray logging to stderr
+  console.log = (...args) => console.error(...args);
+
+  const allowlist = await resolveAllowlist(opts);
+  const send = (msg) => process.stdout.write(JSON.stringify(msg) + '\n');
+  const reply = (id, result) => send({ jsonrpc: '2.0', id, result });
+  const fail = (id, code, message) => send({ jsonrpc: '2.0', id, error: { code, message } });
+
+  async function handle(msg) {
+    const { id, method, params } = msg;
+    const isRequest = id !== undefined && id !== null;
+
+    switch (method) {
+      case 'initialize': {
+        const requested = params?.protocolVersion;
+        return reply(id, {
+          protocolVersion: SUPPORTED_VERSIONS.has(requested) ? requested : PROTOCOL_VERSION,
+          capabilities: { tools: { listChanged: false } },
+          serverInfo: SERVER_INFO,
+          instructions: `Tools from ${config.agentName}'s BetterBot: Obsidian vault, daily journal and graph memory.`,
+        });
+      }
+
+      case 'ping':
+        return reply(id, {});
+
+      case 'tools/list':
+        return reply(id, {
+          tools: getServedTools(allowlist).map(t => ({
+            name: t.name,
+            description: t.description,
+            inputSchema: t.parameters || { type: 'object', properties: {} },
+          })),
+        });
+
+      case 'tools/call': {
+        const name = params?.name;
+        if (!getServedTools(allowlist).some(t => t.name === name)) {
+          return fail(id, -32602, `Unknown or unexposed tool: ${name}`);
+        }
+        const result = await executeTool(name, params.arguments || {}, null, { channel: 'mcp' });
+        const text = resultText(result);
+        const content = [{ type: 'text', text }];
+        if (isAttachmentResult(result)) {
+          for (const block of result.attachments.filter(b => b.type === 'image')) {
+            content.push({ type: 'image', data: block.source.data, mimeType: block.source.media_type });
+          }
+        }
+        return reply(id, { content, isError: looksLikeError(text) });
+      }
+
+      default:
+        // Notifications (no id) need no response
+        if (isRequest) return fail(id, -32601, `Method not found: ${method}`);
+    }
+  }
+
+  const rl = createInterface({ input: process.stdin });
+  rl.on('line', (line) => {
+    if (!line.trim()) return;
+    let msg;
+    try {
+      msg = JSON.parse(line);
+    } catch {
+      return fail(null, -32700, 'Parse error');
+    }
+    handle(msg).catch(err => {
+      if (msg.id !== undefined) fail(msg.id, -32603, err.message);
+    });
+  });
+
+  console.error(`BetterBot MCP server ready (${getServedTools(allowlist).length} tools)`);
+  await new Promise(resolve => rl.on('close', resolve));
+}
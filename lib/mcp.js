@@ -0,0 +1,427 @@
+/**
+ * MCP client — connects to external Model Context Protocol servers and
+ * exposes their tools alongside built-ins and custom tools.
+ *
+ * Supports the stdio transport (spawned child process, newline-delimited
+ * JSON-RPC) and the streamable HTTP transport (POST + optional SSE replies).
+ * Zero dependencies — speaks JSON-RPC 2.0 directly.
+ *
+ * Config (~/.betterclaw/config.json):
+ *   "mcp": {
+ *     "servers": {
+ *       "github": { "command": "npx", "args": ["-y", "@modelcontextprotocol/server-github"], "env": { ... } },
+ *       "internal": { "url": "https://mcp.example.com/mcp", "credential": "internal_mcp_token" }
+ *     }
+ *   }
+ */
+import { spawn } from 'node:child_process';
+import { getCredential } from './credentials.js';
+import { IMAGE_TYPES, attachmentResult } from './attachments.js';
+import config from '../config.js';
+
+const PROTOCOL_VERSION = '2025-03-26';
+const CLIENT_INFO = { name: 'betterbot', version: '0.1.0' };
+const DEFAULT_TIMEOUT_MS = 60000;
+const MAX_TOOL_NAME = 64;
+
+// Connected clients: server name → McpClient
+const clients = new Map();
+
+// Flattened tool list across all connected servers (rebuilt on change)
+let mcpTools = [];
+
+// Notified whenever the MCP tool list changes, so tools.js can rebuild its map
+let changeListener = null;
+
+export function onMcpToolsChanged(fn) {
+  changeListener = fn;
+}
+
+// ── Transports ─────────────────────────────────────────────────────
+
+class StdioTransport {
+  constructor(name, spec) {
+    this.name = name;
+    this.spec = spec;
+    this.child = null;
+    this.onMessage = null;
+    this.onClose = null;
+  }
+
+  async start() {
+    const { command, args = [], env = {}, cwd } = this.spec;
+    this.child = spawn(command, args, {
+      cwd: cwd || undefined,
+      env: { ...process.env, ...env },
+      stdio: ['pipe', 'pipe', 'pipe'],
+    });
+
+    let buffer = '';
+    this.child.stdout.setEncoding('utf-8');
+    this.child.stdout.on('data', (chunk) => {
+      buffer += chunk;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        try { this.onMessage?.(JSON.parse(line)); } catch { /* skip non-JSON output */ }
+      }
+    });
+    // Servers log to stderr — drain it so the pipe never fills up
+    this.child.stderr.on('data', () => {});
+    // A server that exits mid-write gives EPIPE here; its 'exit' reports the close
+    this.child.stdin.on('error', () => {});
+
+    await new Promise((resolve, reject) => {
+      this.child.once('spawn', resolve);
+      this.child.once('error', reject);
+    });
+
+    this.child.on('exit', (code) => this.onClose?.(`process exited (code ${code})`));
+    this.child.on('error', (err) => this.onClose?.(err.message));
+  }
+
+  async send(message) {
+    if (!this.child?.stdin.writable) throw new Error('server process is not running');
+    this.child.stdin.write(JSON.stringify(message) + '\n');
+  }
+
+  async close() {
+    if (!this.child) return;
+    this.child.stdin.end();
+    this.child.kill();
+    this.child = null;
+  }
+}
+
+class HttpTransport {
+  constructor(name, spec) {
+    this.name = name;
+    this.spec = spec;
+    this.sessionId = null;
+    this.headers = {};
+    this.onMessage = null;
+    this.onClose = null;
+  }
+
+  async start() {
+    this.headers = { ...(this.spec.headers || {}) };
+    if (this.spec.credential) {
+      const token = await getCredential(this.spec.credential);
+      if (!token) throw new Error(`credential "${this.spec.credential}" is not set. Run: betterbot creds set ${this.spec.credential} <token>`);
+      this.headers['Authorization'] = `Bearer ${token}`;
+    }
+  }
+
+  async send(message) {
+    const headers = {
+      ...this.headers,
+      'Content-Type': 'application/json',
+      'Accept': 'application/json, text/event-stream',
+    };
+    if (this.sessionId) headers['Mcp-Session-Id'] = this.sessionId;
+
+    const res = await fetch(this.spec.url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(message),
+    });
+
+    const sid = res.headers.get('mcp-session-id');
+    if (sid) this.sessionId = sid;
+
+    if (!res.ok) {
+      const err = await res.text().catch(() => '');
+      throw new Error(`HTTP ${res.status}: ${err.slice(0, 200)}`);
+    }
+
+    // Notifications and responses to server requests get 202 with no body
+    if (res.status === 202 || !res.body) return;
+
+    const type = res.headers.get('content-type') || '';
+    if (type.includes('text/event-stream')) {
+      await this._readSSE(res.body);
+    } else if (type.includes('application/json')) {
+      const data = await res.json();
+      for (const msg of Array.isArray(data) ? data : [data]) this.onMessage?.(msg);
+    }
+  }
+
+  async _readSSE(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let dataLines = [];
+
+    for await (const chunk of body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const raw of lines) {
+        const line = raw.replace(/\r$/, '');
+        if (line.startsWith('data:')) {
+          dataLines.push(line.slice(5).trimStart());
+        } else if (line === '' && dataLines.length) {
+          try { this.onMessage?.(JSON.parse(dataLines.join('\n'))); } catch { /* skip malformed */ }
+          dataLines = [];
+        }
+      }
+    }
+    if (dataLines.length) {
+      try { this.onMessage?.(JSON.parse(dataLines.join('\n'))); } catch { /* skip malformed */ }
+    }
+  }
+
+  async close() {
+    if (!this.sessionId) return;
+    // Best-effort session termination
+    try {
+      await fetch(this.spec.url, { method: 'DELETE', headers: { ...this.headers, 'Mcp-Session-Id': this.sessionId } });
+    } catch {}
+    this.sessionId = null;
+  }
+}
+
+// ── Client ─────────────────────────────────────────────────────────
+
+export class McpClient {
+  constructor(name, spec) {
+    this.name = name;
+    this.spec = spec;
+    this.transport = spec.url ? new HttpTransport(name, spec) : new StdioTransport(name, spec);
+    this.timeoutMs = spec.timeout || DEFAULT_TIMEOUT_MS;
+    this.tools = [];
+    this.connected = false;
+    this.error = null;
+    this.serverInfo = null;
+    this._nextId = 1;
+    this._pending = new Map(); // id → { resolve, reject, timer }
+  }
+
+  async connect() {
+    this.transport.onMessage = (msg) => this._handleMessage(msg);
+    this.transport.onClose = (reason) => this._handleClose(reason);
+    await this.transport.start();
+
+    const init = await this.request('initialize', {
+      protocolVersion: PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: CLIENT_INFO,
+    });
+    this.serverInfo = init?.serverInfo || null;
+    await this.notify('notifications/initialized');
+    this.connected = true;
+
+    await this.refreshTools();
+    return this;
+  }
+
+  async refreshTools() {
+    const tools = [];
+    let cursor;
+    do {
+      const page = await this.request('tools/list', cursor ? { cursor } : {});
+      tools.push(...(page?.tools || []));
+      cursor = page?.nextCursor;
+    } while (cursor);
+    this.tools = tools;
+    rebuildMcpTools();
+  }
+
+  async callTool(name, args) {
+    if (!this.connected) throw new Error(`MCP server "${this.name}" is not connected${this.error ? ` (${this.error})` : ''}`);
+    const result = await this.request('tools/call', { name, arguments: args || {} });
+    return formatToolResult(result);
+  }
+
+  request(method, params) {
+    const id = this._nextId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this._pending.delete(id);
+        reject(new Error(`MCP ${this.name}: ${method} timed out after ${this.timeoutMs}ms`));
+      }, this.timeoutMs);
+      this._pending.set(id, { resolve, reject, timer });
+      this.transport.send({ jsonrpc: '2.0', id, method, params }).catch(err => {
+        clearTimeout(timer);
+        this._pending.delete(id);
+        reject(new Error(`MCP ${this.name}: ${err.message}`));
+      });
+    });
+  }
+
+  notify(method, params) {
+    const msg = { jsonrpc: '2.0', method };
+    if (params) msg.params = params;
+    return this.transport.send(msg);
+  }
+
+  _handleMessage(msg) {
+    // Response to one of our requests
+    if (msg.id !== undefined && !msg.method) {
+      const pending = this._pending.get(msg.id);
+      if (!pending) return;
+      clearTimeout(pending.timer);
+      this._pending.delete(msg.id);
+      if (msg.error) {
+        pending.reject(new Error(`MCP ${this.name}: ${msg.error.message || 'request failed'}${msg.error.code ? ` (${msg.error.code})` : ''}`));
+      } else {
+        pending.resolve(msg.result);
+      }
+      return;
+    }
+
+    // Request from the server — we only implement ping
+    if (msg.id !== undefined && msg.method) {
+      const reply = msg.method === 'ping'
+        ? { jsonrpc: '2.0', id: msg.id, result: {} }
+        : { jsonrpc: '2.0', id: msg.id, error: { code: -32601, message: `Method not supported: ${msg.method}` } };
+      this.transport.send(reply).catch(() => {});
+      return;
+    }
+
+    // Notification
+    if (msg.method === 'notifications/tools/list_changed') {
+      this.refreshTools().catch(() => {});
+    }
+  }
+
+  _handleClose(reason) {
+    this.connected = false;
+    this.error = reason;
+    for (const { reject, timer } of this._pending.values()) {
+      clearTimeout(timer);
+      reject(new Error(`MCP ${this.name}: ${reason}`));
+    }
+    this._pending.clear();
+    this.tools = [];
+    rebuildMcpTools();
+  }
+
+  async close() {
+    this.connected = false;
+    this.transport.onClose = null;
+    await this.transport.close();
+    this._handleClose('closed');
+  }
+}
+
+// ── Tool adaptation ────────────────────────────────────────────────
+
+// Providers require tool names matching ^[a-zA-Z0-9_-]{1,64}$
+function toolName(server, tool) {
+  const clean = (s) => s.replace(/[^a-zA-Z0-9_-]/g, '_');
+  return `${clean(server)}__${clean(tool)}`.slice(0, MAX_TOOL_NAME);
+}
+
+// Flatten MCP content blocks into the plain string every tool returns —
+// images come back as attachments so the model can see them
+function formatToolResult(result) {
+  const parts = [];
+  const images = [];
+  for (const block of result?.content || []) {
+    if (block.type === 'image' && IMAGE_TYPES.has(block.mimeType) && block.data) {
+      images.push({ type: 'image', source: { type: 'base64', media_type: block.mimeType, data: block.data } });
+      parts.push(`[image: ${block.mimeType}]`);
+    } else if (block.type === 'text') {
+      parts.push(block.text);
+    } else if (block.type === 'resource') {
+      parts.push(block.resource?.text ?? `[resource: ${block.resource?.uri}]`);
+    } else if (block.type === 'resource_link') {
+      parts.push(`[resource: ${block.uri}]`);
+    } else {
+      parts.push(`[${block.type}${block.mimeType ? `: ${block.mimeType}` : ''}]`);
+    }
+  }
+  if (!parts.length && result?.structuredContent) {
+    parts.push(JSON.stringify(result.structuredContent, null, 2));
+  }
+  const text = parts.join('\n') || '(no output)';
+  if (result?.isError) return `Error: ${text}`;
+  return images.length ? attachmentResult(text, images) : text;
+}
+
+function rebuildMcpTools() {
+  const next = [];
+  for (const client of clients.values()) {
+    for (const t of client.tools) {
+      next.push({
+        name: toolName(client.name, t.name),
+        description: `[${client.name}] ${t.description || t.title || t.name}`,
+        parameters: t.inputSchema || { type: 'object', properties: {}, required: [] },
+        execute: (args) => client.callTool(t.name, args),
+        _mcp: client.name,
+      });
+    }
+  }
+  mcpTools = next;
+  changeListener?.();
+}
+
+// ── Public API ─────────────────────────────────────────────────────
+
+/**
+ * Get tools from all connected MCP servers, in the built-in tool shape:
+ * { name, description, parameters, execute }
+ */
+export function getMcpTools() {
+  return mcpTools;
+}
+
+/**
+ * Connect to every server in config.mcp.servers. Failures are per-server —
+ * one broken server never blocks the others.
+ * @returns {Promise<Array<{ name, ok, tools, error }>>}
+ */
+export async function startMcpServers() {
+  const servers = config.mcp?.servers || {};
+  const results = [];
+
+  for (const [name, spec] of Object.entries(servers)) {
+    if (!spec || spec.enabled === false) continue;
+    if (clients.has(name)) continue;
+    if (!spec.command && !spec.url) {
+      results.push({ name, ok: false, tools: 0, error: 'needs "command" (stdio) or "url" (HTTP)' });
+      continue;
+    }
+
+    const client = new McpClient(name, spec);
+    clients.set(name, client);
+    try {
+      await client.connect();
+      results.push({ name, ok: true, tools: client.tools.length });
+    } catch (err) {
+      client.error = err.message;
+      try { await client.close(); } catch {}
+      clients.delete(name);
+      results.push({ name, ok: false, tools: 0, error: err.message });
+    }
+  }
+
+  rebuildMcpTools();
+  return results;
+}
+
+/**
+ * Disconnect all MCP servers (kills stdio children).
+ */
+export async function stopMcpServers() {
+  const all = [...clients.values()];
+  clients.clear();
+  await Promise.all(all.map(c => c.close().catch(() => {})));
+  rebuildMcpTools();
+}
+
+/**
+ * Status of each connected server, for the panel and doctor.
+ */
+export function listMcpServers() {
+  return [...clients.values()].map(c => ({
+    name: c.name,
+    transport: c.spec.url ? 'http' : 'stdio',
+    connected: c.connected,
+    tools: c.tools.length,
+    server: c.serverInfo?.name || null,
+    error: c.error,
+  }));
+}
@@ -4,7 +4,7 @@ import config, { defaults, userConfigPath } from '../config.js';
 
 const ROLES = ['router', 'quick', 'default', 'deep'];
 
-const KNOWN_PROVIDERS = ['anthropic', 'openai', 'ollama', 'openrouter', 'together', 'groq', 'generic'];
+const KNOWN_PROVIDERS = ['anthropic', 'openai', 'ollama', 'llamacpp', 'lmstudio', 'openrouter', 'together', 'groq', 'gemini', 'generic'];
 
 export function showModels() {
   console.log('Model configuration:');
@@ -16,36 +16,48 @@ export function showModels() {
       continue;
     }
     const isDefault = defaults.models[role]
-      && defaults.models[role].provider === spec.provider
-      && defaults.models[role].model === spec.model;
+      && JSON.stringify(defaults.models[role]) === JSON.stringify(spec);
     const tag = isDefault ? '' : ' \x1b[33m(custom)\x1b[0m';
-    console.log(`  ${role.padEnd(10)} ${spec.provider}/${spec.model}${tag}`);
+    // Roles with fallbacks show the whole failover chain, primary first
+    const chain = (Array.isArray(spec) ? spec : [spec]).map(s => `${s.provider}/${s.model || 'auto'}`).join(' → ');
+    const reasoning = [].concat(spec)[0].reasoning ?? config.reasoning?.[role];
+    const reasoningTag = reasoning ? ` \x1b[2m[reasoning: ${reasoning}]\x1b[0m` : '';
+    console.log(`  ${role.padEnd(10)} ${chain}${tag}${reasoningTag}`);
   }
   console.log();
-  console.log('Change with: betterbot model set <role> <provider/model>');
+  console.log('Change with: betterbot model set <role> <provider/model> [fallback provider/model...]');
   console.log(`Config file: ${userConfigPath}`);
 }
 
-export async function setModel(role, spec) {
+/**
+ * Set a role's model. Extra specs become the role's failover chain, tried in order.
+ * @param {string} role
+ * @param {string|string[]} specs - "provider/model", or several for failover
+ */
+export async function setModel(role, specs) {
   if (!ROLES.includes(role)) {
     console.error(`Unknown role: ${role}`);
     console.error(`Valid roles: ${ROLES.join(', ')}`);
     return;
   }
 
-  // Parse provider/model — handle openrouter paths like openrouter/anthropic/claude-sonnet-4-5
-  const slashIdx = spec.indexOf('/');
-  if (slashIdx === -1) {
-    console.error('Format: provider/model (e.g. anthropic/claude-sonnet-4-5-20250514)');
-    return;
-  }
+  const parsed = [];
+  for (const spec of [].concat(specs)) {
+    // Parse provider/model — handle openrouter paths like openrouter/anthropic/claude-sonnet-4-5
+    const slashIdx = spec.indexOf('/');
+    if (slashIdx === -1) {
+      console.error('Format: provider/model (e.g. anthropic/claude-sonnet-4-5-20250514)');
+      return;
+    }
 
-  const provider = spec.slice(0, slashIdx);
-  const model = spec.slice(slashIdx + 1);
+    const provider = spec.slice(0, slashIdx);
+    const model = spec.slice(slashIdx + 1);
 
-  if (!KNOWN_PROVIDERS.includes(provider)) {
-    console.log(`\x1b[33mWarning: "${provider}" is not a known provider (${KNOWN_PROVIDERS.join(', ')})\x1b[0m`);
-    console.log('Proceeding anyway — it may work if you have a custom provider.\n');
+    if (!KNOWN_PROVIDERS.includes(provider)) {
+      console.log(`\x1b[33mWarning: "${provider}" is not a known provider (${KNOWN_PROVIDERS.join(', ')})\x1b[0m`);
+      console.log('Proceeding anyway — it may work if you have a custom provider.\n');
+    }
+    parsed.push({ provider, model });
   }
 
   // Read existing user config
@@ -56,13 +68,13 @@ export async function setModel(role, spec) {
 
   // Merge
   if (!userConfig.models) userConfig.models = {};
-  userConfig.models[role] = { provider, model };
+  userConfig.models[role] = parsed.length === 1 ? parsed[0] : parsed;
 
   // Write
   mkdirSync(dirname(userConfigPath), { recursive: true });
   writeFileSync(userConfigPath, JSON.stringify(userConfig, null, 2) + '\n', 'utf-8');
 
-  console.log(`Updated ${role}: ${provider}/${model}`);
+  console.log(`Updated ${role}: ${parsed.map(p => `${p.provider}/${p.model}`).join(' → ')}`);
   console.log(`Saved to: ${userConfigPath}`);
   console.log('\nNote: restart gateway or start a new chat session to use the new model.');
 }
@@ -54,6 +54,7 @@ const sessionResolvers = {
       const map = JSON.parse(await readFile(SESSIONS_FILE, 'utf-8'));
       const sessionId = map[chatId];
       if (!sessionId) return null;
+      // The bot's own live copy when it has this chat open
       return await Session.resume(sessionId);
     } catch {
       return null;
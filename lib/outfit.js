@@ -133,10 +133,21 @@ export async function loadOutfit(name) {
     description: data.description || '',
     tools: data.tools || [],
     contexts: data.contexts || [],
+    sandbox: outfitSandbox(data),
     content: content.trim(),
   };
 }
 
+// sandbox / sandbox_network / sandbox_writable → overrides of config.sandbox
+// for sessions wearing the outfit (null when it sets none)
+function outfitSandbox(data) {
+  const sandbox = {};
+  if (typeof data.sandbox === 'boolean') sandbox.enabled = data.sandbox;
+  if (typeof data.sandbox_network === 'boolean') sandbox.network = data.sandbox_network;
+  if (data.sandbox_writable) sandbox.writable = [].concat(data.sandbox_writable).filter(Boolean);
+  return Object.keys(sandbox).length ? sandbox : null;
+}
+
 export async function createOutfit(name, opts = {}) {
   await ensureOutfitsDir();
   const filePath = join(config.outfitsDir, `${name}.md`);
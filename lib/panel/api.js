@@ -10,10 +10,18 @@ import { getDailySoFar } from '../journal.js';
 import { runHeartbeat } from '../heartbeat.js';
 import { listSkills } from '../skills.js';
 import { listCustomTools } from '../custom-tools.js';
+import { listMcpServers } from '../mcp.js';
 import { listCronJobs } from '../crons.js';
 import { checkCapabilities } from '../capabilities.js';
 import { gatewayState, reloadHeartbeatInterval } from '../gateway.js';
 import { loadGraph, reloadGraph } from '../graph-memory.js';
+import { toContentBlock } from '../attachments.js';
+import { toCanonical } from '../history.js';
+import { readSessionData, readArchive } from '../session-store.js';
+import { sessionStats, parseSearchQuery, searchSessions } from '../session-search.js';
+import { exportSession, exportSessionToVault, EXPORT_FORMATS } from '../session-export.js';
+import { listApprovals, resolveApproval } from '../approvals.js';
+import { listProcesses, stopProcess, restartProcess, readProcessLog } from '../processes.js';
 
 // --- Helpers ---
 
@@ -67,41 +75,8 @@ function loadHeartbeatState() {
 // --- Active sessions for chat ---
 
 const activeSessions = new Map();
-
-// --- Session stats helper ---
-
-function computeSessionStats(messages) {
-  let totalChars = 0;
-  let toolCalls = 0;
-  const toolNames = {};
-
-  for (const msg of messages) {
-    if (typeof msg.content === 'string') {
-      totalChars += msg.content.length;
-    } else if (Array.isArray(msg.content)) {
-      for (const block of msg.content) {
-        if (block.type === 'text') totalChars += (block.text || '').length;
-        else if (block.type === 'tool_use') {
-          toolCalls++;
-          toolNames[block.name] = (toolNames[block.name] || 0) + 1;
-          totalChars += JSON.stringify(block.input || {}).length;
-        } else if (block.type === 'tool_result') {
-          totalChars += String(block.content || '').length;
-        }
-      }
-    }
-    // OpenAI format
-    if (msg.tool_calls) {
-      for (const tc of msg.tool_calls) {
-        toolCalls++;
-        const name = tc.function?.name || tc.name || '?';
-        toolNames[name] = (toolNames[name] || 0) + 1;
-      }
-    }
-  }
-
-  return { totalChars, estTokens: Math.ceil(totalChars / 4), toolCalls, toolNames };
-}
+// Session id → AbortController of the turn streaming right now (POST /api/chat/stop)
+const runningTurns = new Map();
 
 // --- Route handler ---
 
@@ -280,6 +255,11 @@ export async function handleAPI(req, res, pathname) {
       return json(res, tools);
     }
 
+    // GET /api/mcp — connected MCP servers
+    if (pathname === '/api/mcp' && req.method === 'GET') {
+      return json(res, listMcpServers());
+    }
+
     // GET /api/crons
     if (pathname === '/api/crons' && req.method === 'GET') {
       const crons = await listCronJobs();
@@ -298,23 +278,21 @@ export async function handleAPI(req, res, pathname) {
       return json(res, result);
     }
 
-    // GET /api/sessions
+    // GET /api/sessions — summaries carry stats and cost from the search index
     if (pathname === '/api/sessions' && req.method === 'GET') {
-      const sessions = await Session.list();
-      // Enrich with stats (read each session's messages for tool call counts)
-      const enriched = [];
-      for (const s of sessions) {
-        try {
-          const raw = await readFile(join(config.sessionsDir, `${s.id}.json`), 'utf-8');
-          const data = JSON.parse(raw);
-          const stats = computeSessionStats(data.messages || []);
-          const cost = data.metadata?.cost || null;
-          enriched.push({ ...s, stats, cost });
-        } catch {
-          enriched.push(s);
-        }
+      return json(res, await Session.list());
+    }
+
+    // GET /api/sessions/search?q= — search every session; q takes the search box
+    // filters (tool:, from:, to:, cost>, cost<)
+    if (pathname === '/api/sessions/search' && req.method === 'GET') {
+      const params = new URL(req.url, 'http://localhost').searchParams;
+      try {
+        const opts = parseSearchQuery(params.get('q') || '');
+        return json(res, await searchSessions({ ...opts, limit: Number(params.get('limit')) || 50 }));
+      } catch (err) {
+        return error(res, err.message, 400);
       }
-      return json(res, enriched);
     }
 
     // GET /api/contexts
@@ -360,24 +338,138 @@ export async function handleAPI(req, res, pathname) {
       }
       if (!session) return error(res, 'No session. Create one first.', 400);
 
+      // Uploads arrive as { name, mediaType, data (base64) }
+      let attachments;
+      try {
+        attachments = (body.attachments || []).map(toContentBlock);
+      } catch (err) {
+        return error(res, err.message, 400);
+      }
+
       res.writeHead(200, {
         'Content-Type': 'text/event-stream',
         'Cache-Control': 'no-cache',
         'Connection': 'keep-alive',
       });
 
+      const controller = new AbortController();
+      runningTurns.set(session.id, controller);
+      // Closing the tab (or the fetch) stops the turn too
+      res.on('close', () => {
+        if (!res.writableFinished) controller.abort();
+      });
+
       try {
-        for await (const event of session.sendStream(body.message)) {
+        // Tool calls the approval policy holds show up in the chat as an approve / deny card
+        const approver = (request) => res.write(`data: ${JSON.stringify({ type: 'approval', ...request })}\n\n`);
+        for await (const event of session.sendStream(body.message || '', { attachments, signal: controller.signal, channel: 'panel', approver })) {
           res.write(`data: ${JSON.stringify(event)}\n\n`);
         }
         res.write(`data: ${JSON.stringify({ type: 'done' })}\n\n`);
       } catch (err) {
         res.write(`data: ${JSON.stringify({ type: 'error', error: err.message })}\n\n`);
+      } finally {
+        if (runningTurns.get(session.id) === controller) runningTurns.delete(session.id);
       }
       res.end();
       return;
     }
 
+    // POST /api/chat/stop — stop the turn a session is running
+    if (pathname === '/api/chat/stop' && req.method === 'POST') {
+      const body = await parseJSON(req);
+      const controller = runningTurns.get(body.sessionId);
+      if (controller) controller.abort();
+      return json(res, { ok: true, stopped: !!controller });
+    }
+
+    // GET /api/approvals — tool calls waiting for approval, from any channel
+    if (pathname === '/api/approvals' && req.method === 'GET') {
+      return json(res, listApprovals());
+    }
+
+    // POST /api/approvals/:id — { approve: true|false }
+    const approvalRoute = pathname.match(/^\/api\/approvals\/(\w+)$/);
+    if (approvalRoute && req.method === 'POST') {
+      const body = await parseJSON(req);
+      if (!resolveApproval(approvalRoute[1], body.approve === true, 'panel')) {
+        return error(res, 'Already answered or expired', 404);
+      }
+      return json(res, { ok: true });
+    }
+
+    // GET /api/processes — background processes, running and recently finished
+    if (pathname === '/api/processes' && req.method === 'GET') {
+      return json(res, await listProcesses());
+    }
+
+    // POST /api/processes/:id/stop|restart; GET /api/processes/:id/log?offset=&length=
+    const processRoute = pathname.match(/^\/api\/processes\/(\w+)\/(stop|restart|log)$/);
+    if (processRoute) {
+      const [, id, action] = processRoute;
+      if (action === 'log' && req.method === 'GET') {
+        const params = new URL(req.url, 'http://localhost').searchParams;
+        const offset = params.has('offset') ? Number(params.get('offset')) : undefined;
+        const length = params.has('length') ? Number(params.get('length')) : undefined;
+        return json(res, { text: await readProcessLog(id, { offset, length }) });
+      }
+      if (action === 'log' || req.method !== 'POST') return error(res, 'Method not allowed', 405);
+      try {
+        const result = action === 'stop' ? await stopProcess(id) : await restartProcess(id);
+        if (!result) return error(res, 'No such process', 404);
+        return json(res, { ok: true });
+      } catch (err) {
+        return error(res, err.message, 500);
+      }
+    }
+
+    // GET /api/sessions/:id/export?format=md|html|jsonl — transcript download;
+    // POST saves the Markdown transcript into the vault
+    const exportRoute = pathname.match(/^\/api\/sessions\/([\w-]+)\/export$/);
+    if (exportRoute) {
+      const [, id] = exportRoute;
+      try {
+        if (req.method === 'POST') return json(res, { path: await exportSessionToVault(id) });
+        if (req.method !== 'GET') return error(res, 'Method not allowed', 405);
+        const format = new URL(req.url, 'http://localhost').searchParams.get('format') || 'md';
+        const text = await exportSession(id, format);
+        res.writeHead(200, {
+          'Content-Type': EXPORT_FORMATS[format],
+          'Content-Disposition': `attachment; filename="session-${id}.${format}"`,
+        });
+        return res.end(text);
+      } catch (err) {
+        return error(res, err.message, err.message.includes('not found') ? 404 : 400);
+      }
+    }
+
+    // /api/sessions/:id/(branches|fork|rewind) — branch a session or roll it back.
+    // fork/rewind take { turn } (keep turns 1..turn) or { at } (keep that many messages).
+    const branchRoute = pathname.match(/^\/api\/sessions\/([\w-]+)\/(branches|fork|rewind)$/);
+    if (branchRoute) {
+      const [, id, action] = branchRoute;
+      if (action === 'branches' && req.method === 'GET') {
+        return json(res, { branches: await Session.branches(id) });
+      }
+      if (req.method !== 'POST') return error(res, 'Method not allowed', 405);
+
+      const body = await parseJSON(req);
+      // resume() hands back the live copy when a channel has the session open
+      let session;
+      try {
+        session = await Session.resume(id);
+      } catch {
+        return error(res, 'Session not found', 404);
+      }
+      const opts = { turn: body.turn ?? undefined, at: body.at ?? undefined };
+      if (action === 'fork') {
+        const branch = await session.fork(opts);
+        activeSessions.set(branch.id, branch);
+        return json(res, { id: branch.id, messages: branch.messages.length });
+      }
+      return json(res, await session.rewind(opts));
+    }
+
     // GET /api/sessions/:id — full session message history with stats
     if (pathname.startsWith('/api/sessions/') && req.method === 'GET') {
       const id = pathname.slice('/api/sessions/'.length);
@@ -385,22 +477,15 @@ export async function handleAPI(req, res, pathname) {
       if (id.includes('/') || id.includes('..') || id.includes('\\')) {
         return error(res, 'Invalid session ID', 400);
       }
-      const sessionPath = join(config.sessionsDir, `${id}.json`);
       try {
-        const raw = await readFile(sessionPath, 'utf-8');
-        const session = JSON.parse(raw);
-        // Also try to load history archive
-        const historyPath = join(config.sessionsDir, `${id}.history.jsonl`);
-        let history = [];
-        try {
-          const histRaw = await readFile(historyPath, 'utf-8');
-          history = histRaw.trim().split('\n').filter(Boolean).map(line => JSON.parse(line));
-        } catch {}
-        // Compute stats
-        const allMsgs = [...history, ...(session.messages || [])];
-        const stats = computeSessionStats(allMsgs);
+        const { seq, snapshotSeq, records, ...session } = await readSessionData(id);
+        // Compaction archive too; sessions saved before the canonical format are converted for display
+        const history = await readArchive(id);
+        const messages = toCanonical(session.messages || []);
+        const stats = sessionStats([...history, ...messages]);
         const cost = session.metadata?.cost || null;
-        return json(res, { ...session, history, stats, cost });
+        const branches = await Session.branches(id);
+        return json(res, { ...session, messages, history, stats, cost, branches });
       } catch {
         return error(res, 'Session not found', 404);
       }
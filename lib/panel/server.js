@@ -3,6 +3,7 @@ import { readFileSync } from 'node:fs';
 import { join, dirname } from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { handleAPI } from './api.js';
+import { registerApprover } from '../approvals.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const PORT = 3333;
@@ -67,6 +68,10 @@ export function startPanel(opts = {}) {
     throw err;
   });
 
+  // Unattended turns' approval requests wait in GET /api/approvals for the panel to answer
+  const unregisterApprover = registerApprover('panel', () => {});
+  server.on('close', unregisterApprover);
+
   server.listen(port, '127.0.0.1', () => {
     const url = `http://localhost:${port}`;
     console.log(`BetterBot panel running at ${url}`);
@@ -0,0 +1,516 @@
+/**
+ * Background processes — what run_background starts, kept in a registry
+ * (~/.betterclaw/processes.json) that outlives the process that started them.
+ *
+ * Each entry records the command, its working dir and sandbox, the PID and when
+ * that PID started (so a reused PID isn't mistaken for ours), its log file and
+ * status: running, stopping, stopped (by a user), exited (code 0) or failed.
+ * Processes lead their own process group; stopping one sends SIGTERM to the group
+ * and SIGKILL after `processes.stopTimeoutMs`.
+ *
+ * The supervisor (gateway, `betterbot chat` — whichever holds supervisor.pid) checks
+ * on them every `processes.checkIntervalMs`: it notices processes that died while
+ * nobody was watching, and restarts those whose policy asks for it ('on-failure',
+ * 'always'), backing off, at most `processes.maxRestarts` times in a row. A process
+ * can wait to be ready: a port accepting connections or a log line matching a regex.
+ */
+import { spawn, execFile } from 'node:child_process';
+import { openSync, closeSync, writeSync, statSync } from 'node:fs';
+import { readFile, writeFile, rename, mkdir, open } from 'node:fs/promises';
+import { join } from 'node:path';
+import { connect } from 'node:net';
+import { randomBytes } from 'node:crypto';
+import { promisify } from 'node:util';
+import { sandboxCommand } from './sandbox.js';
+import { withLockFile } from './lock-file.js';
+import config from '../config.js';
+
+const execFileAsync = promisify(execFile);
+
+const REGISTRY_VERSION = 1;
+const MAX_FINISHED = 50;       // finished entries kept for list_background
+const STABLE_AFTER_MS = 60000; // up this long, a crash starts the restart count over
+const LOG_PAGE_BYTES = 16000;
+
+const registryPath = () => join(config.dataDir, 'processes.json');
+const registryLockPath = () => join(config.dataDir, 'processes.lock');
+const supervisorPidPath = () => join(config.dataDir, 'supervisor.pid');
+
+// id → ChildProcess, for the processes this process started
+const children = new Map();
+// Called with the entries after every registry change (the gateway TUI redraws)
+const listeners = new Set();
+// The supervisor's onEvent, when this process supervises
+let report = null;
+
+// ── Registry ──
+
+async function readRegistry() {
+  try {
+    const data = JSON.parse(await readFile(registryPath(), 'utf-8'));
+    return data.processes || [];
+  } catch {
+    return [];
+  }
+}
+
+async function writeRegistry(entries) {
+  // Finished entries beyond the newest MAX_FINISHED go
+  const finished = entries.filter(e => !isLive(e)).sort((a, b) => (b.endedAt || '').localeCompare(a.endedAt || ''));
+  const drop = new Set(finished.slice(MAX_FINISHED));
+  const kept = entries.filter(e => !drop.has(e));
+  await mkdir(config.dataDir, { recursive: true });
+  const tmp = `${registryPath()}.${process.pid}.tmp`;
+  await writeFile(tmp, JSON.stringify({ version: REGISTRY_VERSION, processes: kept }, null, 2) + '\n', 'utf-8');
+  await rename(tmp, registryPath());
+}
+
+let queue = Promise.resolve();
+
+// Read, change and save the registry, one change at a time — in this process by
+// the queue, across processes (the gateway next to `betterbot chat`) by a lock file
+function withRegistry(fn) {
+  const run = queue.then(async () => {
+    await mkdir(config.dataDir, { recursive: true });
+    return withLockFile(registryLockPath(), async () => {
+      const entries = await readRegistry();
+      const before = JSON.stringify(entries);
+      const result = await fn(entries);
+      // Unchanged (most supervisor checks) — no need to write
+      if (JSON.stringify(entries) !== before) await writeRegistry(entries);
+      const snapshot = entries.map(e => ({ ...e }));
+      for (const listener of listeners) listener(snapshot);
+      return result;
+    }, 'The process registry');
+  });
+  queue = run.catch(() => {});
+  return run;
+}
+
+const isLive = (e) => e.status === 'running' || e.status === 'stopping';
+
+/**
+ * Find an entry by id, PID or label.
+ * @param {object[]} entries
+ * @param {string|number} ref
+ * @returns {object|undefined} The newest match
+ */
+export function findProcess(entries, ref) {
+  const key = String(ref ?? '').trim();
+  const matches = entries.filter(e => e.id === key || String(e.pid) === key || e.label === key);
+  return matches.sort((a, b) => (b.startedAt || '').localeCompare(a.startedAt || ''))[0];
+}
+
+// ── Processes ──
+
+// When a PID's process started, per ps — tells ours from a later one with the same PID
+async function processStart(pid) {
+  try {
+    const { stdout } = await execFileAsync('ps', ['-o', 'lstart=', '-p', String(pid)]);
+    return stdout.trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+async function isAlive(entry) {
+  try {
+    process.kill(entry.pid, 0);
+  } catch (err) {
+    if (err.code !== 'EPERM') return false;
+  }
+  if (!entry.pidStart) return true;
+  return (await processStart(entry.pid)) === entry.pidStart;
+}
+
+function killGroup(pid, signal) {
+  try {
+    process.kill(-pid, signal);
+  } catch {
+    try { process.kill(pid, signal); } catch { /* already gone */ }
+  }
+}
+
+// Spawn an entry's command (again), appending to its log. Updates the entry in place.
+async function launch(entry) {
+  const shell = process.env.SHELL || '/bin/bash';
+  let command = { file: shell, args: ['-c', entry.command], env: { ...process.env, PATH: process.env.PATH } };
+  // No CPU-time limit: these are meant to keep running
+  if (entry.sandbox) command = sandboxCommand([shell, '-c', entry.command], entry.sandbox, { cwd: entry.cwd, cpuLimit: false });
+
+  const log = openSync(entry.logFile, 'a');
+  // Restarts append to the same log
+  if (statSync(entry.logFile).size) writeSync(log, `\n--- restarted at ${new Date().toISOString()} ---\n`);
+  entry.logOffset = statSync(entry.logFile).size;
+  let child;
+  try {
+    child = spawn(command.file, command.args, {
+      cwd: entry.cwd,
+      detached: true,
+      stdio: ['ignore', log, log],
+      env: command.env,
+    });
+  } finally {
+    closeSync(log);
+  }
+  if (!child.pid) {
+    // spawn reports a missing program asynchronously; the pid tells us now
+    await new Promise(resolve => child.once('error', resolve));
+    throw new Error(`Couldn't start "${entry.command}" in ${entry.cwd}`);
+  }
+  child.unref();
+  // Before any await — a quick exit mustn't go unseen
+  const { id } = entry;
+  const pid = child.pid;
+  children.set(id, child);
+  child.on('exit', (code, signal) => {
+    children.delete(id);
+    withRegistry(entries => {
+      const e = entries.find(x => x.id === id && x.pid === pid);
+      if (e && isLive(e)) finish(e, code ?? signal);
+    }).catch(err => console.error(`[processes] ${err.message}`));
+  });
+
+  Object.assign(entry, {
+    pid,
+    pidStart: await processStart(pid),
+    owner: process.pid,
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    endedAt: null,
+    exitCode: null,
+    readyAt: null,
+    restartAt: null,
+  });
+}
+
+// Record an exit, and when the policy wants a restart, when it's due
+function finish(entry, exitCode) {
+  const stopping = entry.status === 'stopping';
+  entry.status = stopping ? 'stopped' : exitCode === 0 ? 'exited' : 'failed';
+  entry.exitCode = exitCode ?? null;
+  entry.endedAt = new Date().toISOString();
+  entry.restartAt = null;
+  if (stopping) return;
+  if (entry.status === 'failed') report?.(`Process "${entry.label}" (${entry.id}) ${exitCode == null ? 'died' : `exited ${exitCode}`}`);
+
+  const wanted = entry.restart === 'always' || (entry.restart === 'on-failure' && entry.status === 'failed');
+  if (!wanted) return;
+  // A run that lasted isn't part of a crash loop
+  if (Date.now() - new Date(entry.startedAt).getTime() > STABLE_AFTER_MS) entry.restarts = 0;
+  if ((entry.restarts || 0) >= config.processes.maxRestarts) {
+    report?.(`Process "${entry.label}" (${entry.id}) ${entry.status} — gave up after ${entry.restarts} restarts`);
+    return;
+  }
+  const delay = Math.min(1000 * 2 ** (entry.restarts || 0), 60000);
+  entry.restartAt = new Date(Date.now() + delay).toISOString();
+}
+
+// ── Readiness ──
+
+function portOpen(port) {
+  return new Promise(resolve => {
+    const socket = connect({ port, host: '127.0.0.1' });
+    const done = (open) => { socket.destroy(); resolve(open); };
+    socket.once('connect', () => done(true));
+    socket.once('error', () => done(false));
+    socket.setTimeout(1000, () => done(false));
+  });
+}
+
+async function logSince(entry) {
+  const handle = await open(entry.logFile, 'r');
+  try {
+    const { size } = await handle.stat();
+    // The last 64 KB since the (re)start is plenty to find a "listening on" line
+    const start = Math.max(entry.logOffset || 0, size - 65536);
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(size - start), 0, size - start, start);
+    return buffer.subarray(0, bytesRead).toString('utf-8');
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Wait until a process is ready: its port accepts connections and/or its log
+ * matches the pattern (whichever checks it has).
+ * @param {object} entry
+ * @param {AbortSignal} [signal] - Stops waiting (the process keeps running)
+ * @returns {Promise<{ ready: boolean, reason?: string, ms: number }>}
+ */
+async function waitReady(entry, signal) {
+  const { port, pattern, timeoutMs = 30000 } = entry.ready || {};
+  const started = Date.now();
+  let regex = null;
+  if (pattern) {
+    try {
+      regex = new RegExp(pattern, 'm');
+    } catch (err) {
+      return { ready: false, reason: `invalid pattern: ${err.message}`, ms: 0 };
+    }
+  }
+  while (Date.now() - started < timeoutMs) {
+    if (signal?.aborted) return { ready: false, reason: 'stopped waiting', ms: Date.now() - started };
+    if (!(await isAlive(entry))) return { ready: false, reason: 'it exited', ms: Date.now() - started };
+    const portOk = !port || await portOpen(port);
+    const logOk = !regex || regex.test(await logSince(entry).catch(() => ''));
+    if (portOk && logOk) {
+      const ms = Date.now() - started;
+      await withRegistry(entries => {
+        const e = entries.find(x => x.id === entry.id && x.pid === entry.pid);
+        if (e) e.readyAt = new Date().toISOString();
+      });
+      return { ready: true, ms };
+    }
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+  return { ready: false, reason: `not ready after ${Math.round(timeoutMs / 1000)}s`, ms: Date.now() - started };
+}
+
+// ── API ──
+
+/**
+ * Start a background process and register it.
+ * @param {object} opts
+ * @param {string} opts.command - Shell command
+ * @param {string} opts.cwd
+ * @param {string} [opts.label]
+ * @param {'no'|'on-failure'|'always'} [opts.restart='no']
+ * @param {{ port?: number, pattern?: string, timeoutMs?: number }} [opts.ready] - Wait for it
+ * @param {object} [opts.sandbox] - From sandboxSettings(); restarts run in it too
+ * @param {string} [opts.sessionId] - Session that started it
+ * @param {AbortSignal} [opts.signal] - Stops waiting for readiness
+ * @returns {Promise<{ entry: object, readiness: object|null }>}
+ */
+export async function startProcess({ command, cwd, label, restart = 'no', ready = null, sandbox = null, sessionId = null, signal }) {
+  const entry = {
+    id: `p${randomBytes(3).toString('hex')}`,
+    label: label || command.slice(0, 40),
+    command,
+    cwd,
+    logFile: join(config.dataDir, `bg-${Date.now()}.log`),
+    restart: ['on-failure', 'always'].includes(restart) ? restart : 'no',
+    restarts: 0,
+    ready: ready && (ready.port || ready.pattern) ? ready : null,
+    sandbox,
+    sessionId,
+  };
+  await mkdir(config.dataDir, { recursive: true });
+  await withRegistry(async entries => {
+    await launch(entry);
+    entries.push(entry);
+  });
+  const readiness = entry.ready ? await waitReady(entry, signal) : null;
+  return { entry, readiness };
+}
+
+/**
+ * Every registered process, newest first, with dead ones noticed.
+ * @returns {Promise<object[]>}
+ */
+export async function listProcesses() {
+  const entries = await withRegistry(async entries => {
+    for (const e of entries) {
+      if (isLive(e) && !children.has(e.id) && !(await isAlive(e))) finish(e, null);
+    }
+    return entries;
+  });
+  return [...entries].sort((a, b) => (b.startedAt || '').localeCompare(a.startedAt || ''));
+}
+
+/**
+ * Stop a process and its children: SIGTERM to the group, SIGKILL if it lingers.
+ * Its restart policy doesn't bring it back.
+ * @param {string|number} ref - id, PID or label
+ * @returns {Promise<object|null>} The entry, null when there's no such process
+ */
+export async function stopProcess(ref) {
+  const entry = await withRegistry(async entries => {
+    const e = findProcess(entries, ref);
+    if (!e) return null;
+    e.restartAt = null;
+    if (isLive(e) && await isAlive(e)) {
+      e.status = 'stopping';
+      killGroup(e.pid, 'SIGTERM');
+    } else if (isLive(e)) {
+      finish(e, null);
+    }
+    return { ...e };
+  });
+  if (!entry || entry.status !== 'stopping') return entry;
+
+  const deadline = Date.now() + config.processes.stopTimeoutMs;
+  while (Date.now() < deadline && await isAlive(entry)) await new Promise(resolve => setTimeout(resolve, 100));
+  if (await isAlive(entry)) killGroup(entry.pid, 'SIGKILL');
+  return withRegistry(entries => {
+    const e = entries.find(x => x.id === entry.id);
+    if (e && e.status === 'stopping') finish(e, null);
+    return e ? { ...e } : entry;
+  });
+}
+
+/**
+ * Stop a process if it runs, then start its command again (restart count reset).
+ * @param {string|number} ref - id, PID or label
+ * @param {{ signal?: AbortSignal }} [opts] - Stops waiting for readiness
+ * @returns {Promise<{ entry: object, readiness: object|null }|null>} null when there's no such process
+ */
+export async function restartProcess(ref, { signal } = {}) {
+  const stopped = await stopProcess(ref);
+  if (!stopped) return null;
+  const entry = await withRegistry(async entries => {
+    const e = entries.find(x => x.id === stopped.id);
+    e.restarts = 0;
+    await launch(e);
+    return { ...e };
+  });
+  const readiness = entry.ready ? await waitReady(entry, signal) : null;
+  return { entry, readiness };
+}
+
+/**
+ * Part of a process's log.
+ * @param {string|number} ref - id, PID or label
+ * @param {object} [opts]
+ * @param {number} [opts.offset] - Byte to start at; absent = the last page
+ * @param {number} [opts.length] - Bytes to read, at most one page
+ * @returns {Promise<string>} The text with a header saying where it sits, or an error message
+ */
+export async function readProcessLog(ref, { offset, length } = {}) {
+  const entry = findProcess(await readRegistry(), ref);
+  if (!entry) return `Error: no background process "${ref}". list_background shows them.`;
+  let handle;
+  try {
+    handle = await open(entry.logFile, 'r');
+  } catch {
+    return `Error: the log of "${entry.label}" (${entry.logFile}) is gone — it may have been cleaned up by the retention policy.`;
+  }
+  try {
+    const { size } = await handle.stat();
+    const count = Math.min(length || LOG_PAGE_BYTES, LOG_PAGE_BYTES);
+    const start = offset == null ? Math.max(0, size - count) : Math.max(0, Math.min(Math.floor(offset) || 0, size));
+    const end = Math.min(size, start + count);
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(end - start), 0, end - start, start);
+    const around = [
+      start > 0 ? `Earlier: offset ${Math.max(0, start - count)}.` : 'This is the start.',
+      end < size ? `Next: offset ${end}.` : 'This is the end so far.',
+    ].join(' ');
+    return `[${entry.id} "${entry.label}" log: bytes ${start}–${end} of ${size}. ${around}]\n\n${buffer.subarray(0, bytesRead).toString('utf-8')}`;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * A process as a few lines of text, for list_background.
+ * @param {object} entry
+ * @returns {string}
+ */
+export function formatProcess(entry) {
+  const live = isLive(entry);
+  let status = entry.status;
+  if (entry.status === 'running' && entry.ready) status += entry.readyAt ? ', ready' : ', not ready';
+  if (entry.exitCode != null && !live) status += ` (exit ${entry.exitCode})`;
+  if (entry.restartAt) status += `, restarting at ${entry.restartAt}`;
+  const lines = [
+    `${live ? '●' : '○'} ${entry.id} — ${entry.label} (${status})${live ? ` PID ${entry.pid}` : ''}`,
+    `  command: ${entry.command}`,
+    `  cwd: ${entry.cwd}`,
+    `  log: ${entry.logFile}`,
+    `  started: ${entry.startedAt}${entry.endedAt && !live ? ` · ended: ${entry.endedAt}` : ''}`,
+  ];
+  if (entry.restart !== 'no') lines.push(`  restart: ${entry.restart}${entry.restarts ? ` (${entry.restarts} so far)` : ''}`);
+  return lines.join('\n');
+}
+
+/**
+ * Subscribe to registry changes — including the supervisor's checks, so a
+ * subscriber sees every process at least every `processes.checkIntervalMs`.
+ * @param {(entries: object[]) => void} fn
+ * @returns {() => void} Unsubscribes
+ */
+export function onProcessesChanged(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+// ── Supervisor ──
+
+// One supervisor at a time across processes: the first live PID in supervisor.pid
+async function holdSupervisor() {
+  let holder = null;
+  try {
+    holder = Number(await readFile(supervisorPidPath(), 'utf-8'));
+  } catch { /* nobody yet */ }
+  if (holder === process.pid) return true;
+  if (holder) {
+    try {
+      process.kill(holder, 0);
+      return false;
+    } catch { /* it's gone — take over */ }
+  }
+  await mkdir(config.dataDir, { recursive: true });
+  await writeFile(supervisorPidPath(), String(process.pid), 'utf-8');
+  return true;
+}
+
+async function superviseTick(onEvent) {
+  // Everyone notices deaths; only the supervisor restarts
+  const supervising = await holdSupervisor();
+  const restarted = [];
+  await withRegistry(async entries => {
+    const now = Date.now();
+    for (const e of entries) {
+      // Died while its owner wasn't watching (or the owner is gone)
+      if (isLive(e) && !children.has(e.id) && !(await isAlive(e))) {
+        finish(e, null);
+      }
+      if (supervising && e.restartAt && new Date(e.restartAt).getTime() <= now && !isLive(e)) {
+        e.restarts = (e.restarts || 0) + 1;
+        try {
+          await launch(e);
+          restarted.push({ ...e });
+          onEvent?.(`Process "${e.label}" (${e.id}) restarted (${e.restarts}/${config.processes.maxRestarts})`);
+        } catch (err) {
+          finish(e, null);
+          onEvent?.(`Process "${e.label}" (${e.id}) failed to restart: ${err.message}`);
+        }
+      }
+    }
+  });
+  // Readiness of restarted processes is only recorded; nobody is waiting on it
+  for (const e of restarted) if (e.ready) waitReady(e).catch(() => {});
+}
+
+/**
+ * Watch the registered processes (see the module comment). Processes keep running
+ * when the supervisor stops — the next one adopts them.
+ * @param {object} [opts]
+ * @param {(text: string) => void} [opts.onEvent] - Deaths and restarts, for the activity log
+ * @returns {() => Promise<void>} Stops supervising
+ */
+export function startSupervisor({ onEvent } = {}) {
+  report = onEvent || null;
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await superviseTick(onEvent);
+    } catch (err) {
+      console.error(`[processes] Supervisor: ${err.message}`);
+    } finally {
+      running = false;
+    }
+  };
+  const timer = setInterval(tick, config.processes.checkIntervalMs);
+  timer.unref();
+  tick();
+  return async () => {
+    clearInterval(timer);
+    report = null;
+    try {
+      if (Number(await readFile(supervisorPidPath(), 'utf-8')) === process.pid) await writeFile(supervisorPidPath(), '', 'utf-8');
+    } catch { /* never held it */ }
+  };
+}
@@ -1,47 +1,116 @@
 import { getCredential } from './credentials.js';
 import { trackUsage } from './cost-tracker.js';
+import { contentText, isMediaBlock } from './attachments.js';
+import { structuredChat } from './structured.js';
+import { toCanonical, isToolResultMessage } from './history.js';
+import { cassetteProvider } from './cassette.js';
 import config from '../config.js';
 
 // Base provider interface
 class Provider {
   constructor(opts = {}) {
     this.model = opts.model;
+    this._contextWindow = opts.contextWindow || null;
   }
 
-  // Returns: { content, tool_calls, stop_reason, usage }
+  // Returns: { content, tool_calls, stop_reason, usage, thinking?, reasoning? }
   // tool_calls: [{ id, name, arguments }] or null
+  // thinking: readable reasoning text; reasoning: raw provider blocks to send back with tool results
+  // With opts.schema (through createProvider) the result also has `parsed` — see structured.js.
+  // Providers that set supportsSchema constrain the output to opts.schema themselves.
+  // opts.signal (an AbortSignal) cancels the request, streamed body included.
   async chat(messages, opts = {}) {
     throw new Error('chat() not implemented');
   }
 
+  // Context window in tokens: the spec's `contextWindow`, else what the provider knows
+  // (local servers report it), else null and the caller picks a default
+  async getContextWindow() {
+    return this._contextWindow;
+  }
+
   // Yields: { type: 'text', text } or { type: 'tool_use', id, name, arguments }
+  // With reasoning on, also { type: 'thinking', text } and { type: 'reasoning_block', block }
   async *stream(messages, opts = {}) {
     throw new Error('stream() not implemented');
   }
 }
 
+const CLAUDE_CONTEXT_WINDOW = 200_000;
+
 // Anthropic (Claude) provider
 class ClaudeProvider extends Provider {
   constructor(opts) {
     super(opts);
     this.apiKey = opts.apiKey;
+    this.reasoning = opts.reasoning;
+    this.supportsSchema = true; // via a forced tool call
+    this._contextWindow ||= CLAUDE_CONTEXT_WINDOW;
   }
 
-  async chat(messages, opts = {}) {
-    const apiKey = this.apiKey || await getCredential('anthropic_api_key');
-    if (!apiKey) throw new Error('No Anthropic API key. Run: betterbot creds set anthropic_api_key');
-
-    const { system, cleaned } = extractSystem(messages);
-
+  // Request body shared by chat() and stream(). With prompt caching on, breakpoints go
+  // on the tool definitions, the stable part of the system prompt and the tail of the
+  // history, so each round of a tool loop re-reads the prefix from cache.
+  _buildBody(messages, opts) {
+    const caching = opts.cache ?? config.promptCaching !== false;
     const body = {
       model: this.model,
       max_tokens: opts.maxTokens || 4096,
-      messages: cleaned,
+      messages: toAnthropicMessages(messages.filter(m => m.role !== 'system')),
     };
-    if (system) body.system = system;
-    if (opts.tools?.length) body.tools = opts.tools;
+    if (opts.schema) {
+      // Structured output: the only tool is the answer, and the model must call it.
+      // Extended thinking can't be combined with a forced tool choice.
+      opts = { ...opts, tools: [{ name: SCHEMA_TOOL, description: 'Respond with the result.', input_schema: opts.schema }] };
+      body.tool_choice = { type: 'tool', name: SCHEMA_TOOL };
+    } else {
+      this._addThinking(body, opts);
+    }
+
+    if (!caching) {
+      const { system } = extractSystem(messages);
+      if (system) body.system = system;
+      if (opts.tools?.length) body.tools = toAnthropicTools(opts.tools);
+      return body;
+    }
+
+    // System messages flagged `cache: true` are the stable prefix; the rest
+    // (turn counters, task plan, recalled memory) follow after the breakpoint
+    const systemMsgs = messages.filter(m => m.role === 'system' && m.content);
+    const stable = systemMsgs.filter(m => m.cache);
+    const system = [...stable, ...systemMsgs.filter(m => !m.cache)]
+      .map(m => ({ type: 'text', text: m.content }));
+    if (stable.length) system[stable.length - 1].cache_control = EPHEMERAL;
+    if (system.length) body.system = system;
+
+    if (opts.tools?.length) {
+      body.tools = toAnthropicTools(opts.tools);
+      body.tools[body.tools.length - 1] = { ...body.tools[body.tools.length - 1], cache_control: EPHEMERAL };
+    }
 
-    const res = await fetch('https://api.anthropic.com/v1/messages', {
+    // Last two messages: the newest one caches this round, the one before
+    // keeps the previous round's entry reachable
+    for (const i of [body.messages.length - 1, body.messages.length - 3]) {
+      if (i >= 0) body.messages[i] = withCacheBreakpoint(body.messages[i]);
+    }
+    return body;
+  }
+
+  _addThinking(body, opts) {
+    const budget = reasoningBudget(opts.reasoning ?? this.reasoning);
+    if (!budget || !canContinueWithThinking(body.messages)) return;
+    body.thinking = { type: 'enabled', budget_tokens: Math.max(1024, budget) };
+    // max_tokens covers thinking + answer
+    body.max_tokens += body.thinking.budget_tokens;
+  }
+
+  async chat(messages, opts = {}) {
+    const apiKey = this.apiKey || await getCredential('anthropic_api_key');
+    if (!apiKey) throw new Error('No Anthropic API key. Run: betterbot creds set anthropic_api_key');
+
+    const body = this._buildBody(messages, opts);
+
+    const res = await fetchWithTimeout('https://api.anthropic.com/v1/messages', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -49,22 +118,26 @@ class ClaudeProvider extends Provider {
         'anthropic-version': '2023-06-01',
       },
       body: JSON.stringify(body),
+      signal: opts.signal,
     });
 
-    if (!res.ok) {
-      const err = await res.text();
-      throw new Error(`Anthropic API error ${res.status}: ${err}`);
-    }
+    if (!res.ok) throw await apiError('Anthropic API error', res);
 
     const data = await res.json();
 
-    // Parse content blocks — can be text and/or tool_use
+    // Parse content blocks — text, tool_use, and thinking when enabled
     let textContent = '';
+    let thinking = '';
+    const reasoning = [];
     const toolCalls = [];
 
     for (const block of data.content || []) {
       if (block.type === 'text') {
         textContent += block.text;
+      } else if (block.type === 'thinking' || block.type === 'redacted_thinking') {
+        // Kept verbatim — the API verifies the signature when it's sent back
+        reasoning.push(block);
+        if (block.thinking) thinking += block.thinking;
       } else if (block.type === 'tool_use') {
         toolCalls.push({
           id: block.id,
@@ -74,14 +147,18 @@ class ClaudeProvider extends Provider {
       }
     }
 
+    if (opts.schema) {
+      const parsed = toolCalls.find(tc => tc.name === SCHEMA_TOOL)?.arguments;
+      return { content: parsed ? JSON.stringify(parsed) : textContent, tool_calls: null, stop_reason: 'end_turn', parsed, usage: parseAnthropicUsage(data.usage) };
+    }
+
     return {
       content: textContent,
       tool_calls: toolCalls.length > 0 ? toolCalls : null,
       stop_reason: data.stop_reason, // 'end_turn', 'tool_use', etc.
-      usage: {
-        input: data.usage?.input_tokens || 0,
-        output: data.usage?.output_tokens || 0,
-      },
+      usage: parseAnthropicUsage(data.usage),
+      thinking: thinking || undefined,
+      reasoning: reasoning.length ? reasoning : undefined,
     };
   }
 
@@ -89,18 +166,9 @@ class ClaudeProvider extends Provider {
     const apiKey = this.apiKey || await getCredential('anthropic_api_key');
     if (!apiKey) throw new Error('No Anthropic API key. Run: betterbot creds set anthropic_api_key');
 
-    const { system, cleaned } = extractSystem(messages);
-
-    const body = {
-      model: this.model,
-      max_tokens: opts.maxTokens || 4096,
-      messages: cleaned,
-      stream: true,
-    };
-    if (system) body.system = system;
-    if (opts.tools?.length) body.tools = opts.tools;
+    const body = { ...this._buildBody(messages, opts), stream: true };
 
-    const res = await fetch('https://api.anthropic.com/v1/messages', {
+    const res = await fetchWithTimeout('https://api.anthropic.com/v1/messages', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -108,12 +176,10 @@ class ClaudeProvider extends Provider {
         'anthropic-version': '2023-06-01',
       },
       body: JSON.stringify(body),
+      signal: opts.signal,
     });
 
-    if (!res.ok) {
-      const err = await res.text();
-      throw new Error(`Anthropic API error ${res.status}: ${err}`);
-    }
+    if (!res.ok) throw await apiError('Anthropic API error', res);
 
     yield* parseAnthropicStream(res.body);
   }
@@ -124,14 +190,16 @@ class OllamaProvider extends Provider {
   constructor(opts) {
     super(opts);
     this.baseUrl = opts.baseUrl || 'http://localhost:11434';
+    this.supportsSchema = true; // `format` takes a JSON schema
   }
 
   async chat(messages, opts = {}) {
     const body = {
       model: this.model,
-      messages: messages.map(m => ({ role: m.role, content: m.content })),
+      messages: toOllamaMessages(messages),
       stream: false,
     };
+    if (opts.schema) body.format = opts.schema;
     // Ollama supports tools for some models
     if (opts.tools?.length) {
       body.tools = opts.tools.map(t => ({
@@ -140,16 +208,14 @@ class OllamaProvider extends Provider {
       }));
     }
 
-    const res = await fetch(`${this.baseUrl}/api/chat`, {
+    const res = await fetchWithTimeout(`${this.baseUrl}/api/chat`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(body),
+      signal: opts.signal,
     });
 
-    if (!res.ok) {
-      const err = await res.text();
-      throw new Error(`Ollama error ${res.status}: ${err}`);
-    }
+    if (!res.ok) throw await apiError('Ollama error', res);
 
     const data = await res.json();
 
@@ -183,20 +249,18 @@ class OllamaProvider extends Provider {
       return;
     }
 
-    const res = await fetch(`${this.baseUrl}/api/chat`, {
+    const res = await fetchWithTimeout(`${this.baseUrl}/api/chat`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
         model: this.model,
-        messages: messages.map(m => ({ role: m.role, content: m.content })),
+        messages: toOllamaMessages(messages),
         stream: true,
       }),
+      signal: opts.signal,
     });
 
-    if (!res.ok) {
-      const err = await res.text();
-      throw new Error(`Ollama error ${res.status}: ${err}`);
-    }
+    if (!res.ok) throw await apiError('Ollama error', res);
 
     const decoder = new TextDecoder();
     for await (const chunk of res.body) {
@@ -219,6 +283,9 @@ class OpenAIProvider extends Provider {
     this.credentialName = opts.credentialName || 'openai_api_key';
     this.apiKey = opts.apiKey;
     this.noAuth = opts.noAuth || false;
+    // json_schema response_format isn't universal among OpenAI-compatible servers —
+    // enabled per provider below, or with `structuredOutput: true` on a model spec
+    this.supportsSchema = opts.structuredOutput || false;
   }
 
   async chat(messages, opts = {}) {
@@ -231,21 +298,22 @@ class OpenAIProvider extends Provider {
 
     const body = {
       model: this.model,
-      messages,
+      messages: toOpenAIMessages(messages),
       max_tokens: opts.maxTokens || 4096,
     };
-    if (opts.tools?.length) body.tools = opts.tools;
+    if (opts.tools?.length) body.tools = toOpenAITools(opts.tools);
+    if (opts.schema) {
+      body.response_format = { type: 'json_schema', json_schema: { name: opts.schemaName || 'response', schema: opts.schema, strict: false } };
+    }
 
-    const res = await fetch(`${this.baseUrl}/chat/completions`, {
+    const res = await fetchWithTimeout(`${this.baseUrl}/chat/completions`, {
       method: 'POST',
       headers,
       body: JSON.stringify(body),
+      signal: opts.signal,
     });
 
-    if (!res.ok) {
-      const err = await res.text();
-      throw new Error(`OpenAI-compatible API error ${res.status}: ${err}`);
-    }
+    if (!res.ok) throw await apiError('OpenAI-compatible API error', res);
 
     const data = await res.json();
     const choice = data.choices?.[0];
@@ -280,28 +348,140 @@ class OpenAIProvider extends Provider {
 
     const body = {
       model: this.model,
-      messages,
+      messages: toOpenAIMessages(messages),
       max_tokens: opts.maxTokens || 4096,
       stream: true,
       stream_options: { include_usage: true },
     };
-    if (opts.tools?.length) body.tools = opts.tools;
+    if (opts.tools?.length) body.tools = toOpenAITools(opts.tools);
 
-    const res = await fetch(`${this.baseUrl}/chat/completions`, {
+    const res = await fetchWithTimeout(`${this.baseUrl}/chat/completions`, {
       method: 'POST',
       headers,
       body: JSON.stringify(body),
+      signal: opts.signal,
     });
 
-    if (!res.ok) {
-      const err = await res.text();
-      throw new Error(`OpenAI-compatible API error ${res.status}: ${err}`);
-    }
+    if (!res.ok) throw await apiError('OpenAI-compatible API error', res);
 
     yield* parseOpenAIStream(res.body);
   }
 }
 
+const LOCAL_PROBE_TIMEOUT_MS = 5000;
+
+// Local OpenAI-compatible servers — llama.cpp's llama-server and LM Studio. No API key
+// (unless the server was started with one) and no per-token cost. Leave `model` out,
+// or set it to "auto", to use whatever the server has loaded. The context window comes
+// from the server unless the spec sets `contextWindow`.
+class LocalOpenAIProvider extends OpenAIProvider {
+  constructor(opts) {
+    super({ noAuth: !opts.apiKey, structuredOutput: true, ...opts });
+    this.serverUrl = this.baseUrl.replace(/\/v1\/?$/, '');
+    this.auto = !this.model || this.model === 'auto';
+    this._configuredWindow = this._contextWindow;
+  }
+
+  async _get(path) {
+    const headers = this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+    const res = await fetchWithTimeout(`${this.serverUrl}${path}`, { headers }, LOCAL_PROBE_TIMEOUT_MS);
+    if (!res.ok) throw await apiError(`${this.label} error`, res);
+    return res.json();
+  }
+
+  // [{ id, loaded, contextWindow }]
+  async listModels() {
+    throw new Error('listModels() not implemented');
+  }
+
+  async _resolveModel() {
+    if (!this.auto) return this.model;
+    const loaded = (await this.listModels()).filter(m => m.loaded);
+    if (!loaded.length) throw new Error(`${this.label} at ${this.serverUrl} has no model loaded`);
+    if (loaded[0].id !== this.model) this._contextWindowFor = undefined;
+    this.model = loaded[0].id;
+    return this.model;
+  }
+
+  // Looked up once per model, including when the server doesn't report one
+  async getContextWindow() {
+    if (this._configuredWindow) return this._configuredWindow;
+    if (this._contextWindowFor === this.model) return this._contextWindow;
+    const models = await this.listModels();
+    const model = models.find(m => m.id === this.model) || models.find(m => m.loaded);
+    this._contextWindow = model?.contextWindow || null;
+    this._contextWindowFor = this.model;
+    return this._contextWindow;
+  }
+
+  // Reachable, a model loaded, and how much context it has — for doctor
+  async health() {
+    try {
+      const model = await this._resolveModel();
+      const info = (await this.listModels()).find(m => m.id === model);
+      if (info && !info.loaded) return { ok: false, error: `${model} is not loaded (load it in ${this.label})` };
+      return { ok: true, model, contextWindow: await this.getContextWindow() };
+    } catch (err) {
+      return { ok: false, error: err.code === 'ETIMEDOUT' || err.message === 'fetch failed' ? `not reachable at ${this.serverUrl}` : err.message.split('\n')[0] };
+    }
+  }
+
+  async chat(messages, opts = {}) {
+    await this._resolveModel();
+    return super.chat(messages, opts);
+  }
+
+  async *stream(messages, opts = {}) {
+    await this._resolveModel();
+    yield* super.stream(messages, opts);
+  }
+}
+
+class LlamaCppProvider extends LocalOpenAIProvider {
+  constructor(opts) {
+    super({ baseUrl: 'http://localhost:8080/v1', ...opts });
+    this.label = 'llama.cpp';
+  }
+
+  // llama-server serves one model; /props has the context size it was started with
+  async listModels() {
+    const health = await fetchWithTimeout(`${this.serverUrl}/health`, {}, LOCAL_PROBE_TIMEOUT_MS);
+    if (health.status === 503) throw new Error('llama.cpp is still loading the model');
+    const [models, props] = await Promise.all([this._get('/v1/models'), this._get('/props').catch(() => null)]);
+    const nCtx = props?.default_generation_settings?.n_ctx;
+    return (models.data || []).map(m => ({
+      id: m.id,
+      loaded: true,
+      contextWindow: nCtx || m.meta?.n_ctx_train || null,
+    }));
+  }
+}
+
+class LMStudioProvider extends LocalOpenAIProvider {
+  constructor(opts) {
+    super({ baseUrl: 'http://localhost:1234/v1', ...opts });
+    this.label = 'LM Studio';
+  }
+
+  // LM Studio's native REST API knows which models are loaded and at what context length
+  async listModels() {
+    try {
+      const data = await this._get('/api/v0/models');
+      return (data.data || [])
+        .filter(m => m.type !== 'embeddings')
+        .map(m => ({
+          id: m.id,
+          loaded: m.state === 'loaded',
+          contextWindow: m.loaded_context_length || m.max_context_length || null,
+        }));
+    } catch {
+      // Older versions: only the OpenAI-compatible listing, which shows loaded models
+      const data = await this._get('/v1/models');
+      return (data.data || []).map(m => ({ id: m.id, loaded: true, contextWindow: null }));
+    }
+  }
+}
+
 // --- Helpers ---
 
 function extractSystem(messages) {
@@ -313,11 +493,247 @@ function extractSystem(messages) {
   return { system: system || undefined, cleaned };
 }
 
+// Throwable error for a non-2xx API response. Carries the HTTP status (and any
+// Retry-After hint) so the failover chain can tell transient failures apart.
+async function apiError(label, res) {
+  const text = await res.text().catch(() => '');
+  const err = new Error(`${label} ${res.status}: ${text}`);
+  err.status = res.status;
+  const retryAfter = Number(res.headers.get('retry-after'));
+  if (retryAfter > 0) err.retryAfterMs = retryAfter * 1000;
+  return err;
+}
+
+// fetch() with a deadline for the server to start answering. Streamed bodies can
+// legitimately run for minutes, so the timer stops once headers arrive. A caller's
+// `signal` (the user stopping the turn) aborts the request and its body at any point;
+// its listener goes once the body is read, so one turn's signal doesn't collect one
+// per model call.
+async function fetchWithTimeout(url, init, timeoutMs = config.failover?.timeoutMs ?? 60000) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  // Forwarded by hand — AbortSignal.any() needs Node 20.3
+  const onAbort = () => controller.abort(init.signal.reason);
+  const release = () => init.signal?.removeEventListener('abort', onAbort);
+  if (init.signal?.aborted) controller.abort(init.signal.reason);
+  else init.signal?.addEventListener('abort', onAbort, { once: true });
+  let res = null;
+  try {
+    res = await fetch(url, { ...init, signal: controller.signal });
+    if (init.signal && res.body) res = releaseWithBody(res, release);
+    return res;
+  } catch (err) {
+    if (init.signal?.aborted || !controller.signal.aborted) throw err;
+    const timeout = new Error(`Request timed out after ${Math.round(timeoutMs / 1000)}s: ${url}`);
+    timeout.code = 'ETIMEDOUT';
+    throw timeout;
+  } finally {
+    clearTimeout(timer);
+    if (!res?.body) release();
+  }
+}
+
+// The same response, calling `release` once its body is read to the end, fails or
+// is cancelled
+function releaseWithBody(res, release) {
+  const reader = res.body.getReader();
+  const body = new ReadableStream({
+    async pull(stream) {
+      try {
+        const { done, value } = await reader.read();
+        if (done) {
+          release();
+          stream.close();
+        } else {
+          stream.enqueue(value);
+        }
+      } catch (err) {
+        release();
+        stream.error(err);
+      }
+    },
+    cancel(reason) {
+      release();
+      return reader.cancel(reason);
+    },
+  });
+  return new Response(body, { status: res.status, statusText: res.statusText, headers: res.headers });
+}
+
+// Adapters from the canonical history (history.js) to each API's messages. Input is
+// normalized with toCanonical() first, so plain { role, content } prompts and sessions
+// saved in an older shape convert the same way.
+
+// Blocks only the provider that produced them can read
+const FOREIGN_TO_ANTHROPIC = new Set(['openai_reasoning']);
+
+// Only role and content go out — the API rejects fields it doesn't know, like `meta`
+function toAnthropicMessages(messages) {
+  return toCanonical(messages).map(m => {
+    if (m.role !== 'assistant' || !Array.isArray(m.content)) return { role: m.role, content: m.content };
+    return { role: m.role, content: m.content.filter(b => !FOREIGN_TO_ANTHROPIC.has(b.type)) };
+  });
+}
+
+function toOpenAIMessages(messages) {
+  const out = [];
+  for (const m of toCanonical(messages)) {
+    if (m.role === 'system') {
+      // One system message — not every OpenAI-compatible server accepts several
+      const prev = out[out.length - 1];
+      if (prev?.role === 'system') prev.content += `\n\n${m.content}`;
+      else out.push({ role: 'system', content: m.content });
+    } else if (!Array.isArray(m.content)) {
+      out.push({ role: m.role, content: m.content });
+    } else if (m.role === 'assistant') {
+      const text = m.content.filter(b => b.type === 'text').map(b => b.text).join('');
+      const toolUses = m.content.filter(b => b.type === 'tool_use');
+      const msg = { role: 'assistant', content: text || null };
+      if (toolUses.length) {
+        msg.tool_calls = toolUses.map(tu => ({
+          id: tu.id,
+          type: 'function',
+          function: { name: tu.name, arguments: JSON.stringify(tu.input || {}) },
+        }));
+      }
+      out.push(msg);
+    } else if (m.content.some(b => b.type === 'tool_result')) {
+      // Chat completions only allows text in tool messages, so images returned by
+      // tools follow the round's tool messages as one user message
+      const media = [];
+      for (const tr of m.content.filter(b => b.type === 'tool_result')) {
+        if (Array.isArray(tr.content)) media.push(...tr.content.filter(isMediaBlock));
+        out.push({ role: 'tool', tool_call_id: tr.tool_use_id, content: toolOutputText(tr.content) });
+      }
+      if (media.length) {
+        out.push({ role: 'user', content: [{ type: 'text', text: '(Attachments from the tool results above)' }, ...toOpenAIParts(media)] });
+      }
+      const text = m.content.filter(b => b.type === 'text').map(b => b.text).join('\n');
+      if (text) out.push({ role: m.role, content: text });
+    } else {
+      out.push({ role: m.role, content: toOpenAIParts(m.content) });
+    }
+  }
+  return out;
+}
+
+// Anthropic content blocks → chat completions content parts
+function toOpenAIParts(blocks) {
+  return blocks.map(b => {
+    if (b.type === 'text') return { type: 'text', text: b.text };
+    if (b.type === 'image') return { type: 'image_url', image_url: { url: dataUrl(b) } };
+    if (b.type === 'document') return { type: 'file', file: { filename: b.title || 'document.pdf', file_data: dataUrl(b) } };
+    return null;
+  }).filter(Boolean);
+}
+
+function dataUrl(block) {
+  return `data:${block.source.media_type};base64,${block.source.data}`;
+}
+
+// Ollama takes plain-text content with images as a separate base64 list, tool calls
+// with object arguments, and one `tool` message per result
+function toOllamaMessages(messages) {
+  const out = [];
+  const toolNames = new Map(); // tool_use id -> name
+  for (const m of toCanonical(messages)) {
+    if (!Array.isArray(m.content)) {
+      out.push({ role: m.role, content: m.content ?? '' });
+      continue;
+    }
+    if (isToolResultMessage(m)) {
+      for (const tr of m.content) {
+        const msg = { role: 'tool', content: toolOutputText(tr.content) };
+        if (toolNames.has(tr.tool_use_id)) msg.tool_name = toolNames.get(tr.tool_use_id);
+        const images = Array.isArray(tr.content) ? tr.content.filter(b => b.type === 'image') : [];
+        if (images.length) msg.images = images.map(b => b.source.data);
+        out.push(msg);
+      }
+      continue;
+    }
+    const msg = { role: m.role, content: contentText(m.content.filter(b => b.type !== 'image')) };
+    const images = m.content.filter(b => b.type === 'image').map(b => b.source.data);
+    if (images.length) msg.images = images;
+    const toolUses = m.content.filter(b => b.type === 'tool_use');
+    if (toolUses.length) {
+      for (const tu of toolUses) toolNames.set(tu.id, tu.name);
+      msg.tool_calls = toolUses.map(tu => ({ function: { name: tu.name, arguments: tu.input || {} } }));
+    }
+    out.push(msg);
+  }
+  return out;
+}
+
+function toAnthropicTools(tools) {
+  return tools.map(t => t.function
+    ? { name: t.function.name, description: t.function.description, input_schema: t.function.parameters }
+    : t);
+}
+
+function toOpenAITools(tools) {
+  return tools.map(t => t.function
+    ? t
+    : { type: 'function', function: { name: t.name, description: t.description, parameters: t.input_schema || t.parameters } });
+}
+
+// Per-role `reasoning` is either a thinking budget in tokens (Anthropic, Gemini)
+// or an effort level (OpenAI reasoning models). Each provider translates the other form.
+const REASONING_BUDGETS = { minimal: 1024, low: 2048, medium: 8192, high: 24576 };
+
+function reasoningBudget(reasoning) {
+  if (!reasoning) return 0;
+  return typeof reasoning === 'number' ? reasoning : REASONING_BUDGETS[reasoning] || 0;
+}
+
+function reasoningEffort(reasoning) {
+  if (!reasoning) return null;
+  if (typeof reasoning === 'string') return reasoning;
+  return reasoning >= 16384 ? 'high' : reasoning >= 4096 ? 'medium' : 'low';
+}
+
+// Mid tool loop, Anthropic requires the pending assistant turn to open with its
+// thinking block. A turn produced without thinking (older history, a failover
+// provider) can only be continued with thinking off.
+function canContinueWithThinking(messages) {
+  const last = messages.at(-1);
+  const awaitingToolResults = last?.role === 'user' && Array.isArray(last.content)
+    && last.content.some(b => b.type === 'tool_result');
+  if (!awaitingToolResults) return true;
+  const first = messages.at(-2)?.content?.[0];
+  return first?.type === 'thinking' || first?.type === 'redacted_thinking';
+}
+
+const EPHEMERAL = { type: 'ephemeral' };
+
+// Tool that carries a structured answer from Claude (see structured.js)
+const SCHEMA_TOOL = 'respond';
+
+// Copy of a message with a cache breakpoint on its last content block
+function withCacheBreakpoint(msg) {
+  if (typeof msg.content === 'string') {
+    if (!msg.content) return msg;
+    return { ...msg, content: [{ type: 'text', text: msg.content, cache_control: EPHEMERAL }] };
+  }
+  if (!Array.isArray(msg.content) || !msg.content.length) return msg;
+  const content = [...msg.content];
+  content[content.length - 1] = { ...content[content.length - 1], cache_control: EPHEMERAL };
+  return { ...msg, content };
+}
+
+// input excludes cached tokens on Anthropic — reads and writes are reported (and billed) separately
+function parseAnthropicUsage(u) {
+  const usage = { input: u?.input_tokens || 0, output: u?.output_tokens || 0 };
+  if (u?.cache_read_input_tokens) usage.cacheRead = u.cache_read_input_tokens;
+  if (u?.cache_creation_input_tokens) usage.cacheWrite = u.cache_creation_input_tokens;
+  return usage;
+}
+
 // Parse Anthropic SSE stream — yields { type: 'text', text } or { type: 'tool_use', ... } or { type: 'usage', usage }
 async function* parseAnthropicStream(body) {
   const decoder = new TextDecoder();
   let buffer = '';
   let currentToolUse = null;
+  let currentThinking = null;
   let toolInputJson = '';
   let usage = { input: 0, output: 0 };
 
@@ -338,7 +754,7 @@ async function* parseAnthropicStream(body) {
         const event = JSON.parse(data);
 
         if (event.type === 'message_start' && event.message?.usage) {
-          usage.input = event.message.usage.input_tokens || 0;
+          usage = { ...parseAnthropicUsage(event.message.usage), output: 0 };
         } else if (event.type === 'message_delta' && event.usage) {
           usage.output = event.usage.output_tokens || 0;
         } else if (event.type === 'content_block_start') {
@@ -348,15 +764,27 @@ async function* parseAnthropicStream(body) {
               name: event.content_block.name,
             };
             toolInputJson = '';
+          } else if (event.content_block?.type === 'thinking') {
+            currentThinking = { type: 'thinking', thinking: '', signature: '' };
+          } else if (event.content_block?.type === 'redacted_thinking') {
+            currentThinking = { ...event.content_block };
           }
         } else if (event.type === 'content_block_delta') {
           if (event.delta?.type === 'text_delta' && event.delta.text) {
             yield { type: 'text', text: event.delta.text };
           } else if (event.delta?.type === 'input_json_delta' && event.delta.partial_json) {
             toolInputJson += event.delta.partial_json;
+          } else if (event.delta?.type === 'thinking_delta' && currentThinking) {
+            currentThinking.thinking += event.delta.thinking;
+            yield { type: 'thinking', text: event.delta.thinking };
+          } else if (event.delta?.type === 'signature_delta' && currentThinking) {
+            currentThinking.signature += event.delta.signature;
           }
         } else if (event.type === 'content_block_stop') {
-          if (currentToolUse) {
+          if (currentThinking) {
+            yield { type: 'reasoning_block', block: currentThinking };
+            currentThinking = null;
+          } else if (currentToolUse) {
             let args = {};
             try { args = JSON.parse(toolInputJson); } catch { /* empty args */ }
             yield {
@@ -456,43 +884,44 @@ class OpenAIResponsesProvider extends Provider {
     this.baseUrl = opts.baseUrl || 'https://api.openai.com/v1';
     this.credentialName = opts.credentialName || 'openai_api_key';
     this.apiKey = opts.apiKey;
+    this.reasoning = opts.reasoning;
+    this.supportsSchema = true;
   }
 
   async chat(messages, opts = {}) {
     const apiKey = this.apiKey || await getCredential(this.credentialName);
     if (!apiKey) throw new Error(`No API key. Run: betterbot creds set ${this.credentialName}`);
 
-    // Convert chat messages to Responses API format
+    // Canonical history → Responses API input items
     const { system, cleaned } = extractSystem(messages);
     const input = [];
-    for (const m of cleaned) {
-      if (m.role === 'tool') {
-        // Tool results → function_call_output
-        input.push({ type: 'function_call_output', call_id: m.tool_call_id, output: typeof m.content === 'string' ? m.content : JSON.stringify(m.content) });
-      } else if (m.role === 'assistant' && m.tool_calls?.length) {
-        // Assistant with tool calls → message + function_call items
-        if (m.content) input.push({ role: 'assistant', content: m.content });
-        for (const tc of m.tool_calls) {
-          input.push({ type: 'function_call', id: tc.id, call_id: tc.id, name: tc.function?.name || tc.name, arguments: typeof tc.function?.arguments === 'string' ? tc.function.arguments : JSON.stringify(tc.function?.arguments || tc.arguments || {}) });
+    for (const m of toCanonical(cleaned)) {
+      if (!Array.isArray(m.content)) {
+        input.push({ role: m.role, content: m.content ?? '' });
+      } else if (m.role === 'assistant') {
+        const text = m.content.filter(b => b.type === 'text').map(b => b.text).join('');
+        if (text) input.push({ role: 'assistant', content: text });
+        const replay = m.content.find(b => b.type === 'openai_reasoning');
+        if (replay) {
+          // The original output items, so reasoning stays paired with its function calls
+          input.push(...replay.items);
+        } else {
+          for (const tu of m.content.filter(b => b.type === 'tool_use')) {
+            input.push({ type: 'function_call', id: tu.id, call_id: tu.id, name: tu.name, arguments: JSON.stringify(tu.input || {}) });
+          }
         }
-      } else if (m.role === 'user' && Array.isArray(m.content)) {
-        // Anthropic-format tool results
-        const toolResults = m.content.filter(b => b.type === 'tool_result');
-        const textBlocks = m.content.filter(b => b.type === 'text');
-        for (const tr of toolResults) {
-          input.push({ type: 'function_call_output', call_id: tr.tool_use_id, output: typeof tr.content === 'string' ? tr.content : JSON.stringify(tr.content) });
+      } else {
+        // Tool results → function_call_output; images they returned follow as a user message
+        const media = [];
+        for (const tr of m.content.filter(b => b.type === 'tool_result')) {
+          if (Array.isArray(tr.content)) media.push(...tr.content.filter(isMediaBlock));
+          input.push({ type: 'function_call_output', call_id: tr.tool_use_id, output: toolOutputText(tr.content) });
         }
-        if (textBlocks.length) input.push({ role: 'user', content: textBlocks.map(b => b.text).join('\n') });
-      } else if (m.role === 'assistant' && Array.isArray(m.content)) {
-        // Anthropic-format assistant with tool_use blocks
-        const textParts = m.content.filter(b => b.type === 'text').map(b => b.text).join('');
-        const toolUses = m.content.filter(b => b.type === 'tool_use');
-        if (textParts) input.push({ role: 'assistant', content: textParts });
-        for (const tu of toolUses) {
-          input.push({ type: 'function_call', id: tu.id, call_id: tu.id, name: tu.name, arguments: JSON.stringify(tu.input || {}) });
+        if (media.length) {
+          input.push({ role: 'user', content: [{ type: 'input_text', text: '(Attachments from the tool results above)' }, ...toResponsesParts(media)] });
         }
-      } else {
-        input.push({ role: m.role, content: typeof m.content === 'string' ? m.content : JSON.stringify(m.content) });
+        const parts = toResponsesParts(m.content);
+        if (parts.length) input.push({ role: 'user', content: parts });
       }
     }
 
@@ -508,22 +937,29 @@ class OpenAIResponsesProvider extends Provider {
     if (system) body.instructions = system;
     if (tools.length) body.tools = tools;
     if (opts.maxTokens) body.max_output_tokens = opts.maxTokens;
+    if (opts.schema) {
+      body.text = { format: { type: 'json_schema', name: opts.schemaName || 'response', schema: opts.schema, strict: false } };
+    }
+    const effort = reasoningEffort(opts.reasoning ?? this.reasoning);
+    if (effort) {
+      body.reasoning = { effort, summary: 'auto' };
+      body.include = ['reasoning.encrypted_content'];
+    }
 
-    const res = await fetch(`${this.baseUrl}/responses`, {
+    const res = await fetchWithTimeout(`${this.baseUrl}/responses`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` },
       body: JSON.stringify(body),
+      signal: opts.signal,
     });
 
-    if (!res.ok) {
-      const err = await res.text();
-      throw new Error(`OpenAI Responses API error ${res.status}: ${err}`);
-    }
+    if (!res.ok) throw await apiError('OpenAI Responses API error', res);
 
     const data = await res.json();
 
     // Parse response output items
     let textContent = '';
+    let thinking = '';
     const toolCalls = [];
 
     for (const item of data.output || []) {
@@ -531,6 +967,8 @@ class OpenAIResponsesProvider extends Provider {
         for (const block of item.content || []) {
           if (block.type === 'output_text') textContent += block.text;
         }
+      } else if (item.type === 'reasoning') {
+        thinking += (item.summary || []).map(s => s.text).join('\n\n');
       } else if (item.type === 'function_call') {
         let args = {};
         try { args = JSON.parse(item.arguments || '{}'); } catch {}
@@ -546,12 +984,19 @@ class OpenAIResponsesProvider extends Provider {
         input: data.usage?.input_tokens || 0,
         output: data.usage?.output_tokens || 0,
       },
+      thinking: thinking || undefined,
+      // Reasoning items plus the calls they led to, replayed verbatim next round
+      reasoning: hasReasoning(data.output)
+        ? data.output.filter(i => i.type === 'reasoning' || i.type === 'function_call')
+        : undefined,
     };
   }
 
   async *stream(messages, opts = {}) {
     // Responses API streaming is different — fall back to non-streaming for now
     const result = await this.chat(messages, opts);
+    if (result.thinking) yield { type: 'thinking', text: result.thinking };
+    for (const block of result.reasoning || []) yield { type: 'reasoning_block', block };
     if (result.content) yield { type: 'text', text: result.content };
     if (result.tool_calls) {
       for (const tc of result.tool_calls) {
@@ -562,6 +1007,240 @@ class OpenAIResponsesProvider extends Provider {
   }
 }
 
+// Anthropic content blocks → Responses API input parts
+function toResponsesParts(blocks) {
+  return blocks.map(b => {
+    if (b.type === 'text') return { type: 'input_text', text: b.text };
+    if (b.type === 'image') return { type: 'input_image', image_url: dataUrl(b) };
+    if (b.type === 'document') return { type: 'input_file', filename: b.title || 'document.pdf', file_data: dataUrl(b) };
+    return null;
+  }).filter(Boolean);
+}
+
+function toolOutputText(content) {
+  if (Array.isArray(content)) return contentText(content.filter(b => !isMediaBlock(b)));
+  return typeof content === 'string' ? content : JSON.stringify(content);
+}
+
+// Google Gemini provider — native Generative Language API (no OpenRouter middleman)
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+const GEMINI_CONTEXT_WINDOW = 1_048_576;
+
+// Gemini 2.5+ attaches a thought signature to function calls and expects it back on
+// the next turn. The canonical history has nowhere to keep it, so remember them here.
+const geminiSignatures = new Map(); // tool call id -> thoughtSignature
+
+// Keys Gemini's OpenAPI-subset schema accepts — anything else ($schema,
+// additionalProperties, ...) makes it reject the whole request
+const GEMINI_SCHEMA_KEYS = new Set([
+  'type', 'format', 'description', 'nullable', 'enum', 'items', 'properties', 'required',
+  'minItems', 'maxItems', 'minimum', 'maximum', 'minLength', 'maxLength', 'pattern',
+  'anyOf', 'title', 'default', 'propertyOrdering',
+]);
+
+function toGeminiSchema(schema) {
+  if (!schema || typeof schema !== 'object') return schema;
+  if (Array.isArray(schema)) return schema.map(toGeminiSchema);
+  const out = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (!GEMINI_SCHEMA_KEYS.has(key)) continue;
+    if (key === 'properties') {
+      out.properties = Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toGeminiSchema(v)]));
+    } else if (key === 'items' || key === 'anyOf') {
+      out[key] = toGeminiSchema(value);
+    } else if (key === 'type' && Array.isArray(value)) {
+      // JSON Schema ["string", "null"] → type + nullable
+      out.type = value.find(t => t !== 'null') || 'string';
+      if (value.includes('null')) out.nullable = true;
+    } else {
+      out[key] = value;
+    }
+  }
+  return out;
+}
+
+function toGeminiTools(tools) {
+  const functionDeclarations = tools.map(t => {
+    const name = t.name || t.function?.name;
+    const description = t.description || t.function?.description;
+    const params = t.input_schema || t.function?.parameters || t.parameters;
+    const decl = { name, description };
+    // Gemini rejects an object schema with no properties — omit it instead
+    if (params && Object.keys(params.properties || {}).length) decl.parameters = toGeminiSchema(params);
+    return decl;
+  });
+  return [{ functionDeclarations }];
+}
+
+// Canonical history → Gemini contents
+function toGeminiContents(messages) {
+  const contents = [];
+  const toolNames = new Map(); // tool_use id -> name (functionResponse needs the name)
+
+  const push = (role, parts) => {
+    if (!parts.length) return;
+    const prev = contents[contents.length - 1];
+    if (prev?.role === role) prev.parts.push(...parts);
+    else contents.push({ role, parts });
+  };
+
+  for (const m of toAnthropicMessages(messages)) {
+    const role = m.role === 'assistant' ? 'model' : 'user';
+    if (!Array.isArray(m.content)) {
+      if (m.content) push(role, [{ text: m.content }]);
+      continue;
+    }
+    const parts = [];
+    const toolMedia = [];
+    for (const block of m.content) {
+      if (block.type === 'text' && block.text) {
+        parts.push({ text: block.text });
+      } else if (block.type === 'tool_use') {
+        toolNames.set(block.id, block.name);
+        parts.push({
+          functionCall: { name: block.name, args: block.input || {} },
+          // Sessions resumed from disk lost the signature — Gemini documents this value for that case
+          thoughtSignature: geminiSignatures.get(block.id) || 'skip_thought_signature_validator',
+        });
+      } else if (isMediaBlock(block)) {
+        parts.push(toGeminiInline(block));
+      } else if (block.type === 'tool_result') {
+        parts.push({
+          functionResponse: { name: toolNames.get(block.tool_use_id) || 'unknown', response: { result: toolOutputText(block.content) } },
+        });
+        if (Array.isArray(block.content)) toolMedia.push(...block.content.filter(isMediaBlock).map(toGeminiInline));
+      }
+    }
+    // Images returned by tools go after all the function responses
+    push(role, [...parts, ...toolMedia]);
+  }
+  return contents;
+}
+
+function toGeminiInline(block) {
+  return { inlineData: { mimeType: block.source.media_type, data: block.source.data } };
+}
+
+function parseGeminiUsage(meta) {
+  return {
+    input: meta?.promptTokenCount || 0,
+    // Thinking tokens are billed as output
+    output: (meta?.candidatesTokenCount || 0) + (meta?.thoughtsTokenCount || 0),
+  };
+}
+
+let geminiCallSeq = 0;
+
+function parseGeminiCall(part) {
+  const id = part.functionCall.id || `gemini_${Date.now().toString(36)}_${geminiCallSeq++}`;
+  if (part.thoughtSignature) {
+    geminiSignatures.set(id, part.thoughtSignature);
+    if (geminiSignatures.size > 500) geminiSignatures.delete(geminiSignatures.keys().next().value);
+  }
+  return { id, name: part.functionCall.name, arguments: part.functionCall.args || {} };
+}
+
+class GeminiProvider extends Provider {
+  constructor(opts) {
+    super(opts);
+    this.baseUrl = opts.baseUrl || GEMINI_BASE_URL;
+    this.apiKey = opts.apiKey;
+    this.reasoning = opts.reasoning;
+    this.supportsSchema = true;
+    this._contextWindow ||= GEMINI_CONTEXT_WINDOW;
+  }
+
+  async _request(messages, opts, method) {
+    const apiKey = this.apiKey || await getCredential('gemini_api_key');
+    if (!apiKey) throw new Error('No Gemini API key. Run: betterbot creds set gemini_api_key');
+
+    const { system, cleaned } = extractSystem(messages);
+    const body = {
+      contents: toGeminiContents(cleaned),
+      generationConfig: { maxOutputTokens: opts.maxTokens || 4096 },
+    };
+    if (system) body.systemInstruction = { parts: [{ text: system }] };
+    if (opts.tools?.length) body.tools = toGeminiTools(opts.tools);
+    if (opts.schema) {
+      body.generationConfig.responseMimeType = 'application/json';
+      body.generationConfig.responseSchema = toGeminiSchema(opts.schema);
+    }
+    const budget = reasoningBudget(opts.reasoning ?? this.reasoning);
+    if (budget) body.generationConfig.thinkingConfig = { thinkingBudget: budget, includeThoughts: true };
+
+    const model = this.model.replace(/^models\//, '');
+    const query = method === 'streamGenerateContent' ? '?alt=sse' : '';
+    const res = await fetchWithTimeout(`${this.baseUrl}/models/${model}:${method}${query}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey },
+      body: JSON.stringify(body),
+      signal: opts.signal,
+    });
+
+    if (!res.ok) throw await apiError('Gemini API error', res);
+    return res;
+  }
+
+  async chat(messages, opts = {}) {
+    const res = await this._request(messages, opts, 'generateContent');
+    const data = await res.json();
+    const candidate = data.candidates?.[0];
+
+    let textContent = '';
+    let thinking = '';
+    const toolCalls = [];
+    for (const part of candidate?.content?.parts || []) {
+      if (part.thought) thinking += part.text || ''; // thought summary, not part of the answer
+      else if (part.text) textContent += part.text;
+      else if (part.functionCall) toolCalls.push(parseGeminiCall(part));
+    }
+
+    return {
+      content: textContent,
+      tool_calls: toolCalls.length > 0 ? toolCalls : null,
+      stop_reason: toolCalls.length > 0 ? 'tool_use' : candidate?.finishReason === 'MAX_TOKENS' ? 'max_tokens' : 'end_turn',
+      usage: parseGeminiUsage(data.usageMetadata),
+      thinking: thinking || undefined,
+    };
+  }
+
+  async *stream(messages, opts = {}) {
+    const res = await this._request(messages, opts, 'streamGenerateContent');
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let usageMeta = null;
+
+    for await (const chunk of res.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (!line.startsWith('data: ')) continue;
+        let event;
+        try { event = JSON.parse(line.slice(6)); } catch { continue; }
+
+        // usageMetadata is cumulative — the last one wins
+        if (event.usageMetadata) usageMeta = event.usageMetadata;
+        for (const part of event.candidates?.[0]?.content?.parts || []) {
+          if (part.thought) {
+            if (part.text) yield { type: 'thinking', text: part.text };
+          } else if (part.text) {
+            yield { type: 'text', text: part.text };
+          } else if (part.functionCall) {
+            yield { type: 'tool_use', ...parseGeminiCall(part) };
+          }
+        }
+      }
+    }
+    if (usageMeta) yield { type: 'usage', usage: parseGeminiUsage(usageMeta) };
+  }
+}
+
+function hasReasoning(output) {
+  return (output || []).some(i => i.type === 'reasoning');
+}
+
 // Detect if a model should use the Responses API instead of Chat Completions
 function needsResponsesApi(model) {
   if (!model) return false;
@@ -576,8 +1255,9 @@ const providers = {
   ollama: (opts) => new OllamaProvider(opts),
   openai: (opts) => needsResponsesApi(opts.model)
     ? new OpenAIResponsesProvider(opts)
-    : new OpenAIProvider(opts),
+    : new OpenAIProvider({ structuredOutput: true, ...opts }),
   openrouter: (opts) => new OpenAIProvider({
+    structuredOutput: true,
     ...opts,
     baseUrl: 'https://openrouter.ai/api/v1',
     credentialName: 'openrouter_api_key',
@@ -597,60 +1277,235 @@ const providers = {
     baseUrl: 'https://text.pollinations.ai/openai',
     noAuth: true,
   }),
+  gemini: (opts) => new GeminiProvider(opts),
+  llamacpp: (opts) => new LlamaCppProvider(opts),
+  lmstudio: (opts) => new LMStudioProvider(opts),
   generic: (opts) => new OpenAIProvider(opts),
 };
 
-// Wrap a provider to automatically track usage after chat() and stream() calls
-function withTracking(provider, role) {
-  const origChat = provider.chat.bind(provider);
-  provider.chat = async function(messages, opts) {
-    const result = await origChat(messages, opts);
-    if (result.usage) {
-      provider._lastUsage = result.usage;
-      trackUsage(role, result.usage).catch(() => {});
-    }
-    return result;
+// Providers that run on this machine — free, and health-checked by doctor
+export const LOCAL_PROVIDERS = new Set(['ollama', 'llamacpp', 'lmstudio']);
+
+// --- Retry & failover ---
+
+const RETRYABLE_STATUS = new Set([408, 409, 425, 429, 500, 502, 503, 504, 529]);
+const NETWORK_ERRORS = new Set([
+  'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND',
+  'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT',
+]);
+
+// Rate limits, overloads, 5xx, timeouts and dropped connections — worth another try
+export function isRetryableError(err) {
+  if (err?.status) return RETRYABLE_STATUS.has(err.status) || err.status >= 500;
+  if (NETWORK_ERRORS.has(err?.code) || NETWORK_ERRORS.has(err?.cause?.code)) return true;
+  return err?.message === 'fetch failed' || /overloaded/i.test(err?.message || '');
+}
+
+// A different provider may still answer when this one is unreachable or has no key
+function canFailOver(err) {
+  // A model that can't produce the requested JSON — another one might
+  if (err.schemaMismatch) return true;
+  return isRetryableError(err)
+    || err?.status === 401 || err?.status === 403
+    || /^No (\w+ )?API key/.test(err?.message || '');
+}
+
+function backoffDelay(attempt, err) {
+  const base = config.failover?.backoffMs ?? 1000;
+  const max = config.failover?.maxBackoffMs ?? 20000;
+  if (err.retryAfterMs) return Math.min(err.retryAfterMs, max);
+  const delay = Math.min(base * 2 ** attempt, max);
+  return delay / 2 + Math.random() * delay / 2;
+}
+
+// Backoff wait that ends early (rejecting) when the caller aborts
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
   };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Runs a role's chain of providers in order. Transient failures are retried with
+// exponential backoff, then the next spec takes over. Usage is tracked against the
+// spec that actually answered (usage.model = "provider/model").
+class FailoverProvider extends Provider {
+  constructor(role, chain) {
+    super({ model: chain[0].provider.model });
+    this.chain = chain; // [{ key, provider }]
+    this.lastModel = null;
+    this._role = role;
+    this._lastUsage = null;
+  }
+
+  // Context window of the spec that answered last (the primary before any call)
+  async getContextWindow() {
+    const entry = this.chain.find(e => e.key === this.lastModel) || this.chain[0];
+    try {
+      return await entry.provider.getContextWindow();
+    } catch {
+      return null;
+    }
+  }
+
+  _answered(key, usage) {
+    this.lastModel = key;
+    if (!usage) return;
+    usage.model = key;
+    this._lastUsage = usage;
+    trackUsage(this._role, usage).catch(() => {});
+  }
+
+  // Decide how to continue after a failed attempt: 'retry' the same spec,
+  // move on to the 'next' one, or rethrow when neither can help.
+  async _recover(err, index, attempt, signal) {
+    // A stopped turn is not a failure — don't retry it or wake up the next spec
+    if (signal?.aborted) throw err;
+    const { key } = this.chain[index];
+    const reason = err.message.split('\n')[0].slice(0, 160);
+    const retries = config.failover?.retries ?? 2;
+    const maxBackoff = config.failover?.maxBackoffMs ?? 20000;
+
+    // A Retry-After longer than we're willing to wait means: skip straight to the next spec
+    if (isRetryableError(err) && attempt < retries && !(err.retryAfterMs > maxBackoff)) {
+      const delay = backoffDelay(attempt, err);
+      console.error(`[provider] ${key} failed (${reason}) — retry ${attempt + 1}/${retries} in ${(delay / 1000).toFixed(1)}s`);
+      await sleep(delay, signal);
+      return 'retry';
+    }
+
+    const next = this.chain[index + 1];
+    if (next && canFailOver(err)) {
+      console.error(`[provider] ${key} failed (${reason}) — failing over to ${next.key}`);
+      return 'next';
+    }
+    throw err;
+  }
 
-  const origStream = provider.stream.bind(provider);
-  provider.stream = async function*(messages, opts) {
-    for await (const event of origStream(messages, opts)) {
-      if (event.type === 'usage') {
-        provider._lastUsage = event.usage;
-        trackUsage(role, event.usage).catch(() => {});
+  async chat(messages, opts = {}) {
+    let index = 0;
+    let attempt = 0;
+    while (true) {
+      const { key, provider } = this.chain[index];
+      try {
+        const result = opts.schema
+          ? await structuredChat(provider, messages, opts)
+          : await provider.chat(messages, opts);
+        this._answered(key, result.usage);
+        return result;
+      } catch (err) {
+        // Rejected structured replies were still billed
+        if (err.usage) this._answered(key, err.usage);
+        if (await this._recover(err, index, attempt, opts.signal) === 'retry') {
+          attempt++;
+        } else {
+          index++;
+          attempt = 0;
+        }
       }
-      yield event;
     }
-  };
+  }
+
+  async *stream(messages, opts = {}) {
+    let index = 0;
+    let attempt = 0;
+    while (true) {
+      const { key, provider } = this.chain[index];
+      let started = false;
+      try {
+        for await (const event of provider.stream(messages, opts)) {
+          if (event.type === 'usage') this._answered(key, event.usage);
+          started = true;
+          yield event;
+        }
+        this.lastModel = key;
+        return;
+      } catch (err) {
+        // Output already reached the caller — replaying would duplicate it
+        if (started) throw err;
+        if (await this._recover(err, index, attempt, opts.signal) === 'retry') {
+          attempt++;
+        } else {
+          index++;
+          attempt = 0;
+        }
+      }
+    }
+  }
+}
 
-  provider._role = role;
-  provider._lastUsage = null;
-  return provider;
+/**
+ * Ordered provider/model specs for a role, primary first.
+ * `config.models[role]` may be a single spec or an array of them; roles without
+ * an entry use 'default'.
+ * @param {string} role
+ * @returns {Array<{provider: string, model: string}>}
+ */
+export function getRoleSpecs(role = 'default') {
+  const entry = config.models[role] || config.models.default;
+  if (!entry) return [];
+  return (Array.isArray(entry) ? entry : [entry]).filter(s => s?.provider);
+}
+
+function buildChain(specs, role) {
+  const chain = [];
+  for (const spec of specs) {
+    const factory = providers[spec.provider];
+    if (!factory) {
+      console.error(`[provider] Unknown provider "${spec.provider}" in models.${role} — skipping`);
+      continue;
+    }
+    // A spec's own `reasoning` wins over the role default (false turns it off)
+    const reasoning = spec.reasoning ?? config.reasoning?.[role];
+    chain.push({ key: `${spec.provider}/${spec.model || 'auto'}`, provider: factory({ model: spec.model, ...spec, reasoning }) });
+  }
+  return chain;
 }
 
 export function createProvider(role = 'default') {
-  let spec = config.models[role];
+  // Recording or replaying (see cassette.js) — a replay needs no model config at all
+  if (config.cassette) return cassetteProvider(role, config.cassette, () => createChainProvider(role));
+  return createChainProvider(role);
+}
 
-  // If the requested role doesn't exist or its provider has no credential configured,
-  // fall back to the default model. This prevents crashes when e.g. quick=anthropic
-  // but the user only has an OpenRouter key.
-  if (!spec) {
-    if (role !== 'default') {
-      spec = config.models.default;
-    }
-    if (!spec) throw new Error(`Unknown model role: ${role}`);
+function createChainProvider(role) {
+  // Roles that aren't configured fall back to the default model. This prevents
+  // crashes when e.g. quick isn't set but the user only has an OpenRouter key.
+  const specs = getRoleSpecs(role);
+  if (!specs.length) throw new Error(`Unknown model role: ${role}`);
+
+  let chain = buildChain(specs, role);
+  if (!chain.length && role !== 'default') {
+    // Fall back to the default chain if none of this role's providers are known
+    chain = buildChain(getRoleSpecs('default'), 'default');
   }
+  if (!chain.length) throw new Error(`Unknown provider: ${specs[0].provider}`);
+  return new FailoverProvider(role, chain);
+}
 
-  const factory = providers[spec.provider];
-  if (!factory) {
-    // Fall back to default provider if this provider is unknown
-    const defaultSpec = config.models.default;
-    if (defaultSpec && providers[defaultSpec.provider]) {
-      return withTracking(providers[defaultSpec.provider]({ model: defaultSpec.model, ...defaultSpec }), role);
+/**
+ * One provider per local model server spec (llama.cpp, LM Studio) in the model
+ * config, with the roles that use it — doctor health-checks these.
+ * @returns {Array<{key: string, roles: string[], provider: Provider}>}
+ */
+export function getLocalServers() {
+  const servers = new Map();
+  for (const [role, entry] of Object.entries(config.models || {})) {
+    for (const spec of [].concat(entry)) {
+      if (!LOCAL_PROVIDERS.has(spec?.provider)) continue;
+      const provider = providers[spec.provider]({ ...spec });
+      if (typeof provider.health !== 'function') continue;
+      const key = `${provider.label} ${provider.serverUrl} ${spec.model || 'auto'}`;
+      if (!servers.has(key)) servers.set(key, { key, roles: [], provider });
+      servers.get(key).roles.push(role);
     }
-    throw new Error(`Unknown provider: ${spec.provider}`);
   }
-  return withTracking(factory({ model: spec.model, ...spec }), role);
+  return [...servers.values()];
 }
 
 export function getProviderForRole(role) {
@@ -659,8 +1514,7 @@ export function getProviderForRole(role) {
 
 // Detect provider type for tool format
 export function getProviderType(role = 'default') {
-  const spec = config.models[role];
-  return spec?.provider || 'unknown';
+  return getRoleSpecs(role)[0]?.provider || 'unknown';
 }
 
-export { Provider, ClaudeProvider, OllamaProvider, OpenAIProvider, OpenAIResponsesProvider };
+export { Provider, ClaudeProvider, OllamaProvider, OpenAIProvider, OpenAIResponsesProvider, GeminiProvider, LlamaCppProvider, LMStudioProvider };
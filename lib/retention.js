@@ -0,0 +1,258 @@
+/**
+ * Retention — keeps the data dir from growing forever (config.retention).
+ *
+ * Sessions idle for `archiveAfterDays`, or past `maxSessions` / `maxSizeMB` counting
+ * from the newest, are archived: their files (snapshot, journal, compaction archive)
+ * are gzipped together into sessions/archive/<id>.json.gz, which takes them out of
+ * lists and search. Session.resume() restores an archived session transparently.
+ * Archives older than `deleteAfterDays`, run_background's bg-*.log files older
+ * than `backgroundLogDays` and saved tool outputs older than `toolOutputDays` are
+ * deleted. A rule set to 0 is off.
+ */
+import { readFile, writeFile, readdir, rename, unlink, stat, mkdir } from 'node:fs/promises';
+import { join } from 'node:path';
+import { gzip, gunzip } from 'node:zlib';
+import { promisify } from 'node:util';
+import { liveSession, withSessionLock } from './session-store.js';
+import { listSessionSummaries } from './session-search.js';
+import { toolOutputDir } from './tool-output.js';
+import { listProcesses } from './processes.js';
+import config from '../config.js';
+
+const gzipAsync = promisify(gzip);
+const gunzipAsync = promisify(gunzip);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ARCHIVE_VERSION = 1;
+
+// Everything a session keeps on disk, by suffix after its id
+const SESSION_SUFFIXES = ['.json', '.journal.jsonl', '.history.jsonl'];
+const BACKGROUND_LOG = /^bg-\d+\.log$/;
+
+const archiveDir = () => join(config.sessionsDir, 'archive');
+const archivePath = (id) => join(archiveDir(), `${id}.json.gz`);
+
+export function formatBytes(bytes) {
+  if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+  if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+  return `${Math.ceil(bytes / 1024)} KB`;
+}
+
+async function sessionFiles(id) {
+  const files = [];
+  for (const suffix of SESSION_SUFFIXES) {
+    const path = join(config.sessionsDir, `${id}${suffix}`);
+    try {
+      files.push({ name: `${id}${suffix}`, path, size: (await stat(path)).size });
+    } catch { /* not every session has every file */ }
+  }
+  return files;
+}
+
+// ── Archiving ──
+
+/**
+ * Gzip a session's files into the archive and remove them from the sessions dir.
+ * @param {string} id
+ * @returns {Promise<number>} Bytes freed in the sessions dir (0 if there was nothing to archive)
+ */
+export async function archiveSession(id) {
+  return withSessionLock(id, async () => {
+    const files = await sessionFiles(id);
+    if (!files.length) return 0;
+    const contents = {};
+    for (const f of files) contents[f.name] = await readFile(f.path, 'utf-8');
+    const data = { version: ARCHIVE_VERSION, id, archivedAt: new Date().toISOString(), files: contents };
+
+    await mkdir(archiveDir(), { recursive: true });
+    const tmp = `${archivePath(id)}.tmp`;
+    await writeFile(tmp, await gzipAsync(JSON.stringify(data)));
+    await rename(tmp, archivePath(id));
+    // The snapshot goes last: until it's gone the session still reads as live
+    for (const f of [...files].reverse()) await unlink(f.path).catch(() => {});
+    return files.reduce((n, f) => n + f.size, 0);
+  });
+}
+
+/**
+ * Put an archived session back into the sessions dir.
+ * @param {string} id
+ * @returns {Promise<boolean>} false when there's no archive for the id
+ */
+export async function restoreSession(id) {
+  let raw;
+  try {
+    raw = await readFile(archivePath(id));
+  } catch {
+    return false;
+  }
+  const data = JSON.parse((await gunzipAsync(raw)).toString('utf-8'));
+  await withSessionLock(id, async () => {
+    // Snapshot last, so a half-restored session never looks complete
+    const names = Object.keys(data.files).sort((a, b) => (a === `${id}.json`) - (b === `${id}.json`));
+    for (const name of names) {
+      if (!SESSION_SUFFIXES.some(suffix => name === `${id}${suffix}`)) continue; // only this session's files
+      // A process that still had the session open may have saved it again since
+      // — what it wrote is newer than the archive
+      await writeFile(join(config.sessionsDir, name), data.files[name], { encoding: 'utf-8', flag: 'wx' })
+        .catch(err => { if (err.code !== 'EEXIST') throw err; });
+    }
+    await unlink(archivePath(id));
+  });
+  return true;
+}
+
+// ── Pruning ──
+
+/**
+ * Apply the retention policy.
+ * @param {object} [opts]
+ * @param {boolean} [opts.dryRun] - Report what would go without touching anything
+ * @returns {Promise<{ archived: object[], deleted: object[], logs: object[], outputs: object[], freed: number }>}
+ *   archived: { id, reason, bytes } · deleted (archives): { id, bytes } · logs: { name, bytes }
+ *   outputs (saved tool outputs): { name, bytes }
+ */
+export async function pruneSessions({ dryRun = false } = {}) {
+  const rules = config.retention || {};
+  const now = Date.now();
+  const result = { archived: [], deleted: [], logs: [], outputs: [], freed: 0 };
+
+  // Newest first, so count and size limits keep the most recent sessions
+  const sessions = (await listSessionSummaries())
+    .sort((a, b) => (b.updated || b.created || '').localeCompare(a.updated || a.created || ''));
+  const candidates = [];
+  let keptBytes = 0;
+  let kept = 0;
+  for (const s of sessions) {
+    const bytes = (await sessionFiles(s.id)).reduce((n, f) => n + f.size, 0);
+    const idleDays = (now - new Date(s.updated || s.created || now).getTime()) / DAY_MS;
+    let reason = null;
+    if (liveSession(s.id)) { /* open in a channel right now — always kept */ }
+    else if (rules.archiveAfterDays && idleDays > rules.archiveAfterDays) reason = `idle ${Math.floor(idleDays)} days`;
+    else if (rules.maxSessions && kept >= rules.maxSessions) reason = `beyond the newest ${rules.maxSessions}`;
+    else if (rules.maxSizeMB && keptBytes + bytes > rules.maxSizeMB * 1024 * 1024) reason = `over ${rules.maxSizeMB} MB`;
+    if (reason) {
+      candidates.push({ id: s.id, reason, bytes });
+    } else {
+      kept++;
+      keptBytes += bytes;
+    }
+  }
+  for (const c of candidates) {
+    if (!dryRun) c.bytes = await archiveSession(c.id);
+    result.archived.push(c);
+    result.freed += c.bytes;
+  }
+
+  if (rules.deleteAfterDays) {
+    let files = [];
+    try {
+      files = await readdir(archiveDir());
+    } catch { /* nothing archived yet */ }
+    for (const name of files.filter(f => f.endsWith('.json.gz'))) {
+      const path = join(archiveDir(), name);
+      const info = await stat(path);
+      if (now - info.mtimeMs < rules.deleteAfterDays * DAY_MS) continue;
+      if (!dryRun) await unlink(path);
+      result.deleted.push({ id: name.slice(0, -'.json.gz'.length), bytes: info.size });
+      result.freed += info.size;
+    }
+  }
+
+  if (rules.backgroundLogDays) {
+    let files = [];
+    try {
+      files = await readdir(config.dataDir);
+    } catch { /* no data dir yet */ }
+    // A quiet process still running (or about to restart) keeps its log however old
+    const inUse = new Set((await listProcesses())
+      .filter(p => p.status === 'running' || p.status === 'stopping' || p.restartAt)
+      .map(p => p.logFile));
+    for (const name of files.filter(f => BACKGROUND_LOG.test(f))) {
+      const path = join(config.dataDir, name);
+      if (inUse.has(path)) continue;
+      const info = await stat(path);
+      if (now - info.mtimeMs < rules.backgroundLogDays * DAY_MS) continue;
+      if (!dryRun) await unlink(path);
+      result.logs.push({ name, bytes: info.size });
+      result.freed += info.size;
+    }
+  }
+
+  if (rules.toolOutputDays) {
+    let files = [];
+    try {
+      files = await readdir(toolOutputDir());
+    } catch { /* nothing spilled yet */ }
+    for (const name of files.filter(f => f.endsWith('.txt'))) {
+      const path = join(toolOutputDir(), name);
+      const info = await stat(path);
+      if (now - info.mtimeMs < rules.toolOutputDays * DAY_MS) continue;
+      if (!dryRun) await unlink(path);
+      result.outputs.push({ name: `tool-output/${name}`, bytes: info.size });
+      result.freed += info.size;
+    }
+  }
+
+  return result;
+}
+
+// ── Disk usage ──
+
+async function du(path) {
+  let bytes = 0;
+  let files = 0;
+  let entries;
+  try {
+    entries = await readdir(path, { withFileTypes: true });
+  } catch {
+    return { bytes, files };
+  }
+  for (const entry of entries) {
+    const child = join(path, entry.name);
+    if (entry.isDirectory()) {
+      const sub = await du(child);
+      bytes += sub.bytes;
+      files += sub.files;
+    } else if (entry.isFile()) {
+      bytes += (await stat(child).catch(() => ({ size: 0 }))).size;
+      files++;
+    }
+  }
+  return { bytes, files };
+}
+
+/**
+ * What the data dir holds, largest first: each directory, archived sessions apart
+ * from live ones, run_background logs, and the remaining loose files.
+ * @returns {Promise<Array<{ name: string, bytes: number, files: number }>>}
+ */
+export async function diskUsage() {
+  let entries = [];
+  try {
+    entries = await readdir(config.dataDir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  const usage = [];
+  const logs = { name: 'bg-*.log', bytes: 0, files: 0 };
+  const loose = { name: 'other files', bytes: 0, files: 0 };
+  for (const entry of entries) {
+    const path = join(config.dataDir, entry.name);
+    if (path === config.sessionsDir) {
+      // The archive lives inside the sessions dir — shown on its own line
+      const all = await du(path);
+      const archived = await du(archiveDir());
+      usage.push({ name: `${entry.name}/`, bytes: all.bytes - archived.bytes, files: all.files - archived.files });
+      usage.push({ name: `${entry.name}/archive/`, ...archived });
+    } else if (entry.isDirectory()) {
+      usage.push({ name: `${entry.name}/`, ...(await du(path)) });
+    } else if (entry.isFile()) {
+      const group = BACKGROUND_LOG.test(entry.name) ? logs : loose;
+      group.bytes += (await stat(path).catch(() => ({ size: 0 }))).size;
+      group.files++;
+    }
+  }
+
+  return [...usage, logs, loose].filter(u => u.files).sort((a, b) => b.bytes - a.bytes);
+}
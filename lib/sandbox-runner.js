@@ -0,0 +1,62 @@
+/**
+ * Child process for sandboxed custom tools (started by sandbox.js, never imported).
+ *
+ *   node sandbox-runner.js describe <file>...  — what each module exports
+ *   node sandbox-runner.js run <file>          — execute({ args }, session) with the
+ *                                                JSON { args, session } on stdin
+ *
+ * The answer is one JSON line on stdout after RESULT_MARK. Whatever the tool logs
+ * goes to stderr. It imports nothing from the app: the permission model only lets
+ * it read the tool's directory and the sandbox's allowlist.
+ */
+import { pathToFileURL } from 'node:url';
+
+// Same as in sandbox.js — importing that would pull in the app's config
+const RESULT_MARK = '\u001eBETTERBOT_RESULT ';
+
+const stdout = process.stdout.write.bind(process.stdout);
+console.log = console.info = console.debug = console.error;
+
+// Exit once the answer is written: a tool may leave timers or sockets open
+function answer(data) {
+  stdout(`\n${RESULT_MARK}${JSON.stringify(data)}\n`, () => process.exit());
+}
+
+async function readStdin() {
+  let text = '';
+  for await (const chunk of process.stdin) text += chunk;
+  return JSON.parse(text || '{}');
+}
+
+const [mode, ...files] = process.argv.slice(2);
+
+if (mode === 'describe') {
+  const tools = [];
+  for (const file of files) {
+    try {
+      const tool = (await import(pathToFileURL(file).href)).default;
+      tools.push({
+        file,
+        name: tool?.name,
+        description: tool?.description,
+        parameters: tool?.parameters,
+        execute: typeof tool?.execute === 'function',
+      });
+    } catch (err) {
+      tools.push({ file, error: err.message });
+    }
+  }
+  answer({ tools });
+} else if (mode === 'run') {
+  try {
+    const { args, session } = await readStdin();
+    const tool = (await import(pathToFileURL(files[0]).href)).default;
+    const result = await tool.execute(args, session);
+    answer({ result: result === undefined ? null : result });
+  } catch (err) {
+    answer({ error: err?.message || String(err) });
+  }
+} else {
+  console.error(`Unknown mode "${mode}"`);
+  process.exit(2);
+}
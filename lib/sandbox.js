@@ -0,0 +1,254 @@
+/**
+ * Sandbox — runs shell commands and custom tools fenced off from the gateway
+ * (config.sandbox, or the `sandbox` setting of the outfit a session wears).
+ *
+ * Backends for commands:
+ *   bwrap   — bubblewrap (Linux): a fresh mount namespace where only `readOnly` and
+ *             `writable` paths exist (the workspace is always writable), with /tmp
+ *             a private tmpfs and, for network: false, no network.
+ *   process — a child with a stripped environment; network: false runs it in a
+ *             network namespace of its own (unshare, Linux). The filesystem isn't
+ *             fenced here — only the working directory must be on the allowlist.
+ * Both pass through only the `env` variables and cap memory and CPU time.
+ *
+ * Custom tools run in a separate Node process under the permission model: it can
+ * read and write only the allowlisted paths and can't start processes. The tool's
+ * module is never imported into the gateway (see sandbox-runner.js).
+ */
+import { spawn } from 'node:child_process';
+import { existsSync } from 'node:fs';
+import { mkdir } from 'node:fs/promises';
+import { homedir } from 'node:os';
+import { join, resolve, dirname, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import config from '../config.js';
+
+const RUNNER = join(dirname(fileURLToPath(import.meta.url)), 'sandbox-runner.js');
+// Marks the runner's answer on stdout, apart from anything the tool printed
+const RESULT_MARK = '\u001eBETTERBOT_RESULT ';
+
+// Node 22 dropped the "experimental" from the flag
+const PERMISSION_FLAG = process.allowedNodeEnvironmentFlags.has('--permission') ? '--permission' : '--experimental-permission';
+
+const binaries = new Map();
+
+function findBinary(name) {
+  if (!binaries.has(name)) {
+    const dirs = (process.env.PATH || '').split(':').filter(Boolean);
+    binaries.set(name, dirs.map(d => join(d, name)).find(p => existsSync(p)) || null);
+  }
+  return binaries.get(name);
+}
+
+const expandHome = (p) => resolve(p.startsWith('~/') ? join(homedir(), p.slice(2)) : p);
+
+/**
+ * The sandbox a session's commands and custom tools run in.
+ * @param {object} [session] - Its outfit may turn the sandbox on or off
+ * @param {{ always?: boolean }} [opts] - always: the settings even when the sandbox
+ *   is off — for reading custom tool modules, which never happens unsandboxed
+ * @returns {object|null} null when they run unsandboxed
+ */
+export function sandboxSettings(session, { always = false } = {}) {
+  const base = config.sandbox || {};
+  const outfit = session?._outfit?.sandbox || {};
+  if (!always && !(outfit.enabled ?? base.enabled)) return null;
+  return {
+    backend: base.backend === 'auto' || !base.backend
+      ? (process.platform === 'linux' && findBinary('bwrap') ? 'bwrap' : 'process')
+      : base.backend,
+    network: outfit.network ?? base.network ?? true,
+    readOnly: (base.readOnly || []).map(expandHome),
+    writable: [config.workspaceDir, ...(base.writable || []), ...(outfit.writable || [])].map(expandHome),
+    env: base.env || [],
+    memoryMB: base.memoryMB || 0,
+    cpuSeconds: base.cpuSeconds || 0,
+  };
+}
+
+/**
+ * Whether a path lies on the sandbox's allowlist (read-only or writable).
+ * @param {object} settings - From sandboxSettings()
+ * @param {string} path
+ * @returns {boolean}
+ */
+export function sandboxAllows(settings, path) {
+  const target = resolve(path);
+  return [...settings.readOnly, ...settings.writable]
+    .some(root => target === root || target.startsWith(root.endsWith(sep) ? root : root + sep));
+}
+
+/**
+ * How to spawn a command inside the sandbox.
+ * @param {string[]} argv - Program and arguments
+ * @param {object} settings - From sandboxSettings()
+ * @param {object} opts
+ * @param {string} opts.cwd - Must be on the allowlist
+ * @param {string[]} [opts.readOnly] - Extra paths the command needs to read
+ * @param {boolean} [opts.cpuLimit=true] - Off for processes meant to run for good
+ * @param {boolean} [opts.memoryLimit=true] - Off for Node, which reserves far more
+ *   address space than it uses (cap its heap instead)
+ * @returns {{ file: string, args: string[], env: object }}
+ * @throws When the sandbox can't be set up as configured
+ */
+export function sandboxCommand(argv, settings, { cwd, readOnly = [], cpuLimit = true, memoryLimit = true }) {
+  if (!sandboxAllows(settings, cwd)) throw new Error(`"${cwd}" is outside the sandbox (add it to sandbox.writable to work there)`);
+
+  const env = {};
+  for (const key of settings.env) {
+    if (process.env[key] !== undefined) env[key] = process.env[key];
+  }
+
+  const limits = [];
+  if (cpuLimit && settings.cpuSeconds) limits.push(`ulimit -t ${Math.ceil(settings.cpuSeconds)} 2>/dev/null;`);
+  if (memoryLimit && settings.memoryMB) limits.push(`ulimit -v ${Math.ceil(settings.memoryMB * 1024)} 2>/dev/null;`);
+  const inner = limits.length ? ['/bin/sh', '-c', `${limits.join(' ')} exec "$@"`, 'sh', ...argv] : argv;
+
+  if (settings.backend === 'bwrap') {
+    const bwrap = findBinary('bwrap');
+    if (!bwrap) throw new Error('sandbox.backend is "bwrap" but bubblewrap isn\'t installed');
+    const args = ['--die-with-parent', '--new-session', '--unshare-all'];
+    if (settings.network) args.push('--share-net');
+    args.push('--proc', '/proc', '--dev', '/dev', '--tmpfs', '/tmp');
+    for (const path of [...settings.readOnly, ...readOnly]) args.push('--ro-bind-try', path, path);
+    for (const path of settings.writable) args.push('--bind-try', path, path);
+    args.push('--chdir', resolve(cwd), '--', ...inner);
+    return { file: bwrap, args, env };
+  }
+  if (settings.backend !== 'process') throw new Error(`Unknown sandbox.backend "${settings.backend}" (use auto, bwrap or process)`);
+
+  if (!settings.network) {
+    const unshare = process.platform === 'linux' && findBinary('unshare');
+    if (!unshare) throw new Error('sandbox.network is off, but cutting a command off the network needs bubblewrap or unshare (Linux)');
+    return { file: unshare, args: ['--user', '--map-root-user', '--net', '--', ...inner], env };
+  }
+  return { file: inner[0], args: inner.slice(1), env };
+}
+
+// ── Running ──
+
+const MAX_OUTPUT = 2 * 1024 * 1024;
+
+/**
+ * Run a process to completion. It leads its own process group, so a timeout or an
+ * abort kills everything it started.
+ * @param {string} file
+ * @param {string[]} args
+ * @param {object} opts
+ * @param {string} [opts.cwd]
+ * @param {object} [opts.env]
+ * @param {number} [opts.timeout] - ms; 0 or absent = none
+ * @param {AbortSignal} [opts.signal]
+ * @param {string} [opts.input] - Written to stdin
+ * @param {(text: string) => void} [opts.onOutput] - Sees stdout and stderr as they arrive
+ * @returns {Promise<{ stdout: string, stderr: string, code: number|null, timedOut: boolean, aborted: boolean }>}
+ */
+export function runProcess(file, args, { cwd, env, timeout, signal, input, onOutput }) {
+  return new Promise((resolve) => {
+    if (signal?.aborted) return resolve({ stdout: '', stderr: '', code: null, timedOut: false, aborted: true });
+    const child = spawn(file, args, {
+      cwd,
+      env,
+      stdio: [input === undefined ? 'ignore' : 'pipe', 'pipe', 'pipe'],
+      detached: true,
+    });
+    const out = { stdout: '', stderr: '' };
+    let timedOut = false;
+    const kill = () => {
+      try { process.kill(-child.pid, 'SIGKILL'); } catch { /* already gone */ }
+    };
+    const onAbort = () => kill();
+    const timer = timeout ? setTimeout(() => { timedOut = true; kill(); }, timeout) : null;
+    signal?.addEventListener('abort', onAbort, { once: true });
+    for (const stream of ['stdout', 'stderr']) {
+      child[stream].setEncoding('utf-8');
+      child[stream].on('data', (chunk) => {
+        if (out[stream].length < MAX_OUTPUT) out[stream] += chunk;
+        onOutput?.(chunk);
+      });
+    }
+    if (input !== undefined) {
+      child.stdin.on('error', () => { /* exited without reading it */ });
+      child.stdin.end(input);
+    }
+    const finish = (code, error) => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      resolve({
+        stdout: out.stdout.trim(),
+        stderr: (out.stderr.trim() || error || '').trim(),
+        code,
+        timedOut,
+        aborted: !!signal?.aborted,
+      });
+    };
+    child.on('error', (err) => finish(null, err.message));
+    child.on('close', (code) => finish(code));
+  });
+}
+
+// ── Custom tools ──
+
+// Run sandbox-runner.js with the permission model on top of the command sandbox
+async function runRunner(mode, files, settings, { input, signal } = {}) {
+  const dirs = [...new Set(files.map(dirname))];
+  const reads = [RUNNER, ...dirs, ...settings.readOnly, ...settings.writable];
+  const node = [
+    process.execPath,
+    PERMISSION_FLAG,
+    ...reads.map(p => `--allow-fs-read=${p}`),
+    ...settings.writable.map(p => `--allow-fs-write=${p}`),
+    '--no-warnings',
+    ...(settings.memoryMB ? [`--max-old-space-size=${settings.memoryMB}`] : []),
+    RUNNER, mode, ...files,
+  ];
+  // The workspace — always writable
+  const cwd = settings.writable[0];
+  await mkdir(cwd, { recursive: true });
+  const nodeDir = dirname(dirname(process.execPath));
+  const { file, args, env } = sandboxCommand(node, settings, { cwd, readOnly: [nodeDir, dirname(RUNNER), ...dirs], memoryLimit: false });
+  const run = await runProcess(file, args, { cwd, env, signal, input });
+
+  const line = run.stdout.split('\n').reverse().find(l => l.startsWith(RESULT_MARK));
+  if (line) return { answer: JSON.parse(line.slice(RESULT_MARK.length)), run };
+  return { answer: null, run };
+}
+
+/**
+ * Read custom tool modules in the sandbox: what each exports, without its code
+ * ever loading into the gateway.
+ * @param {string[]} files - Absolute paths
+ * @param {object} settings - From sandboxSettings()
+ * @returns {Promise<object[]>} Per file: { file, name, description, parameters, execute: boolean } or { file, error }
+ * @throws When the runner can't start
+ */
+export async function describeCustomTools(files, settings) {
+  if (!files.length) return [];
+  const { answer, run } = await runRunner('describe', files, settings);
+  // The runner itself failing says nothing about the tools — don't let them be quarantined
+  if (!answer) throw new Error(`Sandbox runner failed: ${run.stderr.split('\n').slice(-5).join('\n') || `exit ${run.code}`}`);
+  return answer.tools;
+}
+
+/**
+ * Call a custom tool's execute() in the sandbox. The tool gets a stand-in for the
+ * session with just its id and contexts.
+ * @param {string} file - The tool's module
+ * @param {object} args
+ * @param {object} [session]
+ * @param {object} settings - From sandboxSettings()
+ * @param {{ signal?: AbortSignal }} [ctx]
+ * @returns {Promise<*>} What execute() returned
+ * @throws What execute() threw, or why the tool couldn't run
+ */
+export async function runSandboxedTool(file, args, session, settings, { signal } = {}) {
+  const input = JSON.stringify({ args, session: { id: session?.id ?? null, contexts: session?.contexts ?? [] } });
+  const { answer, run } = await runRunner('run', [file], settings, { input, signal });
+  if (run.aborted) throw new Error('Cancelled: the tool was stopped');
+  if (!answer) {
+    const detail = run.stderr.split('\n').slice(-5).join('\n');
+    throw new Error(`sandboxed tool exited ${run.code ?? 'on a signal'} without a result${detail ? `:\n${detail}` : ''}`);
+  }
+  if (answer.error) throw new Error(answer.error);
+  return answer.result;
+}
@@ -0,0 +1,253 @@
+/**
+ * Session export — a conversation as a transcript people can read (Markdown,
+ * HTML) or as raw records (JSONL), for code reviews and incident write-ups.
+ *
+ * Transcripts follow the panel's session view: messages compaction archived come
+ * first, then the summary the model carried on from, then the live history. Tool
+ * calls fold into collapsible blocks with their arguments and result, and each
+ * turn ends with what it cost when the session recorded that (see history.js).
+ */
+import { writeFile, mkdir } from 'node:fs/promises';
+import { join } from 'node:path';
+import { readSessionData, readArchive } from './session-store.js';
+import { toCanonical, isToolResultMessage } from './history.js';
+import { contentText, isMediaBlock, describeBlock } from './attachments.js';
+import config from '../config.js';
+
+// format → Content-Type, for downloads
+export const EXPORT_FORMATS = {
+  md: 'text/markdown; charset=utf-8',
+  html: 'text/html; charset=utf-8',
+  jsonl: 'application/x-ndjson; charset=utf-8',
+};
+
+const SUMMARY_PREFIX = '[Conversation summary]';
+
+/**
+ * Render a stored session.
+ * @param {string} id
+ * @param {'md'|'html'|'jsonl'} [format]
+ * @returns {Promise<string>}
+ * @throws When the session doesn't exist or the format is unknown
+ */
+export async function exportSession(id, format = 'md') {
+  if (!EXPORT_FORMATS[format]) throw new Error(`Unknown export format "${format}" (use ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+  const data = await readSessionData(id);
+  if (!data) throw new Error(`Session ${id} not found`);
+  const session = {
+    id: data.id || id,
+    contexts: data.contexts || [],
+    metadata: data.metadata || {},
+    archive: await readArchive(id),
+    messages: toCanonical(data.messages || []),
+  };
+  if (format === 'jsonl') return toJsonl(session);
+  const entries = transcript(session);
+  return format === 'html' ? toHtml(session, entries) : toMarkdown(session, entries);
+}
+
+/**
+ * Write the Markdown transcript into the vault (config.sessionExportsDir).
+ * @param {string} id
+ * @returns {Promise<string>} The note's path relative to the vault
+ */
+export async function exportSessionToVault(id) {
+  const markdown = await exportSession(id, 'md');
+  const relPath = join(config.sessionExportsDir, `Session ${id}.md`);
+  await mkdir(join(config.vault, config.sessionExportsDir), { recursive: true });
+  await writeFile(join(config.vault, relPath), markdown, 'utf-8');
+  return relPath;
+}
+
+// ── Transcript ──
+
+// Flatten the history into what a reader sees, in order:
+//   { kind: 'turn', n } · { kind: 'user' | 'assistant' | 'thinking' | 'summary', text }
+//   { kind: 'tool', name, input, result } · { kind: 'cost', cost } · { kind: 'archived', count }
+function transcript({ archive, messages }) {
+  const results = new Map(); // tool_use id → result content
+  for (const m of [...archive, ...messages]) {
+    if (isToolResultMessage(m)) for (const b of m.content) results.set(b.tool_use_id, b.content);
+  }
+
+  const entries = [];
+  let turn = 0;
+  const add = (m) => {
+    if (m.role === 'system' || isToolResultMessage(m)) return;
+    if (m.role === 'user') {
+      entries.push({ kind: 'turn', n: ++turn });
+      entries.push({ kind: 'user', text: contentText(m.content) });
+      return;
+    }
+    if (typeof m.content === 'string') {
+      if (m.content.startsWith(SUMMARY_PREFIX)) entries.push({ kind: 'summary', text: m.content.slice(SUMMARY_PREFIX.length).trim() });
+      else if (m.content.trim()) entries.push({ kind: 'assistant', text: m.content });
+    } else {
+      for (const block of m.content || []) {
+        if (block.type === 'text' && block.text?.trim()) entries.push({ kind: 'assistant', text: block.text });
+        else if (block.type === 'thinking' && block.thinking) entries.push({ kind: 'thinking', text: block.thinking });
+        else if (block.type === 'tool_use') {
+          const result = results.has(block.id) ? contentText(results.get(block.id)) : null;
+          entries.push({ kind: 'tool', name: block.name, input: block.input || {}, result });
+        } else if (isMediaBlock(block)) entries.push({ kind: 'assistant', text: describeBlock(block) });
+      }
+    }
+    if (m.meta?.cost) entries.push({ kind: 'cost', cost: m.meta.cost });
+  };
+
+  archive.forEach(add);
+  if (archive.length) entries.push({ kind: 'archived', count: archive.length });
+  messages.forEach(add);
+  return entries;
+}
+
+function headerFields({ contexts, metadata }) {
+  const cost = metadata.cost;
+  return [
+    ['Created', metadata.created],
+    ['Updated', metadata.updated],
+    ['Model', metadata.model],
+    ['Contexts', contexts.join(', ')],
+    ['Forked from', metadata.forkedFrom],
+    ['Cost', cost?.total ? `${formatCost(cost.total)} (${cost.calls || 0} calls, ${cost.input || 0} in / ${cost.output || 0} out tokens)` : null],
+  ].filter(([, value]) => value);
+}
+
+function formatCost(cost) {
+  return `$${cost.toFixed(4)}`;
+}
+
+function prettyJson(value) {
+  return JSON.stringify(value, null, 2);
+}
+
+// ── Markdown ──
+
+// A code fence longer than any backtick run inside, so tool output can't close it
+function fence(text, lang = '') {
+  const longest = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+  const ticks = '`'.repeat(longest + 1);
+  return `${ticks}${lang}\n${text}\n${ticks}`;
+}
+
+function toMarkdown(session, entries) {
+  const out = [`# Session ${session.id}`, ''];
+  for (const [label, value] of headerFields(session)) out.push(`- **${label}:** ${value}`);
+  out.push('');
+
+  for (const e of entries) {
+    switch (e.kind) {
+      case 'turn':
+        out.push('---', '', `## Turn ${e.n}`, '');
+        break;
+      case 'user':
+        out.push('**User**', '', e.text, '');
+        break;
+      case 'assistant':
+        out.push('**Assistant**', '', e.text, '');
+        break;
+      case 'thinking':
+        out.push('<details>', '<summary>Thinking</summary>', '', e.text, '', '</details>', '');
+        break;
+      case 'tool':
+        out.push('<details>', `<summary>🔧 ${e.name}</summary>`, '', '**Arguments**', '', fence(prettyJson(e.input), 'json'), '');
+        out.push('**Result**', '', e.result == null ? '_No result recorded_' : fence(e.result), '', '</details>', '');
+        break;
+      case 'summary':
+        out.push('> **Compaction summary** — the model continued from this instead of the messages above', '>');
+        out.push(...e.text.split('\n').map(line => `> ${line}`), '');
+        break;
+      case 'archived':
+        out.push('---', '', `_${e.count} messages above were archived by compaction._`, '');
+        break;
+      case 'cost':
+        out.push(`_Turn cost: ${formatCost(e.cost)}_`, '');
+        break;
+    }
+  }
+  return out.join('\n');
+}
+
+// ── HTML ──
+
+function escapeHtml(str) {
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+const HTML_STYLE = `
+  body { font: 15px/1.55 -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; max-width: 860px; margin: 32px auto; padding: 0 20px; color: #1d1d24; }
+  h1 { font-size: 22px; margin-bottom: 8px; }
+  h2 { font-size: 14px; text-transform: uppercase; letter-spacing: .05em; color: #8888aa; border-top: 1px solid #e4e4ec; padding-top: 16px; margin-top: 28px; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: 2px 14px; font-size: 13px; color: #555566; }
+  dt { font-weight: 600; }
+  dd { margin: 0; }
+  .msg { margin: 10px 0; }
+  .role { font-size: 12px; font-weight: 700; color: #8888aa; margin-bottom: 2px; }
+  .text { white-space: pre-wrap; overflow-wrap: anywhere; }
+  .user .text { background: #f2f2f8; border-radius: 8px; padding: 8px 12px; }
+  details { border: 1px solid #e4e4ec; border-radius: 6px; margin: 8px 0; padding: 4px 10px; font-size: 13px; }
+  summary { cursor: pointer; font-family: 'SF Mono', 'Fira Code', Consolas, monospace; }
+  pre { background: #f7f7fa; padding: 8px; overflow-x: auto; white-space: pre-wrap; overflow-wrap: anywhere; }
+  .summary { border-left: 3px solid #8888aa; padding-left: 12px; color: #555566; }
+  .note, .cost { font-size: 12px; color: #8888aa; font-style: italic; }
+`;
+
+function toHtml(session, entries) {
+  const body = [];
+  for (const e of entries) {
+    switch (e.kind) {
+      case 'turn':
+        body.push(`<h2>Turn ${e.n}</h2>`);
+        break;
+      case 'user':
+      case 'assistant':
+        body.push(`<div class="msg ${e.kind}"><div class="role">${e.kind === 'user' ? 'User' : 'Assistant'}</div><div class="text">${escapeHtml(e.text)}</div></div>`);
+        break;
+      case 'thinking':
+        body.push(`<details><summary>Thinking</summary><div class="text">${escapeHtml(e.text)}</div></details>`);
+        break;
+      case 'tool':
+        body.push(`<details><summary>🔧 ${escapeHtml(e.name)}</summary>
+<div class="role">Arguments</div><pre>${escapeHtml(prettyJson(e.input))}</pre>
+<div class="role">Result</div>${e.result == null ? '<p class="note">No result recorded</p>' : `<pre>${escapeHtml(e.result)}</pre>`}
+</details>`);
+        break;
+      case 'summary':
+        body.push(`<div class="msg summary"><div class="role">Compaction summary — the model continued from this instead of the messages above</div><div class="text">${escapeHtml(e.text)}</div></div>`);
+        break;
+      case 'archived':
+        body.push(`<p class="note">${e.count} messages above were archived by compaction.</p>`);
+        break;
+      case 'cost':
+        body.push(`<p class="cost">Turn cost: ${formatCost(e.cost)}</p>`);
+        break;
+    }
+  }
+
+  const fields = headerFields(session)
+    .map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`).join('');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Session ${escapeHtml(session.id)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<h1>Session ${escapeHtml(session.id)}</h1>
+<dl>${fields}</dl>
+${body.join('\n')}
+</body>
+</html>
+`;
+}
+
+// ── JSONL ──
+
+// One session record, then every message as stored (archived ones flagged)
+function toJsonl({ id, contexts, metadata, archive, messages }) {
+  const lines = [{ type: 'session', id, contexts, metadata }];
+  for (const m of archive) lines.push({ type: 'message', archived: true, ...m });
+  for (const m of messages) lines.push({ type: 'message', ...m });
+  return lines.map(line => JSON.stringify(line)).join('\n') + '\n';
+}
@@ -0,0 +1,370 @@
+/**
+ * Session search — an index over every session's messages and its compaction
+ * archive (<id>.history.jsonl), for "what did we decide about X" across sessions.
+ *
+ * Two caches in ~/.betterclaw, each keyed by the size and mtime of a session's
+ * files so a refresh only re-reads sessions that changed:
+ *   session-summaries.json — what Session.list() shows; small, read by every listing
+ *   session-index.json     — each message as a plain-text document; read and brought
+ *                            up to date only when a search runs
+ * Queries run against an inverted index built in memory. Two processes refreshing
+ * at once just both write the cache — it's rebuilt from the session files either way.
+ */
+import { readFile, writeFile, readdir, rename, stat } from 'node:fs/promises';
+import { join, basename } from 'node:path';
+import { readSessionData, readArchive } from './session-store.js';
+import { toCanonical, toolUseBlocks, isToolResultMessage } from './history.js';
+import { contentText } from './attachments.js';
+import config from '../config.js';
+
+const INDEX_VERSION = 2;
+const MAX_DOC_CHARS = 4000; // long tool results are indexed by their head
+const SNIPPET_CHARS = 160;
+const DEFAULT_LIMIT = 20;
+
+// Each cache: { version, sessions: { [id]: { stamp, summary } | { stamp, docs } } }
+const caches = {
+  summaries: { file: 'session-summaries.json', build: summarizeSession, index: null, refreshing: null },
+  docs: { file: 'session-index.json', build: indexSession, index: null, refreshing: null },
+};
+
+let inverted = null; // term → [[sessionId, docIndex, termCount]]
+
+// ── Indexing ──
+
+/**
+ * Totals for the panel: characters, estimated tokens and tool calls by name.
+ * @param {object[]} messages - Canonical messages
+ */
+export function sessionStats(messages) {
+  let totalChars = 0;
+  let toolCalls = 0;
+  const toolNames = {};
+
+  for (const msg of messages) {
+    if (typeof msg.content === 'string') {
+      totalChars += msg.content.length;
+    } else if (Array.isArray(msg.content)) {
+      for (const block of msg.content) {
+        if (block.type === 'text') totalChars += (block.text || '').length;
+        else if (block.type === 'tool_use') {
+          toolCalls++;
+          toolNames[block.name] = (toolNames[block.name] || 0) + 1;
+          totalChars += JSON.stringify(block.input || {}).length;
+        } else if (block.type === 'tool_result') {
+          totalChars += String(block.content || '').length;
+        }
+      }
+    }
+  }
+
+  return { totalChars, estTokens: Math.ceil(totalChars / 4), toolCalls, toolNames };
+}
+
+function lastTextMessage(messages) {
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const m = messages[i];
+    if (typeof m.content === 'string' && m.content.trim()) {
+      return m.content.slice(0, 80);
+    }
+  }
+  return '';
+}
+
+// One searchable document per message. Tool calls are indexed by name and
+// arguments; results carry the name of the tool that produced them.
+function messageDocs(messages, archived, toolNames) {
+  const docs = [];
+  messages.forEach((m, at) => {
+    if (m.role === 'system') return;
+    let tools = [];
+    let text;
+    if (isToolResultMessage(m)) {
+      tools = m.content.map(b => toolNames.get(b.tool_use_id)).filter(Boolean);
+      text = contentText(m.content);
+    } else {
+      const uses = toolUseBlocks(m);
+      tools = uses.map(b => b.name);
+      text = [contentText(m.content), ...uses.map(b => `${b.name} ${JSON.stringify(b.input || {})}`)].filter(Boolean).join('\n');
+    }
+    if (!text.trim() && !tools.length) return;
+    docs.push({ at, archived, role: isToolResultMessage(m) ? 'tool' : m.role, tools: [...new Set(tools)], text: text.slice(0, MAX_DOC_CHARS) });
+  });
+  return docs;
+}
+
+async function summarizeSession(id, stamp) {
+  const data = await readSessionData(id);
+  const messages = toCanonical(data.messages || []);
+  return {
+    stamp,
+    summary: {
+      id: data.id || id,
+      contexts: data.contexts,
+      messageCount: messages.length,
+      created: data.metadata?.created,
+      updated: data.metadata?.updated,
+      forkedFrom: data.metadata?.forkedFrom || null,
+      cost: data.metadata?.cost || null,
+      stats: sessionStats(messages),
+      lastMessage: lastTextMessage(messages),
+    },
+  };
+}
+
+async function indexSession(id, stamp) {
+  const data = await readSessionData(id);
+  const messages = toCanonical(data.messages || []);
+  const archive = await readArchive(id);
+  const toolNames = new Map();
+  for (const m of [...archive, ...messages]) {
+    for (const b of toolUseBlocks(m)) toolNames.set(b.id, b.name);
+  }
+  return { stamp, docs: [...messageDocs(archive, true, toolNames), ...messageDocs(messages, false, toolNames)] };
+}
+
+// Changes whenever the session, its journal or its archive is written
+async function fileStamp(id) {
+  const parts = [];
+  for (const suffix of ['.json', '.journal.jsonl', '.history.jsonl']) {
+    try {
+      const s = await stat(join(config.sessionsDir, `${id}${suffix}`));
+      parts.push(`${s.size}:${Math.round(s.mtimeMs)}`);
+    } catch {
+      parts.push('-');
+    }
+  }
+  return parts.join('|');
+}
+
+async function loadIndexFile(path) {
+  try {
+    const index = JSON.parse(await readFile(path, 'utf-8'));
+    if (index.version === INDEX_VERSION) return index;
+  } catch { /* missing or unreadable — rebuild */ }
+  return { version: INDEX_VERSION, sessions: {} };
+}
+
+async function saveIndexFile(path, index) {
+  const tmp = `${path}.${process.pid}.tmp`;
+  await writeFile(tmp, JSON.stringify(index), 'utf-8');
+  await rename(tmp, path);
+}
+
+/**
+ * Bring a cache up to date with the sessions directory — re-reads only sessions
+ * whose files changed since they were cached.
+ * @param {'summaries'|'docs'} name
+ * @returns {Promise<object>} The cache
+ */
+export function refreshIndex(name) {
+  const cache = caches[name];
+  cache.refreshing ||= doRefresh(cache).finally(() => { cache.refreshing = null; });
+  return cache.refreshing;
+}
+
+async function doRefresh(cache) {
+  const path = join(config.dataDir, cache.file);
+  const index = cache.index || await loadIndexFile(path);
+  let files = [];
+  try {
+    files = await readdir(config.sessionsDir);
+  } catch { /* no sessions yet */ }
+  const ids = new Set(files.filter(f => f.endsWith('.json')).map(f => basename(f, '.json')));
+
+  let changed = false;
+  for (const id of ids) {
+    const stamp = await fileStamp(id);
+    if (index.sessions[id]?.stamp === stamp) continue;
+    try {
+      index.sessions[id] = await cache.build(id, stamp);
+    } catch {
+      delete index.sessions[id]; // corrupt file — left out, like Session.list() always has
+    }
+    changed = true;
+  }
+  for (const id of Object.keys(index.sessions)) {
+    if (!ids.has(id)) {
+      delete index.sessions[id];
+      changed = true;
+    }
+  }
+
+  cache.index = index;
+  if (changed) {
+    if (cache === caches.docs) inverted = null;
+    try {
+      await saveIndexFile(path, index);
+    } catch (err) {
+      console.error(`Session index: couldn't save (${err.message}) — continuing in memory`);
+    }
+  }
+  return index;
+}
+
+/**
+ * Summaries of every session (id, messageCount, created, updated, cost, stats,
+ * lastMessage, ...), from the summary cache — without touching the search index.
+ * @returns {Promise<object[]>} Unsorted
+ */
+export async function listSessionSummaries() {
+  const index = await refreshIndex('summaries');
+  return Object.values(index.sessions).map(e => e.summary);
+}
+
+// ── Searching ──
+
+function tokenize(text) {
+  return text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+}
+
+function buildInverted(index) {
+  const terms = new Map();
+  for (const [id, entry] of Object.entries(index.sessions)) {
+    entry.docs.forEach((doc, i) => {
+      const counts = new Map();
+      for (const token of tokenize(doc.text)) counts.set(token, (counts.get(token) || 0) + 1);
+      for (const [token, count] of counts) {
+        if (!terms.has(token)) terms.set(token, []);
+        terms.get(token).push([id, i, count]);
+      }
+    });
+  }
+  return terms;
+}
+
+/**
+ * Split a search box string into the text to look for and its filters:
+ * `tool:<name>`, `from:<date>`, `to:<date>`, `cost>N`, `cost<N`. Quoted "phrases"
+ * must appear as written.
+ * @param {string} input
+ * @returns {object} Options for searchSessions()
+ */
+export function parseSearchQuery(input) {
+  const opts = {};
+  const words = [];
+  for (const part of (input || '').match(/"[^"]*"|\S+/g) || []) {
+    let m;
+    if ((m = part.match(/^tool:(.+)$/i))) opts.tool = m[1];
+    else if ((m = part.match(/^from:(.+)$/i))) opts.from = m[1];
+    else if ((m = part.match(/^to:(.+)$/i))) opts.to = m[1];
+    else if ((m = part.match(/^cost>=?([\d.]+)$/i))) opts.minCost = Number(m[1]);
+    else if ((m = part.match(/^cost<=?([\d.]+)$/i))) opts.maxCost = Number(m[1]);
+    else words.push(part);
+  }
+  opts.query = words.join(' ');
+  return opts;
+}
+
+// Date bounds from "2026-09-01" style input; `to` covers the whole day
+function dayBound(value, endOfDay) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new Error(`Not a date: "${value}" (use YYYY-MM-DD)`);
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) date.setUTCHours(23, 59, 59, 999);
+  return date.toISOString();
+}
+
+function snippet(text, terms, phrases) {
+  const lower = text.toLowerCase();
+  let pos = -1;
+  for (const needle of [...phrases, ...terms]) {
+    pos = lower.indexOf(needle);
+    if (pos !== -1) break;
+  }
+  const start = Math.max(0, pos - SNIPPET_CHARS / 3);
+  const slice = text.slice(start, start + SNIPPET_CHARS).replace(/\s+/g, ' ').trim();
+  return `${start > 0 ? '…' : ''}${slice}${start + SNIPPET_CHARS < text.length ? '…' : ''}`;
+}
+
+/**
+ * Search every session and archive. Messages matching more of the query's words
+ * rank first, then by how distinctive the matched words are.
+ * @param {object} opts
+ * @param {string} [opts.query] - Words to look for (prefix matches count); "quoted phrases" must match exactly
+ * @param {string} [opts.tool] - Only messages that called (or are results of) this tool
+ * @param {string} [opts.from] - Only sessions active on or after this date
+ * @param {string} [opts.to] - Only sessions started on or before this date
+ * @param {number} [opts.minCost] - Only sessions that cost at least this much ($)
+ * @param {number} [opts.maxCost] - Only sessions that cost at most this much ($)
+ * @param {number} [opts.limit] - Default 20
+ * @returns {Promise<{ total: number, results: object[] }>} Each result: sessionId, at (message
+ *   index), archived, role, tools, snippet, updated, cost
+ */
+export async function searchSessions(opts = {}) {
+  const query = opts.query || '';
+  const phrases = [...query.matchAll(/"([^"]+)"/g)].map(m => m[1].toLowerCase());
+  const terms = [...new Set(tokenize(query.replace(/"[^"]*"/g, ' ')))];
+  const tool = opts.tool?.toLowerCase();
+  if (!terms.length && !phrases.length && !tool) throw new Error('Give some words to search for, or a tool name');
+  const from = dayBound(opts.from, false);
+  const to = dayBound(opts.to, true);
+
+  const summaries = (await refreshIndex('summaries')).sessions;
+  const index = await refreshIndex('docs');
+  inverted ||= buildInverted(index);
+
+  const sessionOk = (id) => {
+    const s = summaries[id]?.summary;
+    if (!s) return false;
+    const cost = s.cost?.total || 0;
+    if (from && (s.updated || s.created || '') < from) return false;
+    if (to && (s.created || '') > to) return false;
+    if (opts.minCost != null && cost < opts.minCost) return false;
+    if (opts.maxCost != null && cost > opts.maxCost) return false;
+    return true;
+  };
+
+  // key "id#doc" → { matched terms, score }
+  const hits = new Map();
+  const docCount = Object.values(index.sessions).reduce((n, e) => n + e.docs.length, 0) || 1;
+  const phraseTerms = phrases.flatMap(tokenize);
+  for (const term of [...terms, ...phraseTerms]) {
+    const postings = [];
+    for (const [token, list] of inverted) {
+      if (token === term || (term.length >= 3 && token.startsWith(term))) postings.push(...list);
+    }
+    const idf = Math.log(1 + docCount / (postings.length || 1));
+    for (const [id, doc, count] of postings) {
+      const key = `${id}#${doc}`;
+      const hit = hits.get(key) || { id, doc, matched: new Set(), score: 0 };
+      hit.matched.add(term);
+      hit.score += idf * (1 + Math.log(count));
+      hits.set(key, hit);
+    }
+  }
+  if (!terms.length && !phrases.length) {
+    // Tool filter alone — every message involving the tool
+    for (const [id, entry] of Object.entries(index.sessions)) {
+      entry.docs.forEach((d, doc) => hits.set(`${id}#${doc}`, { id, doc, matched: new Set(), score: 0 }));
+    }
+  }
+
+  const results = [];
+  for (const hit of hits.values()) {
+    if (!sessionOk(hit.id)) continue;
+    const entry = { summary: summaries[hit.id].summary, docs: index.sessions[hit.id].docs };
+    const doc = entry.docs[hit.doc];
+    if (tool && !doc.tools.some(t => t.toLowerCase() === tool)) continue;
+    if (phrases.length && !phrases.every(p => doc.text.toLowerCase().includes(p))) continue;
+    results.push({ hit, entry, doc });
+  }
+  results.sort((a, b) =>
+    b.hit.matched.size - a.hit.matched.size
+    || b.hit.score - a.hit.score
+    || (b.entry.summary.updated || '').localeCompare(a.entry.summary.updated || ''));
+
+  return {
+    total: results.length,
+    results: results.slice(0, opts.limit || DEFAULT_LIMIT).map(({ entry, doc }) => ({
+      sessionId: entry.summary.id,
+      at: doc.at,
+      archived: doc.archived,
+      role: doc.role,
+      tools: doc.tools,
+      snippet: snippet(doc.text, terms, phrases),
+      updated: entry.summary.updated,
+      cost: entry.summary.cost?.total || 0,
+    })),
+  };
+}
@@ -0,0 +1,175 @@
+/**
+ * Session store — how sessions reach disk, and the registry of live ones.
+ *
+ *   <id>.json           snapshot: the session as of its last checkpoint, with its `seq`
+ *   <id>.journal.jsonl  records saved since, one per line: { seq, messages, state }
+ *   <id>.lock           held while a process writes either of them
+ *   <id>.history.jsonl  messages compaction moved out of the session, one per line
+ *
+ * A save that only added messages appends one journal record; rewriting history
+ * (compaction, rewind, repair) or a long journal writes a fresh snapshot, which
+ * folds the journal in and starts it over. Reading folds snapshot + journal.
+ *
+ * Writes take a per-session lock: a promise chain inside the process and a lock
+ * file across processes (`betterbot chat` next to the gateway). Session.save()
+ * compares `seq` under that lock to pick up what another process wrote first.
+ *
+ * Within a process every resume of an id returns the same live Session, so
+ * channels (Telegram, panel, notify, heartbeat) never hold diverging copies.
+ */
+import { readFile, writeFile, appendFile, rename, unlink } from 'node:fs/promises';
+import { join } from 'node:path';
+import { toCanonical } from './history.js';
+import { withLockFile } from './lock-file.js';
+import config from '../config.js';
+
+// Journal records before a save checkpoints into a new snapshot
+export const JOURNAL_CHECKPOINT = 50;
+
+export function snapshotPath(id) {
+  return join(config.sessionsDir, `${id}.json`);
+}
+
+function journalPath(id) {
+  return join(config.sessionsDir, `${id}.journal.jsonl`);
+}
+
+function lockPath(id) {
+  return join(config.sessionsDir, `${id}.lock`);
+}
+
+// ── Registry ──
+
+// id → WeakRef<Session>: sessions nobody holds any more are dropped, not leaked
+const live = new Map();
+const finalizer = new FinalizationRegistry(id => {
+  if (!live.get(id)?.deref()) live.delete(id);
+});
+
+export function liveSession(id) {
+  return live.get(id)?.deref() || null;
+}
+
+/**
+ * Make `session` the live copy of its id, unless another one already is.
+ * @returns {Session} The live copy
+ */
+export function trackSession(session) {
+  const current = liveSession(session.id);
+  if (current) return current;
+  live.set(session.id, new WeakRef(session));
+  finalizer.register(session, session.id);
+  return session;
+}
+
+// ── Locking ──
+
+const chains = new Map(); // id → tail of the in-process queue
+
+/**
+ * Run `fn` holding the session's lock — in this process and across processes.
+ * @param {string} id
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ * @template T
+ */
+export async function withSessionLock(id, fn) {
+  const prev = chains.get(id) || Promise.resolve();
+  let release;
+  const tail = prev.then(() => new Promise(resolve => { release = resolve; }));
+  chains.set(id, tail);
+  await prev;
+  try {
+    return await withLockFile(lockPath(id), fn, 'Session');
+  } finally {
+    release();
+    if (chains.get(id) === tail) chains.delete(id);
+  }
+}
+
+// ── Reading and writing ──
+
+/**
+ * A session as stored: the snapshot with its journal folded in.
+ * @param {string} id
+ * @returns {Promise<object|null>} The snapshot fields (messages, metadata, ...) plus
+ *   `seq` (latest record), `snapshotSeq` and `records` (the journal after the snapshot);
+ *   null when the session doesn't exist
+ * @throws When the snapshot exists but can't be parsed
+ */
+export async function readSessionData(id) {
+  let raw;
+  try {
+    raw = await readFile(snapshotPath(id), 'utf-8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+  const data = JSON.parse(raw);
+  const snapshotSeq = data.seq || 0;
+  const records = (await readJournal(id)).filter(r => r.seq > snapshotSeq);
+  const messages = [...(data.messages || [])];
+  for (const record of records) {
+    messages.push(...record.messages);
+    Object.assign(data, record.state);
+  }
+  return { ...data, messages, seq: records.at(-1)?.seq ?? snapshotSeq, snapshotSeq, records };
+}
+
+/**
+ * Messages compaction archived, oldest first, in the canonical shape.
+ * @param {string} id
+ * @returns {Promise<object[]>} Empty when nothing was archived
+ */
+export async function readArchive(id) {
+  let raw;
+  try {
+    raw = await readFile(join(config.sessionsDir, `${id}.history.jsonl`), 'utf-8');
+  } catch {
+    return [];
+  }
+  return toCanonical(raw.split('\n').filter(Boolean).flatMap(line => {
+    try { return [JSON.parse(line)]; } catch { return []; }
+  }));
+}
+
+async function readJournal(id) {
+  let raw;
+  try {
+    raw = await readFile(journalPath(id), 'utf-8');
+  } catch {
+    return [];
+  }
+  const records = [];
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch { /* torn last line from a crash mid-append */ }
+  }
+  return records.sort((a, b) => a.seq - b.seq);
+}
+
+/**
+ * Add a journal record. Call with the session lock held.
+ * @param {string} id
+ * @param {{ seq: number, messages: object[], state: object }} record
+ */
+export async function appendRecord(id, record) {
+  await appendFile(journalPath(id), JSON.stringify(record) + '\n', 'utf-8');
+}
+
+/**
+ * Replace the snapshot (atomically) and clear the journal it folds in.
+ * Call with the session lock held.
+ * @param {string} id
+ * @param {object} data - Everything the snapshot stores, `seq` included
+ */
+export async function writeSnapshot(id, data) {
+  const tmp = `${snapshotPath(id)}.tmp`;
+  await writeFile(tmp, JSON.stringify(data, null, 2), 'utf-8');
+  await rename(tmp, snapshotPath(id));
+  // Records at or below the snapshot's seq are ignored on read, so a crash
+  // between these two steps leaves nothing inconsistent
+  await unlink(journalPath(id)).catch(() => {});
+}
@@ -1,17 +1,27 @@
-import { readFile, writeFile, readdir, mkdir } from 'node:fs/promises';
-import { join } from 'node:path';
+import { readdir, mkdir } from 'node:fs/promises';
+import { join, basename } from 'node:path';
 import { existsSync } from 'node:fs';
 import { randomUUID } from 'node:crypto';
 import { buildSystemPrompt } from './identity.js';
+import { estimateTokens } from './context.js';
 import { extractToGraph, graphRecall } from './graph-memory.js';
 import { createProvider, getProviderType } from './provider.js';
+import { HISTORY_VERSION, assistantMessage, toolResultsMessage, toCanonical, isToolResultMessage } from './history.js';
+import { listSessionSummaries } from './session-search.js';
+import { restoreSession } from './retention.js';
+import { JOURNAL_CHECKPOINT, liveSession, trackSession, withSessionLock, readSessionData, appendRecord, writeSnapshot } from './session-store.js';
 import { appendEntry } from './journal.js';
-import { getAnthropicTools, getOpenAITools, executeTool, filterToolsByOutfit } from './tools.js';
+import { getAnthropicTools, getOpenAITools, executeToolCalls, filterToolsByOutfit } from './tools.js';
 import { loadOutfit } from './outfit.js';
 import { checkBudget, calcCost } from './cost-tracker.js';
+import { toolResultContent, resultText, contentText, isMediaBlock, describeBlock } from './attachments.js';
 import config from '../config.js';
 
 const DEFAULT_MAX_TOOL_ROUNDS = 50; // Safety limit on tool-use loops
+const INTERRUPTED_NOTE = '[Interrupted by user]';
+
+// id → pending Session.resume(), so two callers loading at once share one object
+const loading = new Map();
 
 export class Session {
   constructor(opts = {}) {
@@ -30,6 +40,8 @@ export class Session {
     this._systemPrompt = null;
     this._graphContext = null; // auto-injected graph memory for current turn
     this._onToolUse = null; // callback: (toolName, args) => void
+    this._seq = 0; // store sequence number this copy last saved or loaded
+    this._persisted = []; // the message objects on disk as of _seq
   }
 
   // Set a callback to be notified when tools are used
@@ -43,12 +55,15 @@ export class Session {
     this.metadata.cost.total = Math.round((this.metadata.cost.total + cost) * 1_000_000) / 1_000_000;
     this.metadata.cost.input += usage.input || 0;
     this.metadata.cost.output += usage.output || 0;
+    if (usage.cacheRead) this.metadata.cost.cacheRead = (this.metadata.cost.cacheRead || 0) + usage.cacheRead;
+    if (usage.cacheWrite) this.metadata.cost.cacheWrite = (this.metadata.cost.cacheWrite || 0) + usage.cacheWrite;
     this.metadata.cost.calls++;
   }
 
   async init() {
     this._systemPrompt = await buildSystemPrompt(this.contexts, this._outfit);
     await ensureSessionsDir();
+    trackSession(this);
     return this;
   }
 
@@ -62,11 +77,13 @@ export class Session {
   }
 
   _buildApiMessages() {
-    let systemContent = this._systemPrompt;
+    // Everything below changes between rounds, so it goes in a second system message
+    // after the cacheable prompt from buildSystemPrompt()
+    let systemContent = '';
     // Inject conversation state so the model knows where it is
     const userMsgCount = this.messages.filter(m => m.role === 'user').length;
     const turnLabel = userMsgCount === 0 ? 'New session — no messages yet.' : `${userMsgCount} user message${userMsgCount === 1 ? '' : 's'} in this session.`;
-    systemContent += `\n\nSession: ${turnLabel}`;
+    systemContent += `Session: ${turnLabel}`;
     // Inject task plan into system prompt so the agent always sees progress
     if (this._taskPlan) {
       const plan = this._taskPlan;
@@ -97,62 +114,33 @@ export class Session {
       systemContent += `\n\n--- Recalled from Memory ---\n${this._graphContext}`;
     }
     return [
+      { role: 'system', content: this._systemPrompt, cache: true },
       { role: 'system', content: systemContent },
       ...validateMessages(this.messages),
     ];
   }
 
-  // Build Anthropic-format tool result message
-  _anthropicToolResult(toolCalls, results) {
-    return {
-      role: 'user',
-      content: toolCalls.map((tc, i) => ({
-        type: 'tool_result',
-        tool_use_id: tc.id,
-        content: results[i],
-      })),
-    };
-  }
-
-  // Build OpenAI-format tool result messages
-  _openaiToolResults(toolCalls, results) {
-    return toolCalls.map((tc, i) => ({
-      role: 'tool',
-      tool_call_id: tc.id,
-      content: results[i],
-    }));
-  }
-
-  // Build the assistant message that includes tool calls (for message history)
-  _assistantToolCallMessage(content, toolCalls, providerType) {
-    if (providerType === 'anthropic') {
-      const blocks = [];
-      if (content) blocks.push({ type: 'text', text: content });
-      for (const tc of toolCalls) {
-        blocks.push({ type: 'tool_use', id: tc.id, name: tc.name, input: tc.arguments });
-      }
-      return { role: 'assistant', content: blocks };
-    }
-    // OpenAI format
-    const msg = { role: 'assistant', content: content || null };
-    msg.tool_calls = toolCalls.map(tc => ({
-      id: tc.id,
-      type: 'function',
-      function: {
-        name: tc.name,
-        arguments: JSON.stringify(tc.arguments),
-      },
-    }));
-    return msg;
-  }
-
-  async send(message) {
+  /**
+   * Run one user turn through the tool loop.
+   * @param {string} message
+   * @param {object} [opts]
+   * @param {object[]} [opts.attachments] - Content blocks from attachments.js (images, PDFs)
+   * @param {AbortSignal} [opts.signal] - Stops the turn: the model call and running tools
+   *   are cancelled, and the history is closed out with whatever was said so far
+   * @param {string} [opts.channel] - Where the turn came from (cli, telegram, panel,
+   *   heartbeat, cron), and [opts.tier] the heartbeat tier — for the approval policy
+   * @param {Function} [opts.approver] - Asks the user about tool calls the policy holds
+   *   (see approvals.js); leave it out for unattended turns
+   * @returns {Promise<{content: string, interrupted?: boolean}>}
+   */
+  async send(message, opts = {}) {
+    const { signal } = opts;
     if (!this._systemPrompt) await this.init();
 
-    this.messages.push({ role: 'user', content: message });
+    this.messages.push({ role: 'user', content: userContent(message, opts.attachments) });
 
     // Auto-inject graph memory — fire-and-forget safe, never blocks on error
-    try { this._graphContext = await graphRecall(message); } catch { this._graphContext = null; }
+    try { this._graphContext = message ? await graphRecall(message) : null; } catch { this._graphContext = null; }
 
     // Budget check
     const budget = await checkBudget();
@@ -164,16 +152,29 @@ export class Session {
     }
 
     const tools = this._getTools();
-    const providerType = getProviderType(this.role);
+    const costBefore = this.metadata.cost.total;
     let rounds = 0;
 
+    let interrupted = false;
+
     while (rounds < this._maxToolRounds) {
+      if (signal?.aborted) {
+        interrupted = true;
+        this._closeInterrupted();
+        break;
+      }
       rounds++;
+      await this._fitContext(tools);
       let apiMessages = this._buildApiMessages();
       let response;
       try {
-        response = await this.provider.chat(apiMessages, { tools });
+        response = await this.provider.chat(apiMessages, { tools, signal });
       } catch (err) {
+        if (signal?.aborted) {
+          interrupted = true;
+          this._closeInterrupted();
+          break;
+        }
         // Auto-recover from message format errors (orphaned tool results, etc.)
         if (err.message?.includes('400') || err.message?.includes('invalid_request')) {
           const { repaired, removed } = repairMessages(this.messages);
@@ -181,7 +182,7 @@ export class Session {
             this.messages = repaired;
             this.messages.push({ role: 'assistant', content: `[Auto-repair: removed ${removed.length} malformed message(s) — ${removed.join('; ')}. Continuing.]` });
             apiMessages = this._buildApiMessages();
-            response = await this.provider.chat(apiMessages, { tools });
+            response = await this.provider.chat(apiMessages, { tools, signal });
           } else {
             throw err; // not a format issue we can fix
           }
@@ -217,38 +218,39 @@ export class Session {
       }
 
       // Execute all tool calls
-      const results = await Promise.all(
-        response.tool_calls.map(tc => executeTool(tc.name, tc.arguments, this))
-      );
-
-      // Add assistant message with tool calls to history
-      this.messages.push(this._assistantToolCallMessage(response.content, response.tool_calls, providerType));
+      const results = await executeToolCalls(response.tool_calls, this, toolOptions(opts));
 
-      // Add tool results to history
-      if (providerType === 'anthropic') {
-        this.messages.push(this._anthropicToolResult(response.tool_calls, results));
-      } else {
-        this.messages.push(...this._openaiToolResults(response.tool_calls, results));
-      }
+      // Add the assistant's tool calls and their results to history
+      this.messages.push(assistantMessage(response.content, response.tool_calls, response.reasoning));
+      this.messages.push(toolResultsMessage(response.tool_calls, results.map(toolResultContent)));
     }
 
-    // Auto-compact if history is getting long
-    if (this.messages.length > config.compaction.maxMessagesBeforeCompact) {
-      await this.compact();
-    }
+    this._noteTurnCost(costBefore);
+
+    // Compact now if the turn filled the context, so the next one starts small.
+    // A stopped turn skips it — compaction is another model call the user didn't wait for.
+    if (!interrupted) await this._fitContext(tools);
 
     await this.save();
     const lastMsg = this.messages.at(-1);
-    return { content: typeof lastMsg.content === 'string' ? lastMsg.content : '' };
+    const content = typeof lastMsg.content === 'string' ? lastMsg.content : '';
+    return interrupted ? { content, interrupted } : { content };
   }
 
-  async *sendStream(message) {
+  // Yields { type: 'text' | 'thinking', text }, { type: 'tool_start', name, arguments },
+  // { type: 'tool_progress', name, index, text } with output of a call still running
+  // (index: its place among the round's tool_start events) and { type: 'tool_result',
+  // name, result } while running the tool loop, and a final { type: 'interrupted' }
+  // when opts.signal stopped the turn.
+  // Takes the same options as send().
+  async *sendStream(message, opts = {}) {
+    const { signal } = opts;
     if (!this._systemPrompt) await this.init();
 
-    this.messages.push({ role: 'user', content: message });
+    this.messages.push({ role: 'user', content: userContent(message, opts.attachments) });
 
     // Auto-inject graph memory
-    try { this._graphContext = await graphRecall(message); } catch { this._graphContext = null; }
+    try { this._graphContext = message ? await graphRecall(message) : null; } catch { this._graphContext = null; }
 
     // Budget check
     const budget = await checkBudget();
@@ -261,21 +263,30 @@ export class Session {
     }
 
     const tools = this._getTools();
-    const providerType = getProviderType(this.role);
+    const costBefore = this.metadata.cost.total;
     let rounds = 0;
 
+    let interrupted = false;
+
     while (rounds < this._maxToolRounds) {
+      if (signal?.aborted) {
+        interrupted = true;
+        this._closeInterrupted();
+        break;
+      }
       rounds++;
+      await this._fitContext(tools);
       let apiMessages = this._buildApiMessages();
 
       // Collect stream events
       let textContent = '';
       const toolCalls = [];
+      const reasoning = [];
       let currentToolIdx = -1;
       let streamSource;
 
       try {
-        streamSource = this.provider.stream(apiMessages, { tools });
+        streamSource = this.provider.stream(apiMessages, { tools, signal });
         // Trigger the initial request by peeking at the first event
         const firstChunk = await streamSource.next();
         // Re-wrap into a generator that yields the first chunk then the rest
@@ -286,6 +297,11 @@ export class Session {
           yield* originalStream;
         })();
       } catch (err) {
+        if (signal?.aborted) {
+          interrupted = true;
+          this._closeInterrupted();
+          break;
+        }
         if (err.message?.includes('400') || err.message?.includes('invalid_request')) {
           const { repaired, removed } = repairMessages(this.messages);
           if (removed.length > 0) {
@@ -294,7 +310,7 @@ export class Session {
             this.messages.push({ role: 'assistant', content: note });
             yield { type: 'text', text: note + '\n\n' };
             apiMessages = this._buildApiMessages();
-            streamSource = this.provider.stream(apiMessages, { tools });
+            streamSource = this.provider.stream(apiMessages, { tools, signal });
           } else {
             throw err;
           }
@@ -303,20 +319,32 @@ export class Session {
         }
       }
 
-      for await (const event of streamSource) {
-        if (event.type === 'text') {
-          textContent += event.text;
-          yield { type: 'text', text: event.text };
-        } else if (event.type === 'tool_use') {
-          toolCalls.push(event);
-        } else if (event.type === 'usage') {
-          this._trackUsage(event.usage);
-        }
-        // Legacy: plain string from old stream format (Ollama without tools)
-        if (typeof event === 'string') {
-          textContent += event;
-          yield { type: 'text', text: event };
+      try {
+        for await (const event of streamSource) {
+          if (event.type === 'text') {
+            textContent += event.text;
+            yield { type: 'text', text: event.text };
+          } else if (event.type === 'thinking') {
+            yield { type: 'thinking', text: event.text };
+          } else if (event.type === 'reasoning_block') {
+            reasoning.push(event.block);
+          } else if (event.type === 'tool_use') {
+            toolCalls.push(event);
+          } else if (event.type === 'usage') {
+            this._trackUsage(event.usage);
+          }
+          // Legacy: plain string from old stream format (Ollama without tools)
+          if (typeof event === 'string') {
+            textContent += event;
+            yield { type: 'text', text: event };
+          }
         }
+      } catch (err) {
+        if (!signal?.aborted) throw err;
+        // Keep the text that already reached the user; half-streamed tool calls are dropped
+        interrupted = true;
+        this._closeInterrupted(textContent);
+        break;
       }
 
       // Cost ceiling check (for sub-agents)
@@ -349,33 +377,63 @@ export class Session {
         yield { type: 'tool_start', name: tc.name, arguments: tc.arguments };
       }
 
-      const results = await Promise.all(
-        toolCalls.map(tc => executeTool(tc.name, tc.arguments, this))
-      );
+      // Pass output on while the calls run, then their results
+      const progress = [];
+      let wake = null;
+      let finished = false;
+      const onProgress = (index, text) => {
+        progress.push({ type: 'tool_progress', name: toolCalls[index].name, index, text });
+        wake?.();
+      };
+      const running = executeToolCalls(toolCalls, this, { ...toolOptions(opts), onProgress })
+        .finally(() => { finished = true; wake?.(); });
+      while (!finished || progress.length) {
+        if (progress.length) {
+          yield progress.shift();
+          continue;
+        }
+        await new Promise(resolve => { wake = resolve; });
+        wake = null;
+      }
+      const results = await running;
 
       // Yield tool results for the UI
       for (let i = 0; i < toolCalls.length; i++) {
-        yield { type: 'tool_result', name: toolCalls[i].name, result: results[i] };
+        yield { type: 'tool_result', name: toolCalls[i].name, result: resultText(results[i]) };
       }
 
       // Add to message history
-      this.messages.push(this._assistantToolCallMessage(textContent, toolCalls, providerType));
-
-      if (providerType === 'anthropic') {
-        this.messages.push(this._anthropicToolResult(toolCalls, results));
-      } else {
-        this.messages.push(...this._openaiToolResults(toolCalls, results));
-      }
+      this.messages.push(assistantMessage(textContent, toolCalls, reasoning));
+      this.messages.push(toolResultsMessage(toolCalls, results.map(toolResultContent)));
     }
 
-    // Auto-compact
-    if (this.messages.length > config.compaction.maxMessagesBeforeCompact) {
-      await this.compact();
+    this._noteTurnCost(costBefore);
+
+    if (interrupted) {
+      yield { type: 'interrupted' };
+    } else {
+      // Compact now if the turn filled the context, so the next one starts small
+      await this._fitContext(tools);
     }
 
     await this.save();
   }
 
+  // Record what the turn cost on the assistant message that ends it (see history.js)
+  _noteTurnCost(costBefore) {
+    const last = this.messages.at(-1);
+    const cost = Math.round((this.metadata.cost.total - costBefore) * 1_000_000) / 1_000_000;
+    if (last?.role !== 'assistant' || cost <= 0) return;
+    // Replaced, not modified: stored message objects are never changed in place
+    this.messages[this.messages.length - 1] = { ...last, meta: { ...last.meta, cost } };
+  }
+
+  // End a stopped turn on an assistant message, so the history reads as a finished
+  // exchange and every tool call already has its result
+  _closeInterrupted(text = '') {
+    this.messages.push({ role: 'assistant', content: text ? `${text}\n\n${INTERRUPTED_NOTE}` : INTERRUPTED_NOTE });
+  }
+
   async loadContext(name) {
     if (!this.contexts.includes(name)) {
       this.contexts.push(name);
@@ -420,26 +478,72 @@ export class Session {
     return removed;
   }
 
+  // Estimated size of the next request: system prompts, tool definitions and history
+  _estimatePromptTokens(tools) {
+    return estimateMessagesTokens(this._buildApiMessages()) + estimateTokens(JSON.stringify(tools || []));
+  }
+
+  async _contextLimit() {
+    let window = null;
+    try { window = await this.provider.getContextWindow(); } catch { /* use the default */ }
+    return Math.floor((window || config.compaction.contextWindow) * config.compaction.threshold);
+  }
+
+  // Keep the prompt under the compaction threshold of the model's context window.
+  // Oversized tool results are archived and trimmed first — often that's enough —
+  // and older turns are summarized only if it isn't. Between tool rounds that still
+  // leaves the turn in progress whole (see compact()). Returns true if anything changed.
+  async _fitContext(tools) {
+    const limit = await this._contextLimit();
+    if (this._estimatePromptTokens(tools) <= limit) return false;
+    const trimmed = await this._offloadToolResults();
+    if (trimmed && this._estimatePromptTokens(tools) <= limit) return true;
+    await this.compact();
+    return true;
+  }
+
+  // Archive tool results over compaction.maxToolResultTokens and keep only their
+  // head and tail in the history. Returns the number of results trimmed.
+  async _offloadToolResults() {
+    const maxChars = config.compaction.maxToolResultTokens * 4;
+    const note = (omitted) => `\n\n[… ${omitted} characters trimmed to fit the context window — the full result is archived in ${this.id}.history.jsonl, search it with review_session_history]\n\n`;
+    const originals = [];
+
+    this.messages = this.messages.map(m => {
+      if (!isToolResultMessage(m)) return m;
+      const content = m.content.map(b => {
+        const inner = trimToolContent(b.content, maxChars, note);
+        return inner === b.content ? b : { ...b, content: inner };
+      });
+      if (content.every((b, i) => b === m.content[i])) return m;
+      originals.push(m);
+      return { ...m, content };
+    });
+
+    if (originals.length) await this._archiveHistory(originals);
+    return originals.length;
+  }
+
   async compact() {
     const keep = config.compaction.keepRecentMessages;
     if (this.messages.length <= keep) return;
 
-    // Find a safe split point that doesn't break tool_use/tool_result pairs.
-    // Walk backward from the target split to find a user message boundary.
+    // Find a safe split point that doesn't break tool_use/tool_result pairs:
+    // the first user message (not a tool_result) from the target split on. The
+    // latest turn — its request and everything after — always stays whole.
+    const isRequest = (m) => m.role === 'user' && !isToolResultMessage(m);
+    const lastRequest = this.messages.findLastIndex(isRequest);
+    if (lastRequest <= 0) return; // nothing before the current turn
     let splitIdx = this.messages.length - keep;
-    while (splitIdx > 0 && splitIdx < this.messages.length) {
-      const m = this.messages[splitIdx];
-      // Safe to split before a user message that isn't a tool_result
-      if (m.role === 'user') {
-        const isToolResult = Array.isArray(m.content) && m.content.every(b => b.type === 'tool_result');
-        if (!isToolResult) break;
-      }
-      splitIdx++;
-    }
+    while (splitIdx > 0 && splitIdx < lastRequest && !isRequest(this.messages[splitIdx])) splitIdx++;
+    splitIdx = Math.min(splitIdx, lastRequest);
 
     const old = this.messages.slice(0, splitIdx);
     const recent = this.messages.slice(splitIdx);
     if (old.length === 0) return; // nothing safe to compact
+    // Only the last summary before the current turn — summarizing it again (every
+    // round of a long turn) would just lose detail
+    if (old.length === 1 && typeof old[0].content === 'string' && old[0].content.startsWith('[Conversation summary]')) return;
 
     // Archive raw messages before summarizing
     await this._archiveHistory(old);
@@ -455,15 +559,16 @@ export class Session {
     }
 
     // Flatten messages for summary — tool calls become text descriptions
+    // and attachments become placeholders (never summarize base64)
     const flatMessages = old.map(m => {
-      if (m.role === 'tool') return `tool_result: ${m.content?.slice(0, 200)}`;
       if (Array.isArray(m.content)) {
         return m.content.map(b => {
           if (b.type === 'text') return `${m.role}: ${b.text}`;
           if (b.type === 'tool_use') return `${m.role}: [called ${b.name}]`;
-          if (b.type === 'tool_result') return `tool_result: ${b.content?.slice(0, 200)}`;
+          if (b.type === 'tool_result') return `tool_result: ${contentText(b.content).slice(0, 200)}`;
+          if (isMediaBlock(b)) return `${m.role}: ${describeBlock(b)}`;
           return '';
-        }).join('\n');
+        }).filter(Boolean).join('\n');
       }
       return `${m.role}: ${typeof m.content === 'string' ? m.content : JSON.stringify(m.content)}`;
     }).join('\n\n');
@@ -514,61 +619,182 @@ export class Session {
     }
   }
 
+  // --- Branches ---
+  // A fork is a new session holding a prefix of this one's history. Its metadata
+  // records where it came from: forkedFrom = { id, turn, at }.
+
+  // User turns in order — index is the position of the turn's user message
+  turns() {
+    const turns = [];
+    this.messages.forEach((m, index) => {
+      if (m.role === 'user' && !isToolResultMessage(m)) {
+        turns.push({ turn: turns.length + 1, index, preview: contentText(m.content).slice(0, 80) });
+      }
+    });
+    return turns;
+  }
+
+  // Number of messages to keep for { turn } (turns 1..turn) or { at } (a message count).
+  // Tool results always stay with the calls they answer.
+  _cutPoint({ turn, at } = {}) {
+    let keep = this.messages.length;
+    if (at != null) keep = at;
+    else if (turn != null) keep = this.turns()[Math.max(0, turn)]?.index ?? this.messages.length;
+    keep = Math.max(0, Math.min(keep, this.messages.length));
+    while (keep < this.messages.length && isToolResultMessage(this.messages[keep])) keep++;
+    return keep;
+  }
+
+  /**
+   * Copy this session's history up to a point into a new, saved session.
+   * @param {object} [opts] - `turn` keeps turns 1..turn, `at` keeps that many messages; default everything
+   * @returns {Promise<Session>} The fork
+   */
+  async fork(opts = {}) {
+    const keep = this._cutPoint(opts);
+    const messages = structuredClone(this.messages.slice(0, keep));
+    const branch = new Session({
+      contexts: [...this.contexts],
+      messages,
+      role: this.role,
+      outfit: this._outfit,
+      taskPlan: this._taskPlan ? structuredClone(this._taskPlan) : null,
+      metadata: {
+        created: new Date().toISOString(),
+        model: this.metadata.model,
+        cost: { total: 0, input: 0, output: 0, calls: 0 },
+        forkedFrom: { id: this.id, turn: messages.filter(m => m.role === 'user' && !isToolResultMessage(m)).length, at: keep },
+      },
+    });
+    await branch.init();
+    await branch.save();
+    return branch;
+  }
+
+  /**
+   * Drop the history after a point — to retry from before a bad turn. The dropped
+   * line isn't lost: it's forked off first as a branch.
+   * @param {object} [opts] - Same as fork(); default drops the last turn
+   * @returns {Promise<{ removed: number, branch: string|null }>}
+   */
+  async rewind(opts = {}) {
+    const keep = opts.turn == null && opts.at == null
+      ? this._cutPoint({ turn: this.turns().length - 1 })
+      : this._cutPoint(opts);
+    const removed = this.messages.length - keep;
+    if (removed <= 0) return { removed: 0, branch: null };
+
+    const branch = await this.fork();
+    this.messages = this.messages.slice(0, keep);
+    this._graphContext = null;
+    await this.save();
+    return { removed, branch: branch.id };
+  }
+
+  /**
+   * Persist the session (see session-store.js). A save that only added messages
+   * appends them to the journal; a rewritten history gets a new snapshot. Messages
+   * another process saved in the meantime are folded in first, never overwritten.
+   */
   async save() {
     await ensureSessionsDir();
-    const path = sessionPath(this.id);
-    const data = {
-      id: this.id,
-      contexts: this.contexts,
-      messages: this.messages,
-      metadata: { ...this.metadata, updated: new Date().toISOString() },
-    };
-    // Persist task plan so "continue" works across sessions
-    if (this._taskPlan) data.taskPlan = this._taskPlan;
-    if (this._outfit) data.outfit = this._outfit;
-    await writeFile(path, JSON.stringify(data, null, 2), 'utf-8');
+    trackSession(this);
+    await withSessionLock(this.id, async () => {
+      const disk = await readSessionData(this.id);
+      if (disk && disk.seq !== this._seq) this._takeForeignMessages(disk);
+
+      const appendOnly = this._persisted.length <= this.messages.length
+        && this._persisted.every((m, i) => this.messages[i] === m);
+      const state = {
+        contexts: this.contexts,
+        metadata: { ...this.metadata, updated: new Date().toISOString() },
+        // Persist task plan so "continue" works across sessions
+        taskPlan: this._taskPlan || undefined,
+        outfit: this._outfit || undefined,
+      };
+      const seq = (disk?.seq || 0) + 1;
+      // A snapshot from before the canonical format is rewritten whole, never appended to
+      const needsSnapshot = !disk || (disk.version || 1) < HISTORY_VERSION || disk.records.length >= JOURNAL_CHECKPOINT;
+
+      if (appendOnly && !needsSnapshot) {
+        await appendRecord(this.id, { seq, messages: this.messages.slice(this._persisted.length), state });
+      } else {
+        await writeSnapshot(this.id, { version: HISTORY_VERSION, id: this.id, seq, messages: this.messages, ...state });
+      }
+      this._seq = seq;
+      this._persisted = [...this.messages];
+    });
   }
 
+  // Another process saved this session since this copy last did. Its appends go in
+  // before the messages this copy hasn't saved yet; if it rewrote the history
+  // (compaction, rewind), its version wins and only our unsaved messages are added.
+  _takeForeignMessages(disk) {
+    const persisted = new Set(this._persisted);
+    const unsaved = this.messages.filter(m => !persisted.has(m));
+    const appendOnly = this._persisted.length <= this.messages.length
+      && this._persisted.every((m, i) => this.messages[i] === m);
+
+    if (disk.snapshotSeq <= this._seq && this._seq > 0) {
+      const foreign = disk.records.filter(r => r.seq > this._seq).flatMap(r => r.messages);
+      if (appendOnly) {
+        this._persisted = [...this._persisted, ...foreign];
+        this.messages = [...this._persisted, ...unsaved];
+      } else {
+        this.messages = [...this.messages, ...foreign];
+      }
+    } else {
+      this._persisted = (disk.version || 1) < HISTORY_VERSION ? toCanonical(disk.messages) : [...disk.messages];
+      this.messages = [...this._persisted, ...unsaved];
+    }
+    this._seq = disk.seq;
+  }
+
+  // The live copy when this process already has the session open, else loaded from disk
   static async resume(id) {
-    const path = sessionPath(id);
-    const raw = await readFile(path, 'utf-8');
-    const data = JSON.parse(raw);
+    const current = liveSession(id);
+    if (current) return current;
+    if (!loading.has(id)) {
+      loading.set(id, Session._load(id).finally(() => loading.delete(id)));
+    }
+    return loading.get(id);
+  }
+
+  static async _load(id) {
+    let data = await readSessionData(id);
+    // Archived by the retention policy — brought back on first use
+    if (!data && await restoreSession(id)) data = await readSessionData(id);
+    if (!data) throw new Error(`Session "${id}" not found`);
+    const outdated = (data.version || 1) < HISTORY_VERSION;
     const session = new Session({
       id: data.id,
       contexts: data.contexts,
-      messages: data.messages,
+      // Saved before the canonical format — converted here, rewritten on the next save
+      messages: outdated ? toCanonical(data.messages) : data.messages,
       metadata: data.metadata,
       taskPlan: data.taskPlan || null,
       outfit: data.outfit || null,
     });
+    session._seq = data.seq;
+    // What's on disk, converted — save() sees the old version and writes a fresh snapshot
+    session._persisted = [...session.messages];
     await session.init();
     return session;
   }
 
+  // Summaries of every saved session, newest first — from a small cache that only
+  // re-reads sessions whose files changed
   static async list() {
     await ensureSessionsDir();
-    const dir = config.sessionsDir;
-    const files = await readdir(dir);
-    const sessions = [];
-
-    for (const file of files.filter(f => f.endsWith('.json'))) {
-      try {
-        const raw = await readFile(join(dir, file), 'utf-8');
-        const data = JSON.parse(raw);
-        sessions.push({
-          id: data.id,
-          contexts: data.contexts,
-          messageCount: data.messages.length,
-          created: data.metadata.created,
-          updated: data.metadata.updated,
-          lastMessage: getLastTextMessage(data.messages),
-        });
-      } catch { /* skip corrupt files */ }
-    }
-
+    const sessions = await listSessionSummaries();
     return sessions.sort((a, b) => (b.updated || '').localeCompare(a.updated || ''));
   }
 
+  // Sessions forked from this one (including lines saved by rewind), newest first
+  static async branches(id) {
+    return (await Session.list()).filter(s => s.forkedFrom?.id === id);
+  }
+
   static async latest() {
     const sessions = await Session.list();
     if (sessions.length === 0) return null;
@@ -576,51 +802,83 @@ export class Session {
   }
 }
 
-function getLastTextMessage(messages) {
-  for (let i = messages.length - 1; i >= 0; i--) {
-    const m = messages[i];
-    if (typeof m.content === 'string' && m.content.trim()) {
-      return m.content.slice(0, 80);
-    }
+// Images are billed at a roughly fixed size; PDFs grow with their page count,
+// for which the encoded size is the best proxy at hand
+const IMAGE_TOKENS = 1600;
+const DOCUMENT_BASE64_CHARS_PER_TOKEN = 40;
+
+function estimateContentTokens(content) {
+  if (content == null) return 0;
+  if (typeof content === 'string') return estimateTokens(content);
+  if (!Array.isArray(content)) return estimateTokens(JSON.stringify(content));
+  let tokens = 0;
+  for (const b of content) {
+    if (b.type === 'text') tokens += estimateTokens(b.text || '');
+    else if (b.type === 'image') tokens += IMAGE_TOKENS;
+    else if (b.type === 'document') tokens += Math.max(IMAGE_TOKENS, Math.ceil((b.source?.data?.length || 0) / DOCUMENT_BASE64_CHARS_PER_TOKEN));
+    else if (b.type === 'tool_result') tokens += estimateContentTokens(b.content);
+    else tokens += estimateTokens(JSON.stringify(b));
   }
-  return '';
+  return tokens;
 }
 
-// Remove orphan tool messages from compacted history.
-// Ensures tool_use/tool_result pairs are always kept or removed together
-// for both Anthropic format (tool_result in user messages) and OpenAI format (role: 'tool').
-function sanitizeOrphans(messages) {
-  // Pass 1: collect all tool_use IDs present in assistant messages
-  const toolUseIds = new Set();
+function estimateMessagesTokens(messages) {
+  return messages.reduce((tokens, m) => tokens + estimateContentTokens(m.content), 0);
+}
+
+// Cut a tool result's text down to its head and tail. Media blocks are left alone.
+// Returns the content unchanged (same reference) when it already fits.
+function trimToolContent(content, maxChars, note) {
+  const trim = (text) => {
+    if (text.length <= maxChars) return text;
+    const head = Math.floor(maxChars * 0.7);
+    const tail = Math.floor(maxChars * 0.2);
+    return text.slice(0, head) + note(text.length - head - tail) + text.slice(-tail);
+  };
+  if (typeof content === 'string') return trim(content);
+  if (!Array.isArray(content)) return content;
+  const blocks = content.map(b => {
+    if (b.type !== 'text') return b;
+    const text = trim(b.text || '');
+    return text === b.text ? b : { ...b, text };
+  });
+  return blocks.some((b, i) => b !== content[i]) ? blocks : content;
+}
+
+// User turn content: a plain string, or attachment blocks followed by the text
+function userContent(message, attachments) {
+  if (!attachments?.length) return message;
+  return message ? [...attachments, { type: 'text', text: message }] : [...attachments];
+}
+
+// What the tool calls of a turn need from its options: the stop signal, and who
+// started the turn for the approval policy
+function toolOptions({ signal, channel, tier, approver }) {
+  return { signal, channel, tier, approver };
+}
+
+// tool_use ids of every assistant turn, and tool_use_ids of every tool result
+function toolIds(messages) {
+  const uses = new Set();
+  const results = new Set();
   for (const m of messages) {
-    if (m.role === 'assistant' && Array.isArray(m.content)) {
-      for (const b of m.content) {
-        if (b.type === 'tool_use' && b.id) toolUseIds.add(b.id);
-      }
-    }
-    // OpenAI format: tool_calls on assistant messages
-    if (m.role === 'assistant' && Array.isArray(m.tool_calls)) {
-      for (const tc of m.tool_calls) {
-        if (tc.id) toolUseIds.add(tc.id);
-      }
+    if (!Array.isArray(m.content)) continue;
+    for (const b of m.content) {
+      if (m.role === 'assistant' && b.type === 'tool_use' && b.id) uses.add(b.id);
+      if (m.role === 'user' && b.type === 'tool_result' && b.tool_use_id) results.add(b.tool_use_id);
     }
   }
+  return { uses, results };
+}
 
-  // Pass 2: filter messages, ensuring paired tool_use/tool_result integrity
-  return messages.filter((m) => {
-    // OpenAI format: role: 'tool' — keep only if matching tool_use exists
-    if (m.role === 'tool') {
-      return m.tool_call_id && toolUseIds.has(m.tool_call_id);
-    }
+// Remove orphan tool messages from compacted history.
+// Ensures tool_use/tool_result pairs are always kept or removed together.
+function sanitizeOrphans(messages) {
+  const { uses } = toolIds(messages);
 
-    // Anthropic format: user message with tool_result blocks
-    if (m.role === 'user' && Array.isArray(m.content)) {
-      const isToolResultOnly = m.content.every(b => b.type === 'tool_result');
-      if (isToolResultOnly) {
-        // Keep only if ALL referenced tool_use IDs exist
-        return m.content.every(b => b.tool_use_id && toolUseIds.has(b.tool_use_id));
-      }
-    }
+  return messages.filter((m) => {
+    // Tool results — keep only if ALL referenced tool_use IDs exist
+    if (isToolResultMessage(m)) return m.content.every(b => uses.has(b.tool_use_id));
 
     if (m.role === 'user') return true;
 
@@ -630,7 +888,6 @@ function sanitizeOrphans(messages) {
       if (Array.isArray(m.content) && m.content.some(b => b.type === 'text' && b.text?.trim())) return true;
       // Keep if it has tool_use blocks (the results check above handles the other side)
       if (Array.isArray(m.content) && m.content.some(b => b.type === 'tool_use')) return true;
-      if (Array.isArray(m.tool_calls) && m.tool_calls.length > 0) return true;
       return false;
     }
 
@@ -640,67 +897,30 @@ function sanitizeOrphans(messages) {
 
 // Pre-flight validator: silently fix message array before sending to API.
 // Called on every turn via _buildApiMessages(). Lightweight — only fixes known issues.
+// Fixed messages are copies; the stored ones are never modified in place.
 function validateMessages(messages) {
   if (!messages.length) return messages;
+  const { uses, results } = toolIds(messages);
 
-  // Build set of all tool_use IDs in the conversation
-  const toolUseIds = new Set();
-  for (const m of messages) {
-    if (m.role === 'assistant' && Array.isArray(m.content)) {
-      for (const b of m.content) if (b.type === 'tool_use' && b.id) toolUseIds.add(b.id);
-    }
-    if (m.role === 'assistant' && Array.isArray(m.tool_calls)) {
-      for (const tc of m.tool_calls) if (tc.id) toolUseIds.add(tc.id);
-    }
-  }
-
-  // Build set of all tool_result IDs
-  const toolResultIds = new Set();
-  for (const m of messages) {
-    if (m.role === 'tool' && m.tool_call_id) toolResultIds.add(m.tool_call_id);
-    if (m.role === 'user' && Array.isArray(m.content)) {
-      for (const b of m.content) if (b.type === 'tool_result' && b.tool_use_id) toolResultIds.add(b.tool_use_id);
-    }
-  }
-
-  return messages.filter((m) => {
+  return messages.flatMap((m) => {
     // Drop orphaned tool results (no matching tool_use)
-    if (m.role === 'tool') return m.tool_call_id && toolUseIds.has(m.tool_call_id);
-    if (m.role === 'user' && Array.isArray(m.content) && m.content.every(b => b.type === 'tool_result')) {
-      return m.content.every(b => b.tool_use_id && toolUseIds.has(b.tool_use_id));
-    }
+    if (isToolResultMessage(m)) return m.content.every(b => uses.has(b.tool_use_id)) ? [m] : [];
     // Drop assistant tool_use messages whose results are missing (would cause API to expect results)
     if (m.role === 'assistant' && Array.isArray(m.content) && m.content.some(b => b.type === 'tool_use')) {
-      const uses = m.content.filter(b => b.type === 'tool_use');
-      const allHaveResults = uses.every(b => toolResultIds.has(b.id));
+      const allHaveResults = m.content.filter(b => b.type === 'tool_use').every(b => results.has(b.id));
       if (!allHaveResults) {
         // If there's also text, strip tool_use blocks and keep text
         const textBlocks = m.content.filter(b => b.type === 'text' && b.text?.trim());
-        if (textBlocks.length > 0) {
-          m.content = textBlocks;
-          return true;
-        }
-        return false;
-      }
-    }
-    if (m.role === 'assistant' && Array.isArray(m.tool_calls)) {
-      const allHaveResults = m.tool_calls.every(tc => toolResultIds.has(tc.id));
-      if (!allHaveResults) {
-        // Strip tool_calls, keep text if present
-        if (m.content && typeof m.content === 'string' && m.content.trim()) {
-          delete m.tool_calls;
-          return true;
-        }
-        return false;
+        return textBlocks.length > 0 ? [{ ...m, content: textBlocks }] : [];
       }
     }
     // Drop empty assistant messages
     if (m.role === 'assistant') {
-      if (typeof m.content === 'string') return m.content.trim().length > 0;
-      if (Array.isArray(m.content)) return m.content.length > 0;
-      if (!m.content && !m.tool_calls) return false;
+      if (typeof m.content === 'string') return m.content.trim().length > 0 ? [m] : [];
+      if (Array.isArray(m.content)) return m.content.length > 0 ? [m] : [];
+      return [];
     }
-    return true;
+    return [m];
   });
 }
 
@@ -727,7 +947,7 @@ function repairMessages(messages) {
   for (const m of repaired) {
     const prev = merged.at(-1);
     if (prev && prev.role === m.role && m.role === 'assistant' && typeof prev.content === 'string' && typeof m.content === 'string') {
-      prev.content += '\n\n' + m.content;
+      merged[merged.length - 1] = { ...prev, content: `${prev.content}\n\n${m.content}` };
       removed.push('duplicate consecutive assistant message (merged)');
     } else {
       merged.push(m);
@@ -736,21 +956,44 @@ function repairMessages(messages) {
   repaired = merged;
 
   // Final: ensure last message isn't an orphaned tool result
-  while (repaired.length > 0) {
-    const last = repaired.at(-1);
-    if (last.role === 'tool' || (last.role === 'user' && Array.isArray(last.content) && last.content.every(b => b.type === 'tool_result'))) {
-      repaired.pop();
-      removed.push('trailing orphaned tool result');
-    } else {
-      break;
-    }
+  while (repaired.length > 0 && isToolResultMessage(repaired.at(-1))) {
+    repaired.pop();
+    removed.push('trailing orphaned tool result');
   }
 
   return { repaired, removed };
 }
 
-function sessionPath(id) {
-  return join(config.sessionsDir, `${id}.json`);
+/**
+ * Rewrite session files saved before the canonical history format (history.js).
+ * Sessions also convert on resume — this catches the ones nobody reopens.
+ * @param {object} [opts]
+ * @param {boolean} [opts.dryRun] - Only report which sessions are outdated
+ * @returns {Promise<{ outdated: string[], failed: string[] }>} Session ids found outdated
+ *   (and migrated, unless dryRun), and files that couldn't be read or written
+ */
+export async function migrateSessions({ dryRun = false } = {}) {
+  await ensureSessionsDir();
+  const outdated = [];
+  const failed = [];
+  for (const file of (await readdir(config.sessionsDir)).filter(f => f.endsWith('.json'))) {
+    const id = basename(file, '.json');
+    try {
+      const data = await readSessionData(id);
+      if ((data.version || 1) >= HISTORY_VERSION) continue;
+      outdated.push(data.id || id);
+      if (dryRun) continue;
+      // Under the lock, re-read: the session may have been saved since
+      await withSessionLock(id, async () => {
+        const { version, seq, snapshotSeq, records, ...rest } = await readSessionData(id);
+        if ((version || 1) >= HISTORY_VERSION) return;
+        await writeSnapshot(id, { version: HISTORY_VERSION, ...rest, seq: seq + 1, messages: toCanonical(rest.messages) });
+      });
+    } catch {
+      failed.push(file);
+    }
+  }
+  return { outdated, failed };
 }
 
 async function ensureSessionsDir() {
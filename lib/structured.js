@@ -0,0 +1,147 @@
+/**
+ * Structured output — `provider.chat(messages, { schema })` resolves with
+ * `parsed`, the reply as an object that matches the JSON Schema.
+ *
+ * Providers that can constrain output natively (json_schema response formats,
+ * Anthropic forced tool use, Gemini responseSchema, Ollama format) declare
+ * `supportsSchema`. The rest get the schema spelled out in the prompt. Either
+ * way the reply is parsed and validated here, and a reply that doesn't match
+ * goes back to the model with the errors for another try.
+ */
+
+const DEFAULT_SCHEMA_RETRIES = 1;
+
+// Pull a JSON value out of a model reply — tolerates ``` fences and chatter around it
+export function parseJsonReply(text) {
+  let str = (text || '').trim();
+  if (str.startsWith('```')) {
+    str = str.replace(/^```(?:json)?\n?/, '').replace(/\n?```$/, '').trim();
+  }
+  try {
+    return JSON.parse(str);
+  } catch { /* fall through to the outermost object */ }
+  const start = str.indexOf('{');
+  const end = str.lastIndexOf('}');
+  if (start === -1 || end <= start) throw new Error('Reply contains no JSON object');
+  return JSON.parse(str.slice(start, end + 1));
+}
+
+/**
+ * Check a value against the subset of JSON Schema the internal schemas use:
+ * type (or a list of types), properties, required, items, enum, additionalProperties: false.
+ * @returns {string[]} Problems found, empty when the value matches
+ */
+export function validateSchema(value, schema, path = '$') {
+  if (!schema || typeof schema !== 'object') return [];
+  const errors = [];
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(t => matchesType(value, t))) {
+      return [`${path} should be ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (key in value) errors.push(...validateSchema(value[key], sub, `${path}.${key}`));
+    }
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(value)) {
+        if (!schema.properties?.[key]) errors.push(`${path}.${key} is not allowed`);
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+  }
+  return errors;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'object': return !!value && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'null': return value === null;
+    default: return typeof value === type;
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+// Prompt fallback for providers without a native schema mode — goes after the
+// caller's own system prompt, before the conversation
+function withSchemaInstruction(messages, schema) {
+  const text = `Respond with a single JSON object and nothing else — no markdown fences, no commentary. It must match this JSON Schema:\n${JSON.stringify(schema, null, 2)}`;
+  const at = messages.findIndex(m => m.role !== 'system');
+  const i = at === -1 ? messages.length : at;
+  return [...messages.slice(0, i), { role: 'system', content: text }, ...messages.slice(i)];
+}
+
+function sumUsage(total, usage) {
+  if (!usage) return total;
+  if (!total) return { ...usage };
+  for (const key of ['input', 'output', 'cacheRead', 'cacheWrite']) {
+    if (usage[key]) total[key] = (total[key] || 0) + usage[key];
+  }
+  return total;
+}
+
+/**
+ * Run one provider's chat() in structured mode.
+ * @param {object} provider - A concrete provider (not the failover wrapper)
+ * @param {object[]} messages
+ * @param {object} opts - chat() options; `schema` must describe an object, since
+ *   every native mode needs one at the root. `schemaName` labels it for the API,
+ *   `schemaRetries` (default 1) bounds the correction round-trips.
+ * @returns {Promise<object>} The chat() result plus `parsed`; usage covers every attempt
+ * @throws Error with `schemaMismatch` (and `usage`) when no attempt validated
+ */
+export async function structuredChat(provider, messages, opts) {
+  const { schema, schemaRetries = DEFAULT_SCHEMA_RETRIES, ...rest } = opts;
+  if (schema.type !== 'object') throw new Error('Structured output needs a schema with an object at the root');
+
+  const native = !!provider.supportsSchema;
+  const chatOpts = native ? { ...rest, schema } : rest;
+  let history = native ? messages : withSchemaInstruction(messages, schema);
+  let usage = null;
+
+  for (let attempt = 0; ; attempt++) {
+    const result = await provider.chat(history, chatOpts);
+    usage = sumUsage(usage, result.usage);
+
+    let parsed;
+    let errors;
+    try {
+      parsed = result.parsed ?? parseJsonReply(result.content);
+      errors = validateSchema(parsed, schema);
+    } catch (err) {
+      errors = [err.message];
+    }
+    if (!errors.length) return { ...result, parsed, usage };
+
+    if (attempt >= schemaRetries) {
+      const err = new Error(`Structured output did not match the schema: ${errors.slice(0, 5).join('; ')}`);
+      err.schemaMismatch = true;
+      err.usage = usage;
+      throw err;
+    }
+    history = [
+      ...history,
+      { role: 'assistant', content: result.content || JSON.stringify(parsed) || '(empty reply)' },
+      { role: 'user', content: `That reply doesn't match the required schema:\n- ${errors.slice(0, 10).join('\n- ')}\n\nReply again with only the corrected JSON object.` },
+    ];
+  }
+}
@@ -0,0 +1,82 @@
+/**
+ * Tool output spill — keeps one big tool result from filling the context window.
+ *
+ * Results over `toolOutput.maxTokens` go into the history as their head and tail;
+ * the full text is saved under ~/.betterclaw/tool-output/<handle>.txt and the model
+ * pages through it with read_tool_output(handle, offset). Attachment results
+ * (images, PDFs) keep their attachments — only their text is capped.
+ */
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { join } from 'node:path';
+import { randomBytes } from 'node:crypto';
+import { isAttachmentResult, attachmentResult } from './attachments.js';
+import config from '../config.js';
+
+const HANDLE = /^out-[a-f0-9]{10}$/;
+
+export const toolOutputDir = () => join(config.dataDir, 'tool-output');
+
+// Characters per result (and per page) — tokens at the usual ~4 characters each
+function maxChars() {
+  return (config.toolOutput?.maxTokens || 6000) * 4;
+}
+
+/**
+ * Cap a tool result for the history, spilling the full text to disk when it's over.
+ * @param {string} name - Tool that produced it, for the note
+ * @param {*} result - What the tool returned
+ * @returns {Promise<*>} The result itself, or a capped copy pointing at the saved output
+ */
+export async function spillLargeResult(name, result) {
+  if (isAttachmentResult(result)) {
+    const text = await spillText(name, result.text);
+    return text === result.text ? result : attachmentResult(text, result.attachments);
+  }
+  return typeof result === 'string' ? spillText(name, result) : result;
+}
+
+async function spillText(name, text) {
+  const limit = maxChars();
+  if (text.length <= limit) return text;
+
+  const handle = `out-${randomBytes(5).toString('hex')}`;
+  try {
+    await mkdir(toolOutputDir(), { recursive: true });
+    await writeFile(join(toolOutputDir(), `${handle}.txt`), text, 'utf-8');
+  } catch (err) {
+    // Nowhere to keep the rest — still better than flooding the context
+    const head = text.slice(0, limit);
+    return `${head}\n\n[… ${text.length - head.length} more characters of ${name} output dropped — saving them failed: ${err.message}]`;
+  }
+
+  // Head and tail: commands tend to report what went wrong at the end
+  const head = Math.floor(limit * 0.7);
+  const tail = Math.floor(limit * 0.2);
+  return `${text.slice(0, head)}\n\n`
+    + `[… ${name} output is ${text.length} characters; characters ${head}–${text.length - tail} are left out here. `
+    + `The full output is saved as "${handle}" — read on with read_tool_output({ handle: "${handle}", offset: ${head} }).]\n\n`
+    + text.slice(-tail);
+}
+
+/**
+ * One page of a saved tool output.
+ * @param {string} handle - From the note on a capped result
+ * @param {number} [offset] - Character to start at
+ * @param {number} [length] - Characters to return, at most one page
+ * @returns {Promise<string>} The page with a header saying where it sits, or an error message
+ */
+export async function readToolOutput(handle, offset = 0, length) {
+  if (!HANDLE.test(handle || '')) return `Error: "${handle}" is not a tool output handle (they look like out-1a2b3c4d5e).`;
+  let text;
+  try {
+    text = await readFile(join(toolOutputDir(), `${handle}.txt`), 'utf-8');
+  } catch {
+    return `Error: no saved output "${handle}" — it may have been cleaned up by the retention policy.`;
+  }
+  const start = Math.max(0, Math.min(Math.floor(offset) || 0, text.length));
+  const end = Math.min(text.length, start + Math.min(length || maxChars(), maxChars()));
+  const next = end < text.length
+    ? ` Next page: read_tool_output({ handle: "${handle}", offset: ${end} }).`
+    : ' This is the end.';
+  return `[${handle}: characters ${start}–${end} of ${text.length}.${next}]\n\n${text.slice(start, end)}`;
+}
@@ -1,5 +1,6 @@
-import { readFile, writeFile, readdir, stat, rename, unlink, rm } from 'node:fs/promises';
+import { readFile, writeFile, readdir, stat, rename, unlink, rm, mkdir } from 'node:fs/promises';
 import { join, relative, resolve, dirname } from 'node:path';
+import { homedir } from 'node:os';
 import { existsSync } from 'node:fs';
 import { search, findRecent } from './search.js';
 import { appendEntry, getDailySoFar, quickJournal } from './journal.js';
@@ -10,6 +11,7 @@ import { checkEmail, readEmail, sendEmail } from './email.js';
 import { listChannels, readChannel, sendMessage as slackSendMessage } from './slack.js';
 import { setCredential, getCredential } from './credentials.js';
 import { loadCustomTools, getCustomTools, createCustomTool, deleteCustomTool, listCustomTools, readCustomToolSource, setBuiltinNames } from './custom-tools.js';
+import { getMcpTools, onMcpToolsChanged } from './mcp.js';
 import { listSkills, readSkill, writeSkill, deleteSkill } from './skills.js';
 import { createCron, listCronJobs, updateCron, enableCron, disableCron, deleteCron, describeCron } from './crons.js';
 import { notifyUser } from './notify.js';
@@ -17,6 +19,14 @@ import { webSearch } from './web-search.js';
 import { remember, recall, listMemories } from './memories.js';
 import { getPersonality, setPersonality, appendPersonality } from './personality.js';
 import { formatBudgetStatus } from './cost-tracker.js';
+import { isAttachable, loadAttachment, attachmentResult } from './attachments.js';
+import { toCanonical } from './history.js';
+import { searchSessions } from './session-search.js';
+import { spillLargeResult, readToolOutput } from './tool-output.js';
+import { readLineRange, replaceText, parsePatch, applyHunks } from './file-edit.js';
+import { checkApproval } from './approvals.js';
+import { sandboxSettings, sandboxAllows, sandboxCommand, runProcess } from './sandbox.js';
+import { startProcess, listProcesses, stopProcess, restartProcess, readProcessLog, formatProcess } from './processes.js';
 import config from '../config.js';
 
 // Resolve a path that can target vault (default) or workspace (ws:// prefix)
@@ -28,8 +38,81 @@ function resolvePath(path) {
   return { root: config.vault, relPath: p.replace(/^\/+/, '') };
 }
 
+// Run a shell command to completion, in the sandbox when the session has one.
+// The shell leads its own process group, so a timeout or an abort kills everything
+// it started — not just the shell. onOutput sees stdout and stderr as they come.
+function runShell(command, { cwd, timeout, signal, sandbox, onOutput }) {
+  const shell = process.env.SHELL || '/bin/bash';
+  if (!sandbox) {
+    return runProcess(shell, ['-c', command], { cwd, timeout, signal, onOutput, env: { ...process.env, PATH: process.env.PATH } });
+  }
+  try {
+    const { file, args, env } = sandboxCommand([shell, '-c', command], sandbox, { cwd });
+    return runProcess(file, args, { cwd, timeout, signal, onOutput, env });
+  } catch (err) {
+    return { stdout: '', stderr: `Sandbox: ${err.message}`, code: null };
+  }
+}
+
+const outsideSandbox = (cwd) =>
+  `Error: "${cwd}" is outside the sandbox. Work in ${config.workspaceDir} (ws://) or another allowed directory.`;
+
+// Lock key for a file, the same whichever way the path was written
+function fileLock(path) {
+  const { root, relPath } = resolvePath(path);
+  return `file:${resolve(root, relPath)}`;
+}
+
+// A path for the editing tools: relative to the vault, ws:// for the workspace, or
+// absolute (/…, ~/…) for project files — under home or /tmp, as write_project_file
+function resolveEditPath(path) {
+  const p = (path || '').trim();
+  if (p.startsWith('/') || p.startsWith('~/')) {
+    const fullPath = resolve(p.startsWith('~/') ? join(homedir(), p.slice(2)) : p);
+    if (!fullPath.startsWith(homedir()) && !fullPath.startsWith('/tmp')) {
+      return { error: 'Error: Can only edit files under the home directory or /tmp.' };
+    }
+    return { fullPath };
+  }
+  const { root, relPath } = resolvePath(p);
+  const fullPath = resolve(root, relPath);
+  if (!fullPath.startsWith(resolve(root))) return { error: 'Error: Invalid path.' };
+  return { fullPath };
+}
+
+// The files an apply_patch call touches: { path, oldFile, newFile } per file in the diff.
+// A diff's paths are relative to `root` unless absolute; `path` overrides a one-file diff's.
+function patchTargets(args) {
+  const files = parsePatch(args.patch || '');
+  if (args.path && files.length > 1) throw new Error(`The diff changes ${files.length} files; give root instead of path.`);
+  const under = (name) => {
+    if (name.startsWith('/') || name.startsWith('~/')) return name;
+    const root = args.root || '';
+    if (!root) return name;
+    return root.endsWith('/') ? root + name : `${root}/${name}`;
+  };
+  return files.map(file => {
+    if (args.path) return { ...file, path: args.path, oldFile: file.oldPath === null ? null : args.path, newFile: file.newPath === null ? null : args.path };
+    const name = file.newPath ?? file.oldPath;
+    if (!name) throw new Error('The diff has no ---/+++ file headers; say which file it is for with path.');
+    return {
+      ...file,
+      path: under(name),
+      oldFile: file.oldPath === null ? null : under(file.oldPath ?? name),
+      newFile: file.newPath === null ? null : under(file.newPath ?? name),
+    };
+  });
+}
+
 // --- Tool definitions ---
-// Each tool: { name, description, parameters (JSON Schema), execute(args, session) }
+// Each tool: { name, description, parameters (JSON Schema), execute(args, session, ctx) }
+// ctx.signal aborts when the user stops the turn or the tool's time limit passes —
+// tools that run for a while should honor it. ctx.progress(text), when set, shows
+// output to the user while the call runs (run_command streams its output through
+// it). ctx.channel / tier / approver describe the turn, for tools that start turns
+// of their own (spawn_subagent).
+// Optional: timeoutMs — default time limit (0 = none; config.tools.timeouts overrides);
+// locks(args) — keys of what the call touches; calls of a round sharing a key run in order
 
 const tools = [
   {
@@ -56,20 +139,29 @@ const tools = [
 
   {
     name: 'read_file',
-    description: 'Read the contents of a file. Paths are relative to the vault by default. Use "ws://path" prefix for workspace files (code, projects, builds).',
+    description: 'Read the contents of a file. Paths are relative to the vault by default. Use "ws://path" prefix for workspace files (code, projects, builds). Images (png, jpg, gif, webp) and PDFs are attached so you can see them. For a long file, read only the lines you need with start_line / end_line.',
     parameters: {
       type: 'object',
       properties: {
         path: { type: 'string', description: 'File path — relative to vault, or "ws://path" for workspace' },
+        start_line: { type: 'number', description: 'First line to read, 1-based (default 1)' },
+        end_line: { type: 'number', description: 'Last line to read, inclusive (default: the end)' },
       },
       required: ['path'],
     },
+    locks: (args) => [fileLock(args.path)],
     async execute(args) {
       const { root, relPath } = resolvePath(args.path);
       const fullPath = resolve(root, relPath);
       if (!fullPath.startsWith(resolve(root))) return 'Error: Invalid path.';
       try {
-        return await readFile(fullPath, 'utf-8');
+        if (isAttachable(fullPath)) {
+          const block = await loadAttachment(fullPath);
+          return attachmentResult(`Attached ${args.path} (${block.source.media_type}).`, [block]);
+        }
+        const text = await readFile(fullPath, 'utf-8');
+        if (args.start_line || args.end_line) return readLineRange(text, args.path, args.start_line, args.end_line);
+        return text;
       } catch (err) {
         return `Error reading file: ${err.message}`;
       }
@@ -87,6 +179,7 @@ const tools = [
       },
       required: ['path', 'content'],
     },
+    locks: (args) => [fileLock(args.path)],
     async execute(args) {
       const { root, relPath } = resolvePath(args.path);
       const fullPath = resolve(root, relPath);
@@ -140,6 +233,7 @@ const tools = [
       },
       required: ['path'],
     },
+    locks: (args) => [fileLock(args.path)],
     async execute(args) {
       const { root, relPath } = resolvePath(args.path);
       const fullPath = resolve(root, relPath);
@@ -173,6 +267,7 @@ const tools = [
       },
       required: ['from', 'to'],
     },
+    locks: (args) => [fileLock(args.from), fileLock(args.to)],
     async execute(args) {
       const src = resolvePath(args.from);
       const dst = resolvePath(args.to);
@@ -202,6 +297,7 @@ const tools = [
       },
       required: ['text'],
     },
+    locks: () => ['journal'],
     async execute(args) {
       const entry = await appendEntry(args.text, args.section || 'Notes');
       return `Journal entry added: ${entry}`;
@@ -273,6 +369,7 @@ const tools = [
       },
       required: ['name'],
     },
+    locks: () => ['contexts'],
     async execute(args, session) {
       if (!session) return 'Error: No active session.';
       await session.loadContext(args.name);
@@ -307,13 +404,16 @@ const tools = [
       },
       required: ['name'],
     },
+    locks: () => ['contexts'],
     async execute(args, session) {
       if (!session) return 'Error: No active session.';
       try {
         const outfit = await session.wearOutfit(args.name);
         const toolCount = outfit.tools.length ? `${outfit.tools.length} tools active` : 'all tools active';
         const ctxs = outfit.contexts.length ? `\nContexts loaded: ${outfit.contexts.join(', ')}` : '';
-        return `Outfit "${outfit.name}" equipped. ${toolCount}.${ctxs}`;
+        const sandbox = sandboxSettings(session);
+        const fenced = sandbox ? `\nCommands and custom tools run in a sandbox${sandbox.network ? '' : ' without network access'}; work in ${config.workspaceDir}.` : '';
+        return `Outfit "${outfit.name}" equipped. ${toolCount}.${ctxs}${fenced}`;
       } catch (err) {
         return `Error: ${err.message}`;
       }
@@ -324,6 +424,7 @@ const tools = [
     name: 'remove_outfit',
     description: 'Remove the current outfit — restores full tool access and removes outfit-specific contexts.',
     parameters: { type: 'object', properties: {}, required: [] },
+    locks: () => ['contexts'],
     async execute(args, session) {
       if (!session) return 'Error: No active session.';
       const removed = await session.removeOutfit();
@@ -354,6 +455,7 @@ const tools = [
       },
       required: ['name', 'description'],
     },
+    locks: () => ['outfits'],
     async execute(args) {
       try {
         const path = await createOutfit(args.name, {
@@ -381,10 +483,16 @@ const tools = [
       },
       required: ['task'],
     },
-    async execute(args) {
+    timeoutMs: 600000,
+    async execute(args, _session, ctx = {}) {
       const result = await spawnSessionAgent(args.task, {
         role: args.role || 'default',
         context: args.context || '',
+        signal: ctx.signal,
+        // The sub-agent's tool calls ask whoever the parent's would
+        channel: ctx.channel,
+        tier: ctx.tier,
+        approver: ctx.approver,
       });
       return `[Sub-agent completed — session ${result.sessionId}, cost $${result.cost.toFixed(4)}]\n\n${result.content}`;
     },
@@ -462,6 +570,7 @@ const tools = [
       },
       required: ['goal', 'tasks'],
     },
+    locks: () => ['task-plan'],
     execute(args, session) {
       if (!session) return 'Error: No active session.';
       session._taskPlan = {
@@ -484,6 +593,7 @@ const tools = [
       },
       required: ['id', 'status'],
     },
+    locks: () => ['task-plan'],
     execute(args, session) {
       if (!session?._taskPlan) return 'Error: No task plan active. Call task_plan first.';
       const task = session._taskPlan.tasks.find(t => t.id === args.id);
@@ -504,6 +614,7 @@ const tools = [
       },
       required: ['text'],
     },
+    locks: () => ['task-plan'],
     execute(args, session) {
       if (!session?._taskPlan) return 'Error: No task plan active. Call task_plan first.';
       const nextId = Math.max(...session._taskPlan.tasks.map(t => t.id)) + 1;
@@ -530,6 +641,7 @@ const tools = [
       },
       required: ['name', 'value'],
     },
+    locks: () => ['credentials'],
     async execute(args) {
       try {
         await setCredential(args.name, args.value);
@@ -572,6 +684,7 @@ const tools = [
       },
       required: [],
     },
+    timeoutMs: 60000,
     async execute(args) {
       try {
         const messages = await checkEmail({
@@ -599,6 +712,7 @@ const tools = [
       },
       required: ['id'],
     },
+    timeoutMs: 60000,
     async execute(args) {
       try {
         const msg = await readEmail(args.id);
@@ -628,6 +742,7 @@ const tools = [
       },
       required: ['to', 'subject', 'body'],
     },
+    timeoutMs: 60000,
     async execute(args) {
       try {
         const result = await sendEmail(args.to, args.subject, args.body);
@@ -736,9 +851,10 @@ const tools = [
       },
       required: ['url'],
     },
-    async execute(args) {
+    timeoutMs: 30000,
+    async execute(args, _session, ctx = {}) {
       try {
-        const opts = { method: (args.method || 'GET').toUpperCase() };
+        const opts = { method: (args.method || 'GET').toUpperCase(), signal: ctx.signal };
         if (args.headers) opts.headers = args.headers;
         if (args.body) {
           opts.body = args.body;
@@ -751,7 +867,7 @@ const tools = [
         // Try to pretty-print JSON
         let body = text;
         try { body = JSON.stringify(JSON.parse(text), null, 2); } catch {}
-        return `HTTP ${res.status} ${res.statusText}\n\n${body.slice(0, 5000)}`;
+        return `HTTP ${res.status} ${res.statusText}\n\n${body}`;
       } catch (err) {
         return `HTTP error: ${err.message}`;
       }
@@ -771,6 +887,7 @@ const tools = [
       },
       required: ['key', 'value'],
     },
+    locks: () => ['config'],
     async execute(args) {
       const { readFileSync, writeFileSync, mkdirSync, existsSync } = await import('node:fs');
       const { dirname } = await import('node:path');
@@ -816,6 +933,7 @@ Bad: browse_web({ url: "http://localhost:3000", task: "check the site" })`,
       },
       required: ['url', 'task'],
     },
+    timeoutMs: 300000,
     async execute(args) {
       try {
         const { runBrowserTask } = await import('./browser-agent.js');
@@ -842,6 +960,7 @@ Bad: browse_web({ url: "http://localhost:3000", task: "check the site" })`,
       },
       required: ['name', 'content'],
     },
+    locks: (args) => [`skill:${args.name}`],
     async execute(args) {
       try {
         const result = await writeSkill(args.name, args.content);
@@ -898,6 +1017,7 @@ Bad: browse_web({ url: "http://localhost:3000", task: "check the site" })`,
       },
       required: ['name'],
     },
+    locks: (args) => [`skill:${args.name}`],
     async execute(args) {
       const deleted = await deleteSkill(args.name);
       return deleted ? `Skill "${args.name}" deleted.` : `Skill "${args.name}" not found.`;
@@ -912,6 +1032,8 @@ Bad: browse_web({ url: "http://localhost:3000", task: "check the site" })`,
 
 The tool file is a full ES module. You can use any Node.js built-in (import via "imports" param) and fetch().
 
+When the sandbox is on, tools run in a separate process: they can read and write only the workspace and system directories, can't start processes, and \`session\` holds just { id, contexts }. Return JSON-serializable values.
+
 IMPORTANT: Always wrap your code in try/catch and return actionable error strings — not raw exceptions. The error message is what future agents see, so make it helpful:
   Good: "Error: Calendar timed out — user may need to approve permissions in System Settings > Privacy & Security > Automation"
   Bad: "Error: ETIMEDOUT"
@@ -935,6 +1057,7 @@ Or provide a full module in code (must contain "export default") for full contro
       },
       required: ['name', 'description', 'parameters', 'code'],
     },
+    locks: () => ['custom-tools'],
     async execute(args) {
       try {
         const result = await createCustomTool(args.name, args.description, args.parameters, args.code, args.imports);
@@ -993,6 +1116,7 @@ Or provide a full module in code (must contain "export default") for full contro
       },
       required: ['name'],
     },
+    locks: () => ['custom-tools'],
     async execute(args) {
       try {
         const deleted = await deleteCustomTool(args.name);
@@ -1032,6 +1156,7 @@ The "prompt" is what the disposable agent receives as its task. Write it like in
       },
       required: ['name', 'schedule', 'prompt'],
     },
+    locks: () => ['crons'],
     async execute(args) {
       try {
         const cron = await createCron({
@@ -1081,6 +1206,7 @@ The "prompt" is what the disposable agent receives as its task. Write it like in
       },
       required: ['id'],
     },
+    locks: () => ['crons'],
     async execute(args) {
       try {
         const { id, ...updates } = args;
@@ -1103,6 +1229,7 @@ The "prompt" is what the disposable agent receives as its task. Write it like in
       },
       required: ['id'],
     },
+    locks: () => ['crons'],
     async execute(args) {
       const cron = await enableCron(args.id);
       if (!cron) return `Cron "${args.id}" not found.`;
@@ -1120,6 +1247,7 @@ The "prompt" is what the disposable agent receives as its task. Write it like in
       },
       required: ['id'],
     },
+    locks: () => ['crons'],
     async execute(args) {
       const cron = await disableCron(args.id);
       if (!cron) return `Cron "${args.id}" not found.`;
@@ -1137,6 +1265,7 @@ The "prompt" is what the disposable agent receives as its task. Write it like in
       },
       required: ['id'],
     },
+    locks: () => ['crons'],
     async execute(args) {
       const deleted = await deleteCron(args.id);
       if (!deleted) return `Cron "${args.id}" not found.`;
@@ -1157,6 +1286,7 @@ The "prompt" is what the disposable agent receives as its task. Write it like in
       },
       required: ['query'],
     },
+    timeoutMs: 30000,
     async execute(args) {
       try {
         return await webSearch(args.query, args.max_results || 5);
@@ -1179,6 +1309,7 @@ The "prompt" is what the disposable agent receives as its task. Write it like in
       },
       required: ['topic', 'content'],
     },
+    locks: () => ['memories'],
     async execute(args) {
       try {
         return await remember(args.topic, args.content);
@@ -1247,6 +1378,7 @@ The "prompt" is what the disposable agent receives as its task. Write it like in
       },
       required: ['content'],
     },
+    locks: () => ['personality'],
     async execute(args, session) {
       try {
         const result = await setPersonality(args.content);
@@ -1272,6 +1404,7 @@ The "prompt" is what the disposable agent receives as its task. Write it like in
       },
       required: ['rule'],
     },
+    locks: () => ['personality'],
     async execute(args, session) {
       try {
         let text;
@@ -1330,9 +1463,9 @@ The "prompt" is what the disposable agent receives as its task. Write it like in
         }
 
         const lines = content.trim().split('\n').filter(Boolean);
-        let messages = lines.map(line => {
+        let messages = toCanonical(lines.map(line => {
           try { return JSON.parse(line); } catch { return null; }
-        }).filter(Boolean);
+        }).filter(Boolean));
 
         if (args.query) {
           const q = args.query.toLowerCase();
@@ -1356,6 +1489,42 @@ The "prompt" is what the disposable agent receives as its task. Write it like in
     },
   },
 
+  {
+    name: 'search_sessions',
+    description: 'Full-text search across every past session — current messages and compacted archives alike. Use it to find what was said or decided earlier ("what did we decide about X last month"), which tool runs touched something, or where a topic came up. Results show the session ID and message number; open one with review_session_history for more.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Words to look for — messages matching more of them rank first. Put exact phrases in double quotes.' },
+        tool: { type: 'string', description: 'Only messages that called this tool, or are its results (e.g. "run_command")' },
+        from: { type: 'string', description: 'Only sessions active on or after this date (YYYY-MM-DD)' },
+        to: { type: 'string', description: 'Only sessions started on or before this date (YYYY-MM-DD)' },
+        min_cost: { type: 'number', description: 'Only sessions that cost at least this many dollars' },
+        max_cost: { type: 'number', description: 'Only sessions that cost at most this many dollars' },
+        limit: { type: 'number', description: 'Maximum results (default 20)' },
+      },
+    },
+    async execute(args) {
+      const { total, results } = await searchSessions({
+        query: args.query,
+        tool: args.tool,
+        from: args.from,
+        to: args.to,
+        minCost: args.min_cost,
+        maxCost: args.max_cost,
+        limit: args.limit,
+      });
+      if (!results.length) return 'No matching messages in any session.';
+      const lines = results.map(r => {
+        const where = `${r.sessionId} msg ${r.at}${r.archived ? ' (archived)' : ''}`;
+        const tools = r.tools.length ? ` [${r.tools.join(', ')}]` : '';
+        return `${r.updated?.slice(0, 10) || '?'}  ${where}  ${r.role}${tools}\n  ${r.snippet}`;
+      });
+      const more = total > results.length ? `\n\n(${total - results.length} more — narrow the query or raise limit)` : '';
+      return lines.join('\n\n') + more;
+    },
+  },
+
   // --- Heartbeat audit log ---
 
   {
@@ -1391,7 +1560,7 @@ The "prompt" is what the disposable agent receives as its task. Write it like in
     name: 'write_project_file',
     description: `Write a file to an absolute path on the filesystem. Use this for coding projects that live outside the vault/workspace — e.g. when working on a project in ~/Desktop/myapp or ~/Projects/whatever.
 
-For vault files, use write_file instead. For workspace files, use write_file with ws:// prefix.`,
+For vault files, use write_file instead. For workspace files, use write_file with ws:// prefix. To change part of an existing file, use edit_file or apply_patch — they don't resend the whole file.`,
     parameters: {
       type: 'object',
       properties: {
@@ -1400,6 +1569,7 @@ For vault files, use write_file instead. For workspace files, use write_file wit
       },
       required: ['path', 'content'],
     },
+    locks: (args) => [`file:${resolve(args.path || '')}`],
     async execute(args) {
       const { resolve, dirname } = await import('node:path');
       const { writeFile, mkdir } = await import('node:fs/promises');
@@ -1422,24 +1592,166 @@ For vault files, use write_file instead. For workspace files, use write_file wit
 
   {
     name: 'read_project_file',
-    description: `Read a file from an absolute path on the filesystem. Use this for coding projects that live outside the vault/workspace.
+    description: `Read a file from an absolute path on the filesystem. Use this for coding projects that live outside the vault/workspace. For a long file, read only the lines you need with start_line / end_line.
 
 For vault files, use read_file instead.`,
     parameters: {
       type: 'object',
       properties: {
         path: { type: 'string', description: 'Absolute file path' },
+        start_line: { type: 'number', description: 'First line to read, 1-based (default 1)' },
+        end_line: { type: 'number', description: 'Last line to read, inclusive (default: the end)' },
       },
       required: ['path'],
     },
+    locks: (args) => [`file:${resolve(args.path || '')}`],
     async execute(args) {
       const { resolve } = await import('node:path');
       const { readFile } = await import('node:fs/promises');
       try {
-        return await readFile(resolve(args.path), 'utf-8');
+        const text = await readFile(resolve(args.path), 'utf-8');
+        if (args.start_line || args.end_line) return readLineRange(text, resolve(args.path), args.start_line, args.end_line);
+        return text;
+      } catch (err) {
+        return `Error reading file: ${err.message}`;
+      }
+    },
+  },
+
+  // --- Editing: change part of a file, in the vault, the workspace or a project ---
+
+  {
+    name: 'edit_file',
+    description: `Replace an exact piece of text in a file — far cheaper than rewriting the file. old_string must match the file exactly (indentation included) and occur once; include a few surrounding lines to make it unique, or set replace_all to change every occurrence.
+
+Paths: relative to the vault, "ws://path" for the workspace, or absolute (/Users/me/myapp/src/app.js, ~/myapp/src/app.js) for projects on disk.
+
+Examples:
+- edit_file({ path: "/Users/me/myapp/src/config.js", old_string: "port: 3000,", new_string: "port: 8080," })
+- edit_file({ path: "ws://myapp/index.html", old_string: "<title>Old</title>", new_string: "<title>New</title>" })
+- edit_file({ path: "Projects/Launch.md", old_string: "- [ ] Ship it", new_string: "- [x] Ship it" })`,
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'File path — relative to vault, "ws://path" for workspace, or absolute' },
+        old_string: { type: 'string', description: 'The exact text to replace' },
+        new_string: { type: 'string', description: 'What to replace it with' },
+        replace_all: { type: 'boolean', description: 'Replace every occurrence (default false: it must occur once)' },
+      },
+      required: ['path', 'old_string', 'new_string'],
+    },
+    locks: (args) => {
+      const { fullPath } = resolveEditPath(args.path);
+      return fullPath ? [`file:${fullPath}`] : [];
+    },
+    async execute(args) {
+      const { fullPath, error } = resolveEditPath(args.path);
+      if (error) return error;
+      let text;
+      try {
+        text = await readFile(fullPath, 'utf-8');
       } catch (err) {
+        if (err.code === 'ENOENT') return `Error: ${args.path} doesn't exist. Create it with write_file or write_project_file.`;
         return `Error reading file: ${err.message}`;
       }
+      try {
+        const { text: edited, count, line } = replaceText(text, args.old_string, args.new_string ?? '', args.replace_all);
+        await writeFile(fullPath, edited, 'utf-8');
+        return count > 1
+          ? `Edited ${args.path}: replaced ${count} occurrences (first at line ${line}).`
+          : `Edited ${args.path}: replaced at line ${line}.`;
+      } catch (err) {
+        return `Error: ${err.message}`;
+      }
+    },
+  },
+
+  {
+    name: 'apply_patch',
+    description: `Apply a unified diff (the format of diff -u and git diff) to one or more files. Use it for several changes at once — edit_file is simpler for one. All hunks must apply or nothing is written. Context and - lines must match the file exactly (trailing whitespace aside); line numbers in the @@ headers may be off. "--- /dev/null" creates a file, "+++ /dev/null" deletes one.
+
+Give path for a diff of one file (its --- / +++ headers are then optional), or root for a diff whose headers name the files: they're relative to root — the vault, "ws://dir" or an absolute directory (default: the vault).
+
+Example:
+apply_patch({ root: "/Users/me/myapp", patch: "--- a/src/app.js\n+++ b/src/app.js\n@@ -10,3 +10,3 @@\n const app = express();\n-app.listen(3000);\n+app.listen(process.env.PORT || 3000);\n export default app;\n" })`,
+    parameters: {
+      type: 'object',
+      properties: {
+        patch: { type: 'string', description: 'The unified diff' },
+        path: { type: 'string', description: 'The file a one-file diff applies to — relative to vault, "ws://path", or absolute' },
+        root: { type: 'string', description: 'Directory the diff\'s file paths are relative to — "ws://dir", an absolute path, or a vault folder' },
+      },
+      required: ['patch'],
+    },
+    locks: (args) => {
+      try {
+        return patchTargets(args)
+          .flatMap(t => [t.oldFile, t.newFile])
+          .map(p => p && resolveEditPath(p).fullPath)
+          .filter(Boolean)
+          .map(p => `file:${p}`);
+      } catch {
+        return [];
+      }
+    },
+    async execute(args) {
+      let targets;
+      try {
+        targets = patchTargets(args);
+      } catch (err) {
+        return `Error: ${err.message}`;
+      }
+
+      // Work out every file's new content first: one bad hunk and nothing is written
+      const changes = [];
+      const seen = new Set();
+      for (const t of targets) {
+        const from = t.oldFile && resolveEditPath(t.oldFile);
+        const to = t.newFile && resolveEditPath(t.newFile);
+        if (from?.error || to?.error) return `${from?.error || to.error} (${t.path})`;
+        // Each section is applied to the file as it is on disk, so a second one would undo the first
+        const paths = new Set([from?.fullPath, to?.fullPath].filter(Boolean));
+        if ([...paths].some(p => seen.has(p))) {
+          return `Error: the diff has more than one section for ${t.path}. Put all of a file's hunks under one ---/+++ header, in order. Nothing was changed.`;
+        }
+        paths.forEach(p => seen.add(p));
+        let text = '';
+        if (from) {
+          try {
+            text = await readFile(from.fullPath, 'utf-8');
+          } catch (err) {
+            return err.code === 'ENOENT'
+              ? `Error: ${t.oldFile} doesn't exist. For a new file, the diff's old side is "--- /dev/null".`
+              : `Error reading ${t.oldFile}: ${err.message}`;
+          }
+        } else if (existsSync(to.fullPath)) {
+          return `Error: ${t.newFile} already exists — the diff creates it (--- /dev/null).`;
+        }
+        try {
+          const content = applyHunks(text, t.hunks);
+          const added = t.hunks.flatMap(h => h.lines).filter(l => l.op === '+').length;
+          const removed = t.hunks.flatMap(h => h.lines).filter(l => l.op === '-').length;
+          changes.push({ ...t, from, to, content, added, removed });
+        } catch (err) {
+          return `Error in ${t.path}: ${err.message} Nothing was changed.`;
+        }
+      }
+
+      const done = [];
+      try {
+        for (const c of changes) {
+          if (c.to) {
+            await mkdir(dirname(c.to.fullPath), { recursive: true });
+            await writeFile(c.to.fullPath, c.content, 'utf-8');
+          }
+          if (c.from && c.from.fullPath !== c.to?.fullPath) await unlink(c.from.fullPath);
+          const what = !c.from ? 'created' : !c.to ? 'deleted' : c.oldFile !== c.newFile ? `renamed from ${c.oldFile}` : `${c.hunks.length} hunk${c.hunks.length === 1 ? '' : 's'}`;
+          done.push(`  ${c.newFile || c.oldFile}: +${c.added} −${c.removed} (${what})`);
+        }
+      } catch (err) {
+        return `Error writing files: ${err.message}${done.length ? `\nAlready changed:\n${done.join('\n')}` : ''}`;
+      }
+      return `Patched ${done.length} file${done.length === 1 ? '' : 's'}:\n${done.join('\n')}`;
     },
   },
 
@@ -1533,146 +1845,216 @@ Examples:
       },
       required: ['command'],
     },
-    async execute(args, session) {
-      const { execSync } = await import('node:child_process');
+    timeoutMs: 0, // bounded by its own `timeout` argument
+    async execute(args, session, ctx = {}) {
       const { homedir } = await import('node:os');
-      const { existsSync } = await import('node:fs');
       const timeout = Math.min(args.timeout || 30000, 300000);
       // Use explicit cwd > session's last cwd > home
       let cwd = args.cwd || session?._lastCwd || homedir();
-      // Validate cwd exists — bad cwd causes misleading "spawnSync ENOENT"
+      const sandbox = sandboxSettings(session);
+      if (sandbox) {
+        if (!sandboxAllows(sandbox, cwd)) {
+          if (args.cwd) return outsideSandbox(cwd);
+          // Only a default (home, an earlier cwd) — the workspace is always allowed
+          cwd = config.workspaceDir;
+        }
+        await mkdir(config.workspaceDir, { recursive: true });
+      }
+      let warning = '';
+      // Validate cwd exists — bad cwd causes misleading "spawn ENOENT"
       if (!existsSync(cwd)) {
-        const fallback = homedir();
-        const msg = `Warning: cwd "${cwd}" does not exist, falling back to ${fallback}`;
+        const fallback = sandbox ? config.workspaceDir : homedir();
+        warning = `Warning: cwd "${cwd}" does not exist, falling back to ${fallback}\n`;
         cwd = fallback;
         // Still track the fallback
         if (session) session._lastCwd = fallback;
-        // Run the command but prepend the warning
-        try {
-          const output = execSync(args.command, {
-            cwd: fallback,
-            timeout,
-            encoding: 'utf-8',
-            stdio: ['pipe', 'pipe', 'pipe'],
-            shell: process.env.SHELL || '/bin/bash',
-            env: { ...process.env, PATH: process.env.PATH },
-            maxBuffer: 2 * 1024 * 1024,
-          });
-          return `${msg}\n${(output || '').trim()}`;
-        } catch (err) {
-          const stderr = err.stderr?.trim() || '';
-          const stdout = err.stdout?.trim() || '';
-          const output = [stdout, stderr].filter(Boolean).join('\n');
-          return `${msg}\nError (exit ${err.status || '?'}): ${output || err.message}`;
-        }
-      }
-      // Track cwd for future commands in this session
-      if (args.cwd && session) session._lastCwd = args.cwd;
-      try {
-        const output = execSync(args.command, {
-          cwd,
-          timeout,
-          encoding: 'utf-8',
-          stdio: ['pipe', 'pipe', 'pipe'],
-          shell: process.env.SHELL || '/bin/bash',
-          env: { ...process.env, PATH: process.env.PATH },
-          maxBuffer: 2 * 1024 * 1024,
-        });
-        const result = (output || '').trim();
-        return result || '(command completed with no output)';
-      } catch (err) {
-        const stderr = err.stderr?.trim() || '';
-        const stdout = err.stdout?.trim() || '';
-        const output = [stdout, stderr].filter(Boolean).join('\n');
-        if (err.killed) return `Error: Command timed out after ${timeout}ms.\n${output}`;
-        return `Error (exit ${err.status || '?'}): ${output || err.message}`;
+      } else if (args.cwd && session) {
+        // Track cwd for future commands in this session
+        session._lastCwd = args.cwd;
       }
+      const { stdout, stderr, code, timedOut, aborted } = await runShell(args.command, {
+        cwd, timeout, signal: ctx.signal, sandbox, onOutput: ctx.progress,
+      });
+      const output = [stdout, stderr].filter(Boolean).join('\n');
+      if (aborted) return `${warning}Cancelled: the command was stopped by the user.\n${output}`.trim();
+      if (timedOut) return `${warning}Error: Command timed out after ${timeout}ms.\n${output}`;
+      if (code !== 0) return `${warning}Error (exit ${code ?? '?'}): ${output || 'command failed'}`;
+      return warning + (stdout || '(command completed with no output)');
+    },
+  },
+
+  {
+    name: 'read_tool_output',
+    description: `Read the full output of a tool call whose result was cut short. Long results keep only their beginning and end in the conversation; the note in the middle gives a handle and the offset to continue from.
+
+Example: read_tool_output({ handle: "out-3f9a1c2b7d", offset: 16800 })`,
+    parameters: {
+      type: 'object',
+      properties: {
+        handle: { type: 'string', description: 'Handle from the note, e.g. "out-3f9a1c2b7d"' },
+        offset: { type: 'number', description: 'Character to start reading at (default 0)' },
+        length: { type: 'number', description: 'Characters to read (default and maximum: one page)' },
+      },
+      required: ['handle'],
+    },
+    async execute(args) {
+      return readToolOutput(args.handle, args.offset, args.length);
     },
   },
 
   {
     name: 'run_background',
-    description: `Start a long-running process in the background (dev servers, watchers, builds). Returns immediately with a process ID. The process runs independently and survives the session.
+    description: `Start a long-running process in the background (dev servers, watchers, builds). Returns a process id right away — or, with ready_port / ready_pattern, once the process is ready. The process runs independently, survives the session and gateway restarts, and shows up in list_background.
 
 Use this for:
 - npm run dev / next dev / vite dev
 - Any process that runs indefinitely
 - Long builds you don't want to wait for
 
+restart: "on-failure" brings it back when it crashes, "always" whenever it exits (with backoff, a few times in a row at most).
+
 Examples:
-- run_background({ command: "npm run dev", cwd: "/Users/me/myproject", label: "dev server" })
-- run_background({ command: "npx tailwindcss --watch", cwd: "/Users/me/myproject", label: "tailwind" })`,
+- run_background({ command: "npm run dev", cwd: "/Users/me/myproject", label: "dev server", ready_port: 3000 })
+- run_background({ command: "npx tailwindcss --watch", cwd: "/Users/me/myproject", label: "tailwind", ready_pattern: "Done in" })
+- run_background({ command: "node worker.js", cwd: "/Users/me/myproject", restart: "on-failure" })`,
     parameters: {
       type: 'object',
       properties: {
         command: { type: 'string', description: 'The shell command to run in the background' },
         cwd: { type: 'string', description: 'Working directory (absolute path)' },
         label: { type: 'string', description: 'Human-readable label for this process' },
+        restart: { type: 'string', enum: ['no', 'on-failure', 'always'], description: 'Restart policy (default "no")' },
+        ready_port: { type: 'number', description: 'Wait until this local port accepts connections' },
+        ready_pattern: { type: 'string', description: 'Wait until the output matches this regex, e.g. "listening on"' },
+        ready_timeout: { type: 'number', description: 'How long to wait for readiness in ms (default 30000, max 120000)' },
       },
       required: ['command'],
     },
-    async execute(args, session) {
-      const { spawn } = await import('node:child_process');
+    timeoutMs: 0, // bounded by ready_timeout
+    async execute(args, session, ctx = {}) {
       const { homedir } = await import('node:os');
-      const { openSync, existsSync } = await import('node:fs');
-      const { join } = await import('node:path');
 
       let cwd = args.cwd || session?._lastCwd || homedir();
+      const sandbox = sandboxSettings(session);
+      if (sandbox && !sandboxAllows(sandbox, cwd)) {
+        if (args.cwd) return outsideSandbox(cwd);
+        cwd = config.workspaceDir;
+        await mkdir(cwd, { recursive: true });
+      }
       // Validate cwd exists — bad cwd causes misleading "spawn ENOENT"
       if (!existsSync(cwd)) {
         return `Error: cwd "${cwd}" does not exist. Use an absolute path to a directory that exists.`;
       }
       if (args.cwd && session) session._lastCwd = args.cwd;
 
-      // Log output to a file so it can be checked later
-      const logFile = join(config.dataDir, `bg-${Date.now()}.log`);
-      const out = openSync(logFile, 'a');
-      const err = openSync(logFile, 'a');
-
-      const child = spawn(args.command, [], {
-        cwd,
-        shell: process.env.SHELL || '/bin/bash',
-        detached: true,
-        stdio: ['ignore', out, err],
-        env: { ...process.env, PATH: process.env.PATH },
-      });
-
-      child.unref();
-      const pid = child.pid;
-      const label = args.label || args.command.slice(0, 40);
-
-      // Track background processes
-      if (!global._bgProcesses) global._bgProcesses = [];
-      global._bgProcesses.push({ pid, label, command: args.command, cwd, logFile, startedAt: new Date().toISOString() });
-
-      return `Background process started: "${label}" (PID ${pid})\nLog file: ${logFile}\nWorking dir: ${cwd}\n\nUse run_command({ command: "tail -20 ${logFile}" }) to check output.\nUse run_command({ command: "kill ${pid}" }) to stop it.`;
+      const ready = args.ready_port || args.ready_pattern
+        ? { port: args.ready_port, pattern: args.ready_pattern, timeoutMs: Math.min(args.ready_timeout || 30000, 120000) }
+        : null;
+      let started;
+      try {
+        started = await startProcess({
+          command: args.command, cwd, label: args.label, restart: args.restart, ready, sandbox,
+          sessionId: session?.id, signal: ctx.signal,
+        });
+      } catch (err) {
+        return `Error: ${err.message}`;
+      }
+      const { entry, readiness } = started;
+      const lines = [
+        `Background process started: "${entry.label}" (id ${entry.id}, PID ${entry.pid})`,
+        `Log file: ${entry.logFile}`,
+        `Working dir: ${cwd}`,
+      ];
+      if (entry.restart !== 'no') lines.push(`Restart: ${entry.restart}`);
+      if (readiness?.ready) lines.push(`Ready after ${(readiness.ms / 1000).toFixed(1)}s.`);
+      else if (readiness) lines.push(`Not ready: ${readiness.reason}. Check read_background_log({ id: "${entry.id}" }).`);
+      lines.push('', `Use read_background_log({ id: "${entry.id}" }) to check output, stop_background({ id: "${entry.id}" }) to stop it.`);
+      return lines.join('\n');
     },
   },
 
   {
     name: 'list_background',
-    description: 'List all background processes started in this gateway session.',
+    description: 'List background processes started with run_background — running ones and recently finished ones — with their ids, status and logs.',
     parameters: { type: 'object', properties: {}, required: [] },
     async execute() {
-      const procs = global._bgProcesses || [];
-      if (procs.length === 0) return 'No background processes running.';
-
-      const lines = [];
-      for (const p of procs) {
-        // Check if still alive
-        let alive = false;
-        try { process.kill(p.pid, 0); alive = true; } catch {}
-        lines.push(`${alive ? '●' : '○'} PID ${p.pid} — ${p.label} (${alive ? 'running' : 'stopped'})\n  cwd: ${p.cwd}\n  log: ${p.logFile}\n  started: ${p.startedAt}`);
+      const procs = await listProcesses();
+      if (procs.length === 0) return 'No background processes.';
+      return procs.map(formatProcess).join('\n\n');
+    },
+  },
+
+  {
+    name: 'stop_background',
+    description: 'Stop a background process and everything it started (SIGTERM, then SIGKILL if it lingers). Its restart policy won\'t bring it back.',
+    parameters: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', description: 'Process id from run_background or list_background (a PID or label works too)' },
+      },
+      required: ['id'],
+    },
+    async execute(args) {
+      const entry = await stopProcess(args.id);
+      if (!entry) return `Error: no background process "${args.id}". list_background shows them.`;
+      if (entry.status !== 'stopped') return `"${entry.label}" (id ${entry.id}) wasn't running (${entry.status}); it won't be restarted.`;
+      return `Stopped "${entry.label}" (id ${entry.id}).`;
+    },
+  },
+
+  {
+    name: 'restart_background',
+    description: 'Restart a background process — running or not — with the same command, working dir and readiness check.',
+    parameters: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', description: 'Process id from run_background or list_background (a PID or label works too)' },
+      },
+      required: ['id'],
+    },
+    timeoutMs: 0, // bounded by the process's ready timeout
+    async execute(args, session, ctx = {}) {
+      let restarted;
+      try {
+        restarted = await restartProcess(args.id, { signal: ctx.signal });
+      } catch (err) {
+        return `Error: ${err.message}`;
       }
-      return lines.join('\n\n');
+      if (!restarted) return `Error: no background process "${args.id}". list_background shows them.`;
+      const { entry, readiness } = restarted;
+      let text = `Restarted "${entry.label}" (id ${entry.id}, PID ${entry.pid}).`;
+      if (readiness?.ready) text += ` Ready after ${(readiness.ms / 1000).toFixed(1)}s.`;
+      else if (readiness) text += ` Not ready: ${readiness.reason}.`;
+      return text;
+    },
+  },
+
+  {
+    name: 'read_background_log',
+    description: `Read the output of a background process. Without an offset you get the latest output; the header gives the offsets of the pages before and after.
+
+Examples:
+- read_background_log({ id: "p3f9a1c" })
+- read_background_log({ id: "p3f9a1c", offset: 0 })`,
+    parameters: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', description: 'Process id from run_background or list_background (a PID or label works too)' },
+        offset: { type: 'number', description: 'Byte to start reading at (default: the last page)' },
+        length: { type: 'number', description: 'Bytes to read (default and maximum: one page)' },
+      },
+      required: ['id'],
+    },
+    async execute(args) {
+      return readProcessLog(args.id, { offset: args.offset, length: args.length });
     },
   },
 ];
 
-// --- All tools: built-in + custom ---
+// --- All tools: built-in + custom + MCP ---
 
 function getAllTools() {
-  // Dedup as a final safety net — built-ins always win
+  // Dedup as a final safety net — built-ins always win, then custom tools
   const seen = new Set(tools.map(t => t.name));
   const safe = [];
   for (const t of getCustomTools()) {
@@ -1683,6 +2065,14 @@ function getAllTools() {
     seen.add(t.name);
     safe.push(t);
   }
+  for (const t of getMcpTools()) {
+    if (seen.has(t.name)) {
+      console.error(`MCP tool "${t.name}" (${t._mcp}) shadowed by an existing tool — skipping`);
+      continue;
+    }
+    seen.add(t.name);
+    safe.push(t);
+  }
   return [...tools, ...safe];
 }
 
@@ -1693,10 +2083,12 @@ const ALWAYS_AVAILABLE = new Set(['wear_outfit', 'remove_outfit', 'list_outfits'
 export function filterToolsByOutfit(allTools, allowedNames) {
   if (!allowedNames?.length) return allTools;
   const allowed = new Set([...allowedNames, ...ALWAYS_AVAILABLE]);
+  // Trailing "*" matches by prefix — e.g. "github__*" allows every tool from the github MCP server
+  const prefixes = allowedNames.filter(n => n.endsWith('*')).map(n => n.slice(0, -1));
   // Tools can be in Anthropic format ({ name }) or OpenAI format ({ function: { name } })
   return allTools.filter(t => {
     const name = t.name || t.function?.name;
-    return allowed.has(name);
+    return allowed.has(name) || prefixes.some(p => name.startsWith(p));
   });
 }
 
@@ -1755,18 +2147,154 @@ function enhanceError(name, err) {
   return `Tool error (${name}): ${msg}`;
 }
 
-export async function executeTool(name, args, session) {
+const PROGRESS_INTERVAL_MS = 250;
+
+// Collect a tool's progress output and pass it on in batches, so a chatty command
+// doesn't turn into an event per line. Nothing gets through once it's closed.
+function batchProgress(emit) {
+  let pending = '';
+  let timer = null;
+  let closed = false;
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (!pending) return;
+    const text = pending;
+    pending = '';
+    emit(text);
+  };
+  return {
+    push(text) {
+      if (closed || !text) return;
+      pending += text;
+      timer ??= setTimeout(flush, PROGRESS_INTERVAL_MS);
+    },
+    close() {
+      flush();
+      closed = true;
+    },
+  };
+}
+
+// Time limit for a call: config override, else the tool's default, else the global one
+function toolTimeout(tool) {
+  const limits = config.tools || {};
+  return limits.timeouts?.[tool.name] ?? tool.timeoutMs ?? limits.defaultTimeoutMs ?? 0;
+}
+
+/**
+ * Run a tool and return its result (a string, or an attachment result). Never throws —
+ * failures come back as "Tool error" text for the model to read. Results over
+ * toolOutput.maxTokens are capped, with the full text saved for read_tool_output.
+ * @param {object} [opts]
+ * @param {AbortSignal} [opts.signal] - Stops the tool: it resolves at once with a
+ *   "Cancelled" result, and tools that take ctx.signal (run_command) stop their work
+ * @param {number} [opts.timeout] - Time limit in ms, instead of the tool's (see toolTimeout)
+ * @param {string} [opts.channel] - Where the turn came from, for the approval policy
+ * @param {string} [opts.tier] - Heartbeat tier, for the approval policy
+ * @param {Function} [opts.approver] - Asks whoever started the turn (see approvals.js)
+ * @param {(text: string) => void} [opts.onProgress] - Output the tool reports while it
+ *   runs, batched every PROGRESS_INTERVAL_MS
+ */
+export async function executeTool(name, args, session, opts = {}) {
   const tool = toolMap.get(name);
   if (!tool) return `Unknown tool: ${name}`;
+  const { signal } = opts;
+  const cancelled = `Cancelled: ${name} was stopped by the user.`;
+  if (signal?.aborted) return cancelled;
+
+  // Before the clock starts: time spent waiting on the user isn't the tool's
+  let denied;
+  try {
+    denied = await checkApproval(name, args || {}, { ...opts, sessionId: session?.id });
+  } catch (err) {
+    return signal?.aborted ? cancelled : enhanceError(name, err); // e.g. a malformed approvals rule
+  }
+  if (signal?.aborted) return cancelled;
+  if (denied) return denied;
+  const timeout = opts.timeout ?? toolTimeout(tool);
+  const timedOut = `Timed out: ${name} gave no result within ${+(timeout / 1000).toFixed(1)}s, so the call was abandoned. `
+    + `Part of its work may have happened — check before retrying. Ask for less at once, `
+    + `or raise tools.timeouts.${name} in the config if it needs longer.`;
+
+  // The tool's own signal — aborted by the user's stop or by the time limit
+  const controller = new AbortController();
+  let timer;
+  let onAbort;
+  const stopped = new Promise(resolve => {
+    onAbort = () => { controller.abort(); resolve(cancelled); };
+    signal?.addEventListener('abort', onAbort, { once: true });
+    if (timeout > 0) timer = setTimeout(() => { controller.abort(); resolve(timedOut); }, timeout);
+  });
+  const progress = opts.onProgress ? batchProgress(opts.onProgress) : null;
   try {
-    return await tool.execute(args, session);
+    // Tools that ignore the signal keep running in the background; the turn doesn't wait
+    const ctx = { signal: controller.signal, progress: progress?.push, channel: opts.channel, tier: opts.tier, approver: opts.approver };
+    const result = await Promise.race([tool.execute(args, session, ctx), stopped]);
+    // Pages of saved output are already page-sized — capping them again would loop
+    return name === 'read_tool_output' ? result : await spillLargeResult(name, result);
   } catch (err) {
+    if (signal?.aborted) return cancelled;
+    if (controller.signal.aborted) return timedOut;
     return enhanceError(name, err);
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+    progress?.close();
   }
 }
 
-// Initialize: register built-in names, then load custom tools
+/**
+ * Run one round of tool calls. Up to config.tools.concurrency run at once; a call
+ * whose locks() overlap an earlier unfinished call's waits for it, so two writes to
+ * one file land in the order the model asked for them.
+ * @param {Array<{ name: string, arguments: object }>} calls
+ * @param {object} session
+ * @param {object} [opts] - Passed to executeTool() for every call
+ * @param {(index: number, text: string) => void} [opts.onProgress] - Progress output,
+ *   with the position of the call in `calls`
+ * @returns {Promise<Array>} Results in the order of `calls`
+ */
+export function executeToolCalls(calls, session, opts = {}) {
+  const limit = Math.max(1, config.tools?.concurrency || 1);
+  const keys = calls.map(tc => {
+    try {
+      return toolMap.get(tc.name)?.locks?.(tc.arguments || {}) || [];
+    } catch {
+      return []; // malformed arguments — the tool will say so itself
+    }
+  });
+  const results = new Array(calls.length);
+  const state = calls.map(() => 'waiting'); // → running → done
+  let running = 0;
+
+  return new Promise(resolve => {
+    const pump = () => {
+      if (state.every(st => st === 'done')) return resolve(results);
+      for (let i = 0; i < calls.length && running < limit; i++) {
+        if (state[i] !== 'waiting') continue;
+        const blocked = keys[i].some(key => keys.slice(0, i).some((earlier, j) => state[j] !== 'done' && earlier.includes(key)));
+        if (blocked) continue;
+        state[i] = 'running';
+        running++;
+        const onProgress = opts.onProgress && (text => opts.onProgress(i, text));
+        // executeTool() doesn't throw, but a stuck 'running' call would hang the round
+        executeTool(calls[i].name, calls[i].arguments, session, { ...opts, onProgress }).catch(err => enhanceError(calls[i].name, err)).then(result => {
+          results[i] = result;
+          state[i] = 'done';
+          running--;
+          pump();
+        });
+      }
+    };
+    pump();
+  });
+}
+
+// Initialize: register built-in names, then load custom tools.
+// MCP servers connect later (gateway/chat startup) and trigger a rebuild.
 setBuiltinNames(tools.map(t => t.name));
+onMcpToolsChanged(rebuildToolMap);
 try {
   await loadCustomTools();
   rebuildToolMap();
@@ -3,14 +3,24 @@
 /**
  * Test script to verify compaction and graph extraction.
  * Creates a session with many messages, triggers compaction, and checks if graph was updated.
+ *
+ *   node test-compaction.js                       against the configured models
+ *   node test-compaction.js --record <cassette>   same, saving every model call
+ *   node test-compaction.js --replay <cassette>   offline, answering from the cassette
  */
 
 import { Session } from './lib/session.js';
 import { loadGraph } from './lib/graph-memory.js';
 import { readFile } from 'node:fs/promises';
 import { join } from 'node:path';
+import { cassetteMismatches, closeCassette } from './lib/cassette.js';
 import config from './config.js';
 
+const [flag, cassettePath] = process.argv.slice(2);
+if (flag === '--record' || flag === '--replay') {
+  config.cassette = { path: cassettePath, mode: flag.slice(2) };
+}
+
 async function testCompaction() {
   console.log('🧪 Testing compaction and graph extraction...\n');
 
@@ -19,12 +29,11 @@ async function testCompaction() {
   await session.init();
   console.log(`✓ Created session: ${session.id}`);
 
-  // Add many messages to trigger compaction (need > maxMessagesBeforeCompact)
-  const threshold = config.compaction.maxMessagesBeforeCompact || 30;
+  // Add enough turns that compact() has older messages to summarize
   const keep = config.compaction.keepRecentMessages || 10;
-  const messagesToAdd = threshold + 5; // Add a few extra to ensure compaction
+  const messagesToAdd = keep + 25;
 
-  console.log(`\n📝 Adding ${messagesToAdd} messages (threshold: ${threshold}, keep: ${keep})...`);
+  console.log(`\n📝 Adding ${messagesToAdd} turns (keep: ${keep})...`);
 
   // Add messages with some meaningful content for graph extraction
   const topics = [
@@ -120,6 +129,12 @@ async function testCompaction() {
     console.log(`\n⚠️  History archive not found (expected if compaction failed)`);
   }
 
+  if (config.cassette) {
+    const mismatches = cassetteMismatches(config.cassette.path);
+    await closeCassette(config.cassette.path);
+    if (mismatches.length) console.log(`\n⚠️  ${mismatches.length} model call(s) differed from the cassette`);
+  }
+
   console.log('\n✨ Test complete!\n');
 }
 
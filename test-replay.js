@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+/**
+ * Offline regression test: replays a recorded cassette through a session's tool
+ * loop, compaction and graph extraction, and fails when the run asks the model
+ * anything the recording didn't, or skips a call it made.
+ *
+ *   node test-replay.js                      replay cassettes/tool-loop.json
+ *   node test-replay.js --record [cassette]  re-record it against the configured models
+ *
+ * Everything is written to a temporary data dir and vault; tools run for real.
+ */
+
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import config from './config.js';
+
+const [flag, recordPath] = process.argv.slice(2);
+const mode = flag === '--record' ? 'record' : 'replay';
+const cassettePath = recordPath || join(dirname(fileURLToPath(import.meta.url)), 'cassettes/tool-loop.json');
+
+const PROMPT = 'Run `echo replay-ok` and tell me what it printed.';
+const TOPICS = ['the BetterBot replay tests', 'recording model calls', 'offline runs in CI'];
+
+const failures = [];
+function check(ok, what) {
+  console.log(`${ok ? '✓' : '✗'} ${what}`);
+  if (!ok) failures.push(what);
+}
+
+async function testReplay() {
+  console.log(`🧪 ${mode === 'replay' ? 'Replaying' : 'Recording'} ${cassettePath}\n`);
+
+  // A scratch home for everything the run writes — set before the modules that read it load
+  const scratch = await mkdtemp(join(tmpdir(), 'betterbot-replay-'));
+  Object.assign(config, {
+    vault: join(scratch, 'vault'),
+    dataDir: scratch,
+    sessionsDir: join(scratch, 'sessions'),
+    workspaceDir: join(scratch, 'workspace'),
+    outfitsDir: join(scratch, 'outfits'),
+    graphDir: join(scratch, 'graph'),
+    cassette: { path: cassettePath, mode },
+  });
+  // What the recorded requests depend on
+  config.compaction = { ...config.compaction, keepRecentMessages: 4 };
+  config.mcp = { ...config.mcp, servers: {} };
+
+  const { Session } = await import('./lib/session.js');
+  const { loadGraph } = await import('./lib/graph-memory.js');
+  const { cassetteMismatches, unplayedCount, closeCassette } = await import('./lib/cassette.js');
+
+  try {
+    // One tool, so the request doesn't depend on which integrations are configured
+    const session = new Session({ outfit: { name: 'replay', tools: ['run_command'] } });
+    await session.init();
+
+    // ── Tool loop ──
+    let reply = '';
+    const results = [];
+    for await (const event of session.sendStream(PROMPT)) {
+      if (event.type === 'text') reply += event.text;
+      if (event.type === 'tool_result') results.push(event);
+    }
+    check(results.length === 1 && results[0].name === 'run_command', 'the model called run_command once');
+    check(results[0]?.result.includes('replay-ok'), 'run_command ran for real and printed replay-ok');
+    check(reply.includes('replay-ok'), 'the reply reports the output');
+
+    // ── Compaction ──
+    TOPICS.forEach((topic, i) => {
+      session.messages.push({ role: 'user', content: `Note ${i + 1}: let's talk about ${topic}.` });
+      session.messages.push({ role: 'assistant', content: `Noted — ${topic}.` });
+    });
+    const before = session.messages.length;
+    await session.compact();
+    await session.save();
+    const summary = session.messages[0];
+    check(typeof summary.content === 'string' && summary.content.startsWith('[Conversation summary]'), 'compaction replaced older messages with a summary');
+    check(session.messages.length === 1 + config.compaction.keepRecentMessages, `the newest ${config.compaction.keepRecentMessages} of ${before} messages were kept`);
+
+    // Graph extraction runs after compact() returns
+    for (let waited = 0; mode === 'replay' && unplayedCount(cassettePath) > 0 && waited < 5000; waited += 100) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+    const graph = await loadGraph();
+    check(graph.hasNode(`session:${session.id}`), 'graph extraction added the session node');
+
+    if (mode === 'replay') {
+      const mismatches = cassetteMismatches(cassettePath);
+      for (const m of mismatches) console.log(`   call #${m.index} (${m.role} ${m.type}) didn't match the recording`);
+      check(mismatches.length === 0, 'every request matched the recording');
+      check(unplayedCount(cassettePath) === 0, 'every recorded call was made');
+    }
+  } finally {
+    await closeCassette(cassettePath);
+    await rm(scratch, { recursive: true, force: true });
+  }
+
+  if (failures.length) {
+    console.error(`\n❌ ${failures.length} check(s) failed`);
+    process.exit(1);
+  }
+  console.log(mode === 'replay' ? '\n✨ Replay matched the recording\n' : `\n✨ Recorded to ${cassettePath}\n`);
+  process.exit(0);
+}
+
+testReplay().catch(err => {
+  console.error('❌ Test failed:', err);
+  process.exit(1);
+});
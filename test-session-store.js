@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+
+/**
+ * Offline regression test for how sessions reach disk: resuming and saving a
+ * session from before the canonical format, and folding in what another process
+ * saved in the meantime (appended to the journal, or rewritten as a snapshot).
+ *
+ *   node test-session-store.js
+ *
+ * Everything is written to a temporary data dir; no model is called.
+ */
+
+import { mkdtemp, rm, writeFile, mkdir } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import config from './config.js';
+
+const failures = [];
+function check(ok, what) {
+  console.log(`${ok ? '✓' : '✗'} ${what}`);
+  if (!ok) failures.push(what);
+}
+
+const texts = (messages) => messages.map(m => typeof m.content === 'string' ? m.content : m.content.map(b => b.text || b.type).join('+'));
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+async function testSessionStore() {
+  console.log('🧪 Testing session saves...\n');
+
+  // A scratch home — set before the modules that read it load
+  const scratch = await mkdtemp(join(tmpdir(), 'betterbot-store-'));
+  Object.assign(config, {
+    vault: join(scratch, 'vault'),
+    dataDir: scratch,
+    sessionsDir: join(scratch, 'sessions'),
+    workspaceDir: join(scratch, 'workspace'),
+    outfitsDir: join(scratch, 'outfits'),
+    graphDir: join(scratch, 'graph'),
+  });
+
+  const { Session } = await import('./lib/session.js');
+  const { HISTORY_VERSION } = await import('./lib/history.js');
+  const { readSessionData, appendRecord, writeSnapshot } = await import('./lib/session-store.js');
+
+  try {
+    // ── A v1 session: no version field, OpenAI-style tool calls ──
+    await mkdir(config.sessionsDir, { recursive: true });
+    const v1 = {
+      id: 'v1test',
+      contexts: [],
+      messages: [
+        { role: 'user', content: 'What time is it?' },
+        { role: 'assistant', content: null, tool_calls: [{ id: 't1', type: 'function', function: { name: 'get_time', arguments: '{}' } }] },
+        { role: 'tool', tool_call_id: 't1', content: '12:00' },
+        { role: 'assistant', content: 'Noon.' },
+      ],
+      metadata: { created: '2026-01-01T00:00:00.000Z', updated: '2026-01-01T00:00:00.000Z', cost: { total: 0, input: 0, output: 0, calls: 0 } },
+    };
+    await writeFile(join(config.sessionsDir, 'v1test.json'), JSON.stringify(v1), 'utf-8');
+
+    const old = await Session.resume('v1test');
+    check(old.messages.length === 4 && old.messages[2].content[0]?.type === 'tool_result', 'a v1 session loads in the canonical format');
+    old.messages.push({ role: 'user', content: 'Thanks' });
+    await old.save();
+    const saved = await readSessionData('v1test');
+    check(saved.version === HISTORY_VERSION, `saving it writes a version ${HISTORY_VERSION} snapshot`);
+    check(same(texts(saved.messages), texts(old.messages)) && saved.messages.length === 5, 'no message was doubled (4 converted + 1 new)');
+    check(!existsSync(join(config.sessionsDir, 'v1test.journal.jsonl')), 'nothing was appended to the old snapshot\'s journal');
+    old.messages.push({ role: 'assistant', content: 'Any time.' });
+    await old.save();
+    check((await readSessionData('v1test')).messages.length === 6, 'the next save appends as usual');
+
+    // ── Another process appends to the journal ──
+    const session = new Session();
+    await session.init();
+    session.messages.push({ role: 'user', content: 'one' }, { role: 'assistant', content: 'two' });
+    await session.save();
+    let disk = await readSessionData(session.id);
+    await appendRecord(session.id, { seq: disk.seq + 1, messages: [{ role: 'user', content: 'foreign' }], state: { contexts: [], metadata: disk.metadata } });
+    session.messages.push({ role: 'user', content: 'local' });
+    await session.save();
+    disk = await readSessionData(session.id);
+    check(same(texts(session.messages), ['one', 'two', 'foreign', 'local']), 'a foreign append goes in before this copy\'s unsaved messages');
+    check(same(texts(disk.messages), texts(session.messages)), 'and is on disk in that order, once');
+
+    // ── Another process rewrites the history (compaction) ──
+    disk = await readSessionData(session.id);
+    const { records, snapshotSeq, ...snapshot } = disk;
+    await writeSnapshot(session.id, { ...snapshot, seq: disk.seq + 1, messages: [{ role: 'assistant', content: 'summary' }] });
+    session.messages.push({ role: 'assistant', content: 'unsaved' });
+    await session.save();
+    disk = await readSessionData(session.id);
+    check(same(texts(session.messages), ['summary', 'unsaved']), 'a foreign rewrite wins, keeping only this copy\'s unsaved messages');
+    check(same(texts(disk.messages), texts(session.messages)), 'and is what\'s on disk');
+  } finally {
+    await rm(scratch, { recursive: true, force: true });
+  }
+
+  if (failures.length) {
+    console.error(`\n❌ ${failures.length} check(s) failed`);
+    process.exit(1);
+  }
+  console.log('\n✨ Session saves behave\n');
+  process.exit(0);
+}
+
+testSessionStore().catch(err => {
+  console.error('❌ Test failed:', err);
+  process.exit(1);
+});